@@ -0,0 +1,306 @@
+/**
+ * automation-network.js - <automation-network> custom element
+ *
+ * Wraps a network view in shadow DOM so a page only needs one module script:
+ *
+ *     <script type="module" src="js/automation-network.js"></script>
+ *     <automation-network seed="42" src="pipeline.json" style="height: 480px">
+ *         <h2>Our pipeline</h2>
+ *     </automation-network>
+ *
+ * The element sizes its canvas to its own box with a ResizeObserver, and the
+ * layout keeps nodes away from slotted content and from children marked with
+ * data-network-obstacle (see obstacle-tracker.js). Attributes:
+ *     seed            Random seed
+ *     node-count      Number of nodes of a random network
+ *     src             URL of a graph document (JSON, GraphML or DOT)
+ *     theme           Colours of the network and its controls: "dark" (default), "light",
+ *                     "high-contrast" or "auto" to follow the user's preferences
+ *     paused          Present to stop the animation
+ *     clip-obstacles  Present to keep edges and pulses from being drawn over obstacles
+ *
+ * The view's JS API is available as element.view once the "network-ready"
+ * event fired; it is replaced when seed, node-count or src change.
+ */
+
+import { createNetworkView } from './network-view.js';
+import { parseGraphFile } from './graph-io.js';
+import { THEME_NAMES } from './theme.js';
+
+// Shared with the page, for the details panel, toolbar and HUD
+const STYLESHEET_URL = new URL('../css/styles.css', import.meta.url);
+
+// Layout of the element itself; panels stay inside it instead of covering the window
+const ELEMENT_STYLES = `
+:host {
+    display: block;
+    position: relative;
+    overflow: hidden;
+    min-height: 200px;
+    background-color: #121212;
+    color-scheme: dark;
+}
+
+:host([theme="light"]) {
+    background-color: #f5f7fa;
+    color-scheme: light;
+}
+
+:host([theme="auto"]) {
+    color-scheme: light dark;
+}
+
+:host([hidden]) {
+    display: none;
+}
+
+.automation-network__canvas {
+    position: absolute;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    display: block;
+    touch-action: none;
+}
+
+.automation-network__layer {
+    position: relative;
+    z-index: 1;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    min-height: inherit;
+    height: 100%;
+    pointer-events: none; /* Empty space belongs to the canvas */
+}
+
+.automation-network__content {
+    max-width: 100%;
+    pointer-events: auto;
+}
+
+.node-panel,
+.edit-toolbar,
+.metrics-hud,
+.network-pause {
+    position: absolute;
+}
+`;
+
+/**
+ * Parse a positive integer attribute
+ * @param {string|null} value - Attribute value
+ * @returns {number|undefined} Parsed value, undefined if missing or invalid
+ */
+function parseCount(value) {
+    const count = Number.parseInt(value, 10);
+    return Number.isInteger(count) && count > 0 ? count : undefined;
+}
+
+/**
+ * Parse the theme attribute
+ * @param {string|null} value - Attribute value
+ * @returns {string} Theme name, 'dark' if missing or unknown
+ */
+function parseTheme(value) {
+    return value === 'auto' || THEME_NAMES.includes(value) ? value : 'dark';
+}
+
+/**
+ * Fetch and parse a graph document
+ * @param {string} src - URL of a JSON, GraphML or DOT file
+ * @returns {Promise<Object>} Graph document
+ * @throws {Error} If the file cannot be fetched or parsed
+ */
+async function fetchGraph(src) {
+    const url = new URL(src, document.baseURI);
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    
+    // The file name picks the parser, as for imported files
+    return parseGraphFile(await response.text(), url.pathname);
+}
+
+/**
+ * Custom element hosting one network view
+ */
+class AutomationNetworkElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['seed', 'node-count', 'src', 'paused', 'clip-obstacles', 'theme'];
+    }
+    
+    /**
+     * Build the shadow DOM; the view is created once the element is connected
+     */
+    constructor() {
+        super();
+        
+        this.view = null;
+        this.loadToken = 0; // Bumped per load, so a slow fetch can't replace a newer view
+        this.reloadScheduled = false;
+        
+        const shadow = this.attachShadow({ mode: 'open' });
+        
+        const stylesheet = document.createElement('link');
+        stylesheet.rel = 'stylesheet';
+        stylesheet.href = STYLESHEET_URL.href;
+        
+        const style = document.createElement('style');
+        style.textContent = ELEMENT_STYLES;
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'automation-network__canvas';
+        this.canvas.setAttribute('part', 'canvas');
+        
+        // Slotted content is what the layout keeps nodes away from
+        const layer = document.createElement('div');
+        layer.className = 'automation-network__layer';
+        this.contentElement = document.createElement('div');
+        this.contentElement.className = 'automation-network__content';
+        this.contentElement.setAttribute('part', 'content');
+        this.contentElement.appendChild(document.createElement('slot'));
+        layer.appendChild(this.contentElement);
+        
+        shadow.append(stylesheet, style, this.canvas, layer);
+        
+        // Follow the element's size and the size of its content
+        this.resizeObserver = new ResizeObserver(() => {
+            if (this.view) {
+                this.view.resize();
+            }
+        });
+    }
+    
+    connectedCallback() {
+        this.resizeObserver.observe(this);
+        this.resizeObserver.observe(this.contentElement);
+        this.load();
+    }
+    
+    disconnectedCallback() {
+        this.resizeObserver.disconnect();
+        this.loadToken++;
+        this.destroyView();
+    }
+    
+    /**
+     * React to attribute changes
+     * @param {string} name - Attribute name
+     * @param {string|null} oldValue - Previous value
+     * @param {string|null} newValue - New value
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.isConnected || oldValue === newValue) return;
+        
+        if (name === 'paused') {
+            this.applyPaused();
+        } else if (name === 'theme') {
+            if (this.view) {
+                this.view.setTheme(parseTheme(newValue));
+            }
+        } else {
+            this.scheduleReload();
+        }
+    }
+    
+    /**
+     * Rebuild the view once, after all attributes set in the same task
+     */
+    scheduleReload() {
+        if (this.reloadScheduled) return;
+        
+        this.reloadScheduled = true;
+        queueMicrotask(() => {
+            this.reloadScheduled = false;
+            if (this.isConnected) {
+                this.load();
+            }
+        });
+    }
+    
+    /**
+     * Create the view from the current attributes, fetching the graph first if src is set
+     */
+    async load() {
+        const token = ++this.loadToken;
+        const src = this.getAttribute('src');
+        let graph = null;
+        
+        if (src) {
+            try {
+                graph = await fetchGraph(src);
+            } catch (error) {
+                console.error(`Could not load network graph from ${src}, using a random network instead.`, error);
+            }
+            
+            // Disconnected or reloaded while fetching
+            if (token !== this.loadToken) return;
+        }
+        
+        this.destroyView();
+        this.view = createNetworkView(this.canvas, {
+            seed: this.getAttribute('seed'),
+            nodeCount: parseCount(this.getAttribute('node-count')),
+            graph,
+            contentElement: this.contentElement,
+            obstacleRoot: this,
+            clipObstacles: this.hasAttribute('clip-obstacles'),
+            container: this.shadowRoot,
+            theme: parseTheme(this.getAttribute('theme')),
+            paused: this.hasAttribute('paused')
+        });
+        
+        // The pause button and "p" key change the state, keep the attribute in step
+        this.view.on('pausechange', ({ paused }) => this.toggleAttribute('paused', paused));
+        
+        this.dispatchEvent(new CustomEvent('network-ready', { detail: { view: this.view } }));
+    }
+    
+    /**
+     * Stop and drop the current view
+     */
+    destroyView() {
+        if (this.view) {
+            this.view.destroy();
+            this.view = null;
+        }
+    }
+    
+    /**
+     * Pause or resume the view to match the paused attribute
+     */
+    applyPaused() {
+        if (!this.view) return;
+        
+        if (this.hasAttribute('paused')) {
+            this.view.pause();
+        } else {
+            this.view.resume();
+        }
+    }
+    
+    /**
+     * Whether the animation is paused
+     * @returns {boolean} True if the paused attribute is present
+     */
+    get paused() {
+        return this.hasAttribute('paused');
+    }
+    
+    /**
+     * Pause or resume the animation
+     * @param {boolean} value - True to pause
+     */
+    set paused(value) {
+        this.toggleAttribute('paused', Boolean(value));
+    }
+}
+
+if (!customElements.get('automation-network')) {
+    customElements.define('automation-network', AutomationNetworkElement);
+}
+
+export { AutomationNetworkElement };
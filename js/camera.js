@@ -0,0 +1,155 @@
+/**
+ * camera.js - Pan and zoom camera for the canvas
+ *
+ * Maps between screen coordinates (CSS pixels relative to the canvas)
+ * and world coordinates (where nodes live)
+ */
+
+/**
+ * Camera with a world offset and zoom factor
+ * screen = (world - offset) * zoom
+ */
+class Camera {
+    /**
+     * Create a camera showing the world 1:1
+     * @param {Object} [options] - Camera limits
+     * @param {number} [options.minZoom] - Smallest allowed zoom
+     * @param {number} [options.maxZoom] - Largest allowed zoom
+     */
+    constructor(options = {}) {
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.zoom = 1;
+        this.minZoom = options.minZoom || 0.1;
+        this.maxZoom = options.maxZoom || 8;
+    }
+    
+    /**
+     * Convert a screen point to world coordinates
+     * @param {number} x - Screen X
+     * @param {number} y - Screen Y
+     * @returns {Object} World point with x and y
+     */
+    screenToWorld(x, y) {
+        return {
+            x: x / this.zoom + this.offsetX,
+            y: y / this.zoom + this.offsetY
+        };
+    }
+    
+    /**
+     * Convert a world point to screen coordinates
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @returns {Object} Screen point with x and y
+     */
+    worldToScreen(x, y) {
+        return {
+            x: (x - this.offsetX) * this.zoom,
+            y: (y - this.offsetY) * this.zoom
+        };
+    }
+    
+    /**
+     * World rectangle currently visible on screen
+     * @param {number} width - Viewport width in screen pixels
+     * @param {number} height - Viewport height in screen pixels
+     * @returns {Object} Rectangle with left, top, right and bottom
+     */
+    getVisibleBounds(width, height) {
+        return {
+            left: this.offsetX,
+            top: this.offsetY,
+            right: this.offsetX + width / this.zoom,
+            bottom: this.offsetY + height / this.zoom
+        };
+    }
+    
+    /**
+     * Apply the camera transform on top of the context's current transform
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     */
+    applyTransform(ctx) {
+        ctx.scale(this.zoom, this.zoom);
+        ctx.translate(-this.offsetX, -this.offsetY);
+    }
+    
+    /**
+     * Move the camera by a screen-space distance
+     * @param {number} dx - Screen pixels to the right
+     * @param {number} dy - Screen pixels down
+     */
+    panBy(dx, dy) {
+        this.offsetX -= dx / this.zoom;
+        this.offsetY -= dy / this.zoom;
+    }
+    
+    /**
+     * Zoom by a factor keeping the given screen point fixed
+     * @param {number} x - Screen X of the zoom anchor
+     * @param {number} y - Screen Y of the zoom anchor
+     * @param {number} factor - Zoom multiplier (>1 zooms in)
+     */
+    zoomAt(x, y, factor) {
+        const anchor = this.screenToWorld(x, y);
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.zoom * factor));
+        
+        // Keep the world point under the anchor where it was
+        this.offsetX = anchor.x - x / this.zoom;
+        this.offsetY = anchor.y - y / this.zoom;
+    }
+    
+    /**
+     * Frame a world rectangle in the viewport
+     * @param {Object} bounds - World rectangle with left, top, right and bottom
+     * @param {number} width - Viewport width in screen pixels
+     * @param {number} height - Viewport height in screen pixels
+     * @param {number} [padding] - Screen pixels to keep around the rectangle
+     */
+    fitToBounds(bounds, width, height, padding = 40) {
+        const boundsWidth = Math.max(1, bounds.right - bounds.left);
+        const boundsHeight = Math.max(1, bounds.bottom - bounds.top);
+        const availableWidth = Math.max(1, width - padding * 2);
+        const availableHeight = Math.max(1, height - padding * 2);
+        
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom,
+            Math.min(availableWidth / boundsWidth, availableHeight / boundsHeight)));
+        
+        // Centre the rectangle
+        const centerX = (bounds.left + bounds.right) / 2;
+        const centerY = (bounds.top + bounds.bottom) / 2;
+        this.offsetX = centerX - width / 2 / this.zoom;
+        this.offsetY = centerY - height / 2 / this.zoom;
+    }
+    
+    /**
+     * Return to the 1:1 view
+     */
+    reset() {
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.zoom = 1;
+    }
+}
+
+/**
+ * Bounding box of a set of nodes including their radii
+ * @param {Array} nodes - Array of Node objects
+ * @returns {Object|null} Rectangle with left, top, right and bottom, or null for no nodes
+ */
+function getNodeBounds(nodes) {
+    if (nodes.length === 0) return null;
+    
+    const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+    
+    nodes.forEach(node => {
+        bounds.left = Math.min(bounds.left, node.x - node.radius);
+        bounds.top = Math.min(bounds.top, node.y - node.radius);
+        bounds.right = Math.max(bounds.right, node.x + node.radius);
+        bounds.bottom = Math.max(bounds.bottom, node.y + node.radius);
+    });
+    
+    return bounds;
+}
+
+export { Camera, getNodeBounds };
@@ -1,51 +1,128 @@
 /**
  * canvas.js - Handles canvas setup and main rendering loop
  * 
- * Manages the canvas element, its context, and the animation loop
+ * Manages canvas surfaces (element, context and size) and the animation loop
  */
 
-let canvas;
-let ctx;
+import { DEFAULT_THEME } from './theme.js';
+
+// Longest time step a frame may advance the animation by, in ms. Longer gaps,
+// like a stalled main thread or a throttled background tab, are clamped so that
+// nodes and pulses don't jump.
+const MAX_FRAME_DELTA = 100;
+
+// Nodes the layout spreads over one view; larger networks get a world area
+// that grows with them at the same density, and the camera pans across it
+const NODES_PER_VIEW = 500;
 
 /**
- * Initialize canvas and get context
- * Sets up canvas dimensions based on device pixel ratio for crisp rendering
- * @returns {HTMLCanvasElement} The initialized canvas
+ * Create the drawing surface of a canvas element
+ * A surface holds the context and the logical size in CSS pixels; the
+ * canvas.width/height are backing store (device) pixels and should not be used
+ * for layout or input. Every view owns its own surface, so several canvases
+ * can be animated on one page.
+ * @param {HTMLCanvasElement} canvas - Canvas element to draw on
+ * @returns {Object} Surface with canvas, ctx, width, height and pixelRatio
  */
-function initCanvas() {
-    canvas = document.getElementById('canvas');
-    ctx = canvas.getContext('2d', { alpha: false });
-    
-    // Set canvas size accounting for device pixel ratio
-    const dpr = 1; // window.devicePixelRatio || 1;
-    resizeCanvas(dpr);
-    
-    return canvas;
+function initCanvas(canvas) {
+    return {
+        canvas,
+        ctx: canvas.getContext('2d', { alpha: false }),
+        width: 0,
+        height: 0,
+        pixelRatio: 1
+    };
 }
 
 /**
- * Resize canvas to match window dimensions
- * @param {number} dpr - Device pixel ratio
+ * Resize a surface
+ * Sets up the backing store based on the device pixel ratio for crisp rendering
+ * @param {Object} surface - Surface created by initCanvas
+ * @param {number} width - New width in CSS pixels
+ * @param {number} height - New height in CSS pixels
+ * @param {boolean} [setStyle] - Also set the CSS size of the canvas (full window canvases)
+ * @param {number} [dpr] - Device pixel ratio, defaults to the current one
  */
-function resizeCanvas(dpr = 1) {
+function resizeCanvas(surface, width, height, setStyle = false, dpr = window.devicePixelRatio || 1) {
+    const canvas = surface.canvas;
+    surface.pixelRatio = dpr;
+    surface.width = width;
+    surface.height = height;
+    
     // Set display size (css pixels)
-    canvas.style.width = window.innerWidth + 'px';
-    canvas.style.height = window.innerHeight + 'px';
+    if (setStyle) {
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+    }
     
     // Set actual size in memory (scaled to account for extra pixel density)
-    canvas.width = Math.floor(window.innerWidth * dpr);
-    canvas.height = Math.floor(window.innerHeight * dpr);
+    canvas.width = Math.max(1, Math.floor(width * dpr));
+    canvas.height = Math.max(1, Math.floor(height * dpr));
+    
+    // Normalize coordinate system to use css pixels.
+    // setTransform instead of scale, so repeated resizes don't compound.
+    surface.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+}
+
+/**
+ * Get the logical size of a surface
+ * @param {Object} surface - Surface created by initCanvas
+ * @returns {Object} Width and height in CSS pixels
+ */
+function getViewSize(surface) {
+    return { width: surface.width, height: surface.height };
+}
+
+/**
+ * Get the size of the world area the layout keeps a network in
+ * The top left corner is the world origin. Up to NODES_PER_VIEW nodes it is
+ * the view size, beyond that it grows in both directions.
+ * @param {Object} surface - Surface created by initCanvas
+ * @param {number} nodeCount - Number of nodes in the network
+ * @returns {Object} Width and height in world units
+ */
+function getLayoutSize(surface, nodeCount) {
+    const scale = Math.max(1, Math.sqrt(nodeCount / NODES_PER_VIEW));
+    return { width: surface.width * scale, height: surface.height * scale };
+}
+
+/**
+ * Call back when the device pixel ratio changes,
+ * e.g. when the window moves to a monitor with a different density
+ * @param {Function} onChange - Called with the new device pixel ratio
+ * @returns {Function} Call to stop watching
+ */
+function watchPixelRatio(onChange) {
+    let query = null;
+    
+    // A resolution query only matches the current ratio, so re-arm it after each change
+    const handleChange = () => {
+        onChange(window.devicePixelRatio);
+        listen();
+    };
+    const listen = () => {
+        query = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+        query.addEventListener('change', handleChange, { once: true });
+    };
     
-    // Normalize coordinate system to use css pixels
-    ctx.scale(dpr, dpr);
+    listen();
+    
+    return () => query.removeEventListener('change', handleChange);
 }
 
 /**
  * Starts the animation loop with frame rate control
+ * The callback gets the time since the last drawn frame, clamped to MAX_FRAME_DELTA.
+ * Stopping and starting again continues from the next frame, not from the stop.
  * @param {Object} appState - Application state object
- * @param {Function} renderCallback - Function to call for rendering
+ * @param {Object} surface - Surface to draw on
+ * @param {Function} renderCallback - Clears and draws a frame; returns false when
+ *     nothing changed and the previous frame was left on screen
+ * @returns {Function} Call to stop the loop
  */
-function startAnimation(appState, renderCallback) {
+function startAnimation(appState, surface, renderCallback) {
+    let frameRequest = 0;
+    
     // Animation loop with time-based animation
     function animate(timestamp) {
         // Calculate delta time for smooth animations
@@ -53,7 +130,7 @@ function startAnimation(appState, renderCallback) {
             appState.lastFrameTime = timestamp;
         }
         const deltaTime = timestamp - appState.lastFrameTime;
-
+        
         // Only render if enough time has passed since last frame.
         // The threshold is slightly below frameInterval so that a display
         // running at exactly 60Hz is not skipped by floating point jitter,
@@ -62,61 +139,128 @@ function startAnimation(appState, renderCallback) {
         // where every individual frame is shorter than frameInterval.
         if (deltaTime >= appState.frameInterval * 0.9) {
             appState.lastFrameTime = timestamp;
-
-            // Clear the canvas
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-            // Call the render callback
-            renderCallback(ctx, timestamp, deltaTime);
+            const frameDelta = Math.min(deltaTime, MAX_FRAME_DELTA);
+            
+            // Call the render callback, timing drawn frames for the metrics HUD
+            const renderStart = performance.now();
+            const drawn = renderCallback(surface.ctx, timestamp, frameDelta);
+            if (appState.metrics && drawn !== false) {
+                appState.metrics.recordFrame(performance.now() - renderStart);
+            }
         }
         
         // Schedule next frame
-        requestAnimationFrame(animate);
+        frameRequest = requestAnimationFrame(animate);
     }
     
     // Start the animation loop
-    requestAnimationFrame(animate);
+    frameRequest = requestAnimationFrame(animate);
+    
+    return () => {
+        cancelAnimationFrame(frameRequest);
+        
+        // The next start measures its first frame from scratch instead of the pause
+        appState.lastFrameTime = 0;
+    };
 }
 
 /**
  * Render a faint grid pattern on the canvas
+ * The grid is anchored in world space, so it pans and zooms with the camera
  * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {Camera|null} camera - Camera to render through, null for screen space
+ * @param {number} width - Width of the area to cover in CSS pixels
+ * @param {number} height - Height of the area to cover in CSS pixels
+ * @param {Object} [theme] - Colours to draw with (see theme.js)
  */
-function renderGrid(ctx) {
-    // Draw faint grid
-    ctx.globalAlpha = 0.05;
-    ctx.strokeStyle = '#ffffff';
-    ctx.lineWidth = 1;
+function renderGrid(ctx, camera, width, height, theme = DEFAULT_THEME) {
+    const zoom = camera ? camera.zoom : 1;
+    
+    // Visible part of the world
+    const view = camera
+        ? camera.getVisibleBounds(width, height)
+        : { left: 0, top: 0, right: width, bottom: height };
     
-    const gridSize = 30;
-    const width = canvas.width;
-    const height = canvas.height;
+    // Skip every other line when zoomed out so the grid doesn't turn into a solid fill
+    let gridSize = 30;
+    while (gridSize * zoom < 10) {
+        gridSize *= 2;
+    }
+    
+    ctx.save();
+    if (camera) {
+        camera.applyTransform(ctx);
+    }
+    
+    // Draw faint grid
+    ctx.globalAlpha = theme.gridOpacity;
+    ctx.strokeStyle = theme.grid;
+    ctx.lineWidth = 1 / zoom; // Keep lines one screen pixel wide
     
     // Optimize grid rendering by calculating visible grid lines only
-    const startX = Math.floor(0 / gridSize) * gridSize;
-    const endX = width;
-    const startY = Math.floor(0 / gridSize) * gridSize;
-    const endY = height;
+    const startX = Math.floor(view.left / gridSize) * gridSize;
+    const endX = view.right;
+    const startY = Math.floor(view.top / gridSize) * gridSize;
+    const endY = view.bottom;
     
     // Draw vertical lines
     for (let x = startX; x < endX; x += gridSize) {
         ctx.beginPath();
-        ctx.moveTo(x, 0);
-        ctx.lineTo(x, height);
+        ctx.moveTo(x, view.top);
+        ctx.lineTo(x, view.bottom);
         ctx.stroke();
     }
     
     // Draw horizontal lines
     for (let y = startY; y < endY; y += gridSize) {
         ctx.beginPath();
-        ctx.moveTo(0, y);
-        ctx.lineTo(width, y);
+        ctx.moveTo(view.left, y);
+        ctx.lineTo(view.right, y);
         ctx.stroke();
     }
     
-    // Reset global alpha
-    ctx.globalAlpha = 1;
+    // Reset global alpha and transform
+    ctx.restore();
+}
+
+/**
+ * Place nodes between two layout worker snapshots
+ * Snapshots hold flat [x, y, x, y, ...] arrays in node order. Dragged nodes
+ * follow the pointer and are left alone.
+ * @param {Array} nodes - Array of Node objects
+ * @param {Object|null} previous - Older snapshot with positions, or null
+ * @param {Object} current - Latest snapshot with positions and velocities
+ * @param {number} alpha - Interpolation factor between 0 (previous) and 1 (current)
+ */
+function interpolateNodePositions(nodes, previous, current, alpha) {
+    const to = current.positions;
+    const from = previous ? previous.positions : to;
+    const velocities = current.velocities;
+    
+    // Snapshot from before the graph changed
+    if (to.length !== nodes.length * 2) return;
+    
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        if (node.isDragged) continue;
+        
+        const ix = i * 2;
+        const iy = ix + 1;
+        node.x = from[ix] + (to[ix] - from[ix]) * alpha;
+        node.y = from[iy] + (to[iy] - from[iy]) * alpha;
+        node.vx = velocities[ix];
+        node.vy = velocities[iy];
+    }
 }
 
 // Export functions
-export { initCanvas, resizeCanvas, startAnimation, renderGrid };
\ No newline at end of file
+export {
+    initCanvas,
+    resizeCanvas,
+    getViewSize,
+    getLayoutSize,
+    watchPixelRatio,
+    startAnimation,
+    renderGrid,
+    interpolateNodePositions
+};
\ No newline at end of file
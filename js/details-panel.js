@@ -0,0 +1,271 @@
+/**
+ * details-panel.js - Side panel with the properties of a clicked node
+ *
+ * Lists a node's properties and metadata, its incoming and outgoing
+ * connections and live pulse statistics
+ */
+
+// How often the live statistics are refreshed while the panel is open (ms)
+const STATS_REFRESH_INTERVAL = 500;
+
+// Panels created so far, for unique element ids when several views share a page
+let panelCount = 0;
+
+/**
+ * Accessible DOM panel showing details of one node at a time
+ */
+class DetailsPanel {
+    /**
+     * Create the panel and add it to the page (hidden)
+     * @param {Object} appState - Application state
+     * @param {HTMLElement} [container] - Element to append the panel to
+     */
+    constructor(appState, container = document.body) {
+        this.appState = appState;
+        this.node = null;
+        this.refreshTimer = null;
+        this.returnFocus = null;
+        
+        panelCount += 1;
+        const titleId = `node-panel-title-${panelCount}`;
+        
+        this.element = document.createElement('aside');
+        this.element.className = 'node-panel';
+        this.element.setAttribute('aria-labelledby', titleId);
+        this.element.tabIndex = -1;
+        this.element.hidden = true;
+        
+        const header = document.createElement('header');
+        header.className = 'node-panel__header';
+        
+        this.title = document.createElement('h2');
+        this.title.id = titleId;
+        this.title.className = 'node-panel__title';
+        
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'node-panel__close';
+        closeButton.setAttribute('aria-label', 'Close node details');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.close());
+        
+        header.append(this.title, closeButton);
+        
+        this.body = document.createElement('div');
+        this.body.className = 'node-panel__body';
+        
+        this.element.append(header, this.body);
+        this.element.addEventListener('keydown', e => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+        
+        container.appendChild(this.element);
+    }
+    
+    /**
+     * Show the details of a node
+     * @param {Node} node - Node to show
+     */
+    open(node) {
+        if (this.element.hidden) {
+            this.returnFocus = document.activeElement;
+        }
+        
+        this.node = node;
+        this.appState.inspectedNode = node;
+        this.render();
+        this.element.hidden = false;
+        this.element.focus();
+        
+        if (this.refreshTimer === null) {
+            this.refreshTimer = setInterval(() => this.renderStats(), STATS_REFRESH_INTERVAL);
+        }
+    }
+    
+    /**
+     * Re-render the current node, e.g. after its connections changed
+     * Unlike open() this leaves focus where it is
+     */
+    refresh() {
+        if (this.node) {
+            this.render();
+        }
+    }
+    
+    /**
+     * Hide the panel and return focus to where it was
+     */
+    close() {
+        if (this.element.hidden) return;
+        
+        this.element.hidden = true;
+        this.node = null;
+        this.appState.inspectedNode = null;
+        
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+    
+    /**
+     * Close the panel and remove it from the page
+     */
+    destroy() {
+        this.close();
+        this.element.remove();
+    }
+    
+    /**
+     * Rebuild the panel content for the current node
+     */
+    render() {
+        const node = this.node;
+        this.title.textContent = node.label || String(node.id);
+        this.body.replaceChildren();
+        
+        if (node.description) {
+            const description = document.createElement('p');
+            description.className = 'node-panel__description';
+            description.textContent = node.description;
+            this.body.appendChild(description);
+        }
+        
+        const properties = [
+            ['Type', node.type],
+            ['ID', node.id],
+            ['Pinned', node.isPinned ? 'yes' : 'no'],
+            ...Object.entries(node.metadata)
+        ];
+        this.body.appendChild(this.createSection('Properties', this.createList(properties)));
+        
+        this.statsList = document.createElement('dl');
+        this.statsList.className = 'node-panel__list';
+        this.body.appendChild(this.createSection('Pulses', this.statsList));
+        this.renderStats();
+        
+        const incoming = this.appState.nodes.filter(other => other.connections.includes(node));
+        this.body.appendChild(this.createSection('Incoming', this.createNodeLinks(incoming)));
+        this.body.appendChild(this.createSection('Outgoing', this.createNodeLinks(node.connections)));
+    }
+    
+    /**
+     * Refresh the live pulse statistics
+     */
+    renderStats() {
+        const node = this.node;
+        if (!node) return;
+        
+        const inFlight = node.pulses.length;
+        const rows = [
+            ['Sent', node.stats.sent],
+            ['Received', node.stats.received],
+            ['Queued', node.processingPulses],
+            ['In flight', inFlight]
+        ];
+        
+        // Flow simulation figures
+        if (node.flow) {
+            rows.push(
+                ['Processing', `${node.flow.jobs.length} / ${node.flow.capacity}`],
+                ['Processed', node.flow.processed],
+                ['Throughput', `${node.flow.throughput.toFixed(1)}/s`],
+                ['Dropped', node.flow.dropped]
+            );
+            if (node.flow.consumed > 0) {
+                rows.push(['Consumed', node.flow.consumed]);
+            }
+        }
+        
+        this.statsList.replaceChildren(...this.createListItems(rows));
+    }
+    
+    /**
+     * Create a titled section
+     * @param {string} heading - Section heading
+     * @param {HTMLElement} content - Section content
+     * @returns {HTMLElement} Section element
+     */
+    createSection(heading, content) {
+        const section = document.createElement('section');
+        section.className = 'node-panel__section';
+        
+        const title = document.createElement('h3');
+        title.textContent = heading;
+        
+        section.append(title, content);
+        return section;
+    }
+    
+    /**
+     * Create a description list from label/value pairs
+     * @param {Array} rows - [label, value] pairs
+     * @returns {HTMLElement} Description list
+     */
+    createList(rows) {
+        const list = document.createElement('dl');
+        list.className = 'node-panel__list';
+        list.append(...this.createListItems(rows));
+        return list;
+    }
+    
+    /**
+     * Create dt/dd pairs
+     * @param {Array} rows - [label, value] pairs
+     * @returns {Array<HTMLElement>} Alternating dt and dd elements
+     */
+    createListItems(rows) {
+        const items = [];
+        
+        rows.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            
+            const definition = document.createElement('dd');
+            definition.textContent = typeof value === 'object' && value !== null
+                ? JSON.stringify(value)
+                : String(value);
+            
+            items.push(term, definition);
+        });
+        
+        return items;
+    }
+    
+    /**
+     * Create a list of buttons that open the details of other nodes
+     * @param {Array} nodes - Nodes to link to
+     * @returns {HTMLElement} List element, or a note when empty
+     */
+    createNodeLinks(nodes) {
+        if (nodes.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'node-panel__empty';
+            empty.textContent = 'None';
+            return empty;
+        }
+        
+        const list = document.createElement('ul');
+        list.className = 'node-panel__links';
+        
+        nodes.forEach(other => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = `${other.label || other.id} (${other.type})`;
+            button.addEventListener('click', () => this.open(other));
+            
+            const item = document.createElement('li');
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        
+        return list;
+    }
+}
+
+export { DetailsPanel };
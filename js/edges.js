@@ -0,0 +1,215 @@
+/**
+ * edges.js - Shape of the directed connections between nodes
+ *
+ * Edges run from the centre of their source to an arrowhead at the rim of
+ * their target. When two nodes connect both ways, each edge bends to its own
+ * side as a quadratic curve so the pair stays readable, and pulses travel
+ * along the same curve.
+ *
+ * Points are written into objects the caller passes in, so drawing every edge
+ * and pulse each frame doesn't allocate.
+ *
+ * Besides the routing weight and transit time of the flow simulation, edges
+ * in a graph document may carry a label and a line style:
+ *
+ *     { "from": "etl", "to": "crm", "label": "corrections", "style": "dashed" }
+ */
+
+// Line styles an edge can be drawn with
+const EDGE_STYLES = ['solid', 'dashed'];
+
+// Dash pattern of dashed edges (world units)
+const DASH_PATTERN = [6, 4];
+
+// Bend of curved edges: control point offset relative to the edge length, and at most
+const CURVE_BEND = 0.2;
+const MAX_CURVE_OFFSET = 40;
+
+// Line width range; the width grows with the square root of the routing weight
+const MIN_EDGE_WIDTH = 0.5;
+const MAX_EDGE_WIDTH = 4;
+
+// Extra width per pulse in flight, and at most
+const TRAFFIC_WIDTH = 0.5;
+const MAX_TRAFFIC_WIDTH = 3;
+
+// Arrowhead length and half width at a line width of 1; both grow with the line
+const ARROW_LENGTH = 7;
+const ARROW_HALF_WIDTH = 3.5;
+
+// Solid line, shared so clearing the dash doesn't allocate
+const NO_DASH = [];
+
+// Scratch points of drawEdge, reused for every edge
+const drawControl = { x: 0, y: 0 };
+const drawEnd = { x: 0, y: 0 };
+const drawTip = { x: 0, y: 0 };
+const drawDirection = { x: 0, y: 0 };
+
+/**
+ * Validate the label and style of an edge spec
+ * @param {Object} edge - Edge spec
+ * @returns {Array<string>} Problems, empty if valid
+ */
+function validateEdgeAppearance(edge) {
+    const problems = [];
+    
+    if (edge.label !== undefined && typeof edge.label !== 'string' && typeof edge.label !== 'number') {
+        problems.push('label must be a string');
+    }
+    if (edge.style !== undefined && !EDGE_STYLES.includes(edge.style)) {
+        problems.push(`style must be one of ${EDGE_STYLES.join(', ')}`);
+    }
+    
+    return problems;
+}
+
+/**
+ * Control point of the curve from one node to another
+ * @param {Node} from - Source node
+ * @param {Node} to - Target node
+ * @param {Object} [out] - Object to write { x, y } into
+ * @returns {Object|null} out, null for a straight edge
+ */
+function getEdgeControlPoint(from, to, out = { x: 0, y: 0 }) {
+    if (!to.connections.includes(from)) return null;
+    
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length === 0) return null;
+    
+    // Bend to the left of the direction of travel, so the reverse edge bends the other way
+    const offset = Math.min(MAX_CURVE_OFFSET, length * CURVE_BEND) / length;
+    out.x = (from.x + to.x) / 2 + dy * offset;
+    out.y = (from.y + to.y) / 2 - dx * offset;
+    return out;
+}
+
+/**
+ * Point along an edge
+ * @param {Node} from - Source node
+ * @param {Node} to - Target node
+ * @param {number} t - Position along the edge, 0 at the source and 1 at the target
+ * @param {Object|null} control - Control point from getEdgeControlPoint
+ * @param {Object} [out] - Object to write { x, y } into
+ * @returns {Object} out
+ */
+function getEdgePoint(from, to, t, control, out = { x: 0, y: 0 }) {
+    if (!control) {
+        out.x = from.x + (to.x - from.x) * t;
+        out.y = from.y + (to.y - from.y) * t;
+        return out;
+    }
+    
+    const u = 1 - t;
+    out.x = u * u * from.x + 2 * u * t * control.x + t * t * to.x;
+    out.y = u * u * from.y + 2 * u * t * control.y + t * t * to.y;
+    return out;
+}
+
+/**
+ * Direction of travel along an edge
+ * @param {Node} from - Source node
+ * @param {Node} to - Target node
+ * @param {number} t - Position along the edge
+ * @param {Object|null} control - Control point from getEdgeControlPoint
+ * @param {Object} out - Object to write the unit vector { x, y } into
+ * @returns {Object} out, zero for an edge of no length
+ */
+function getEdgeDirection(from, to, t, control, out) {
+    let dx = to.x - from.x;
+    let dy = to.y - from.y;
+    if (control) {
+        dx = 2 * (1 - t) * (control.x - from.x) + 2 * t * (to.x - control.x);
+        dy = 2 * (1 - t) * (control.y - from.y) + 2 * t * (to.y - control.y);
+    }
+    
+    const length = Math.sqrt(dx * dx + dy * dy);
+    out.x = length > 0 ? dx / length : 0;
+    out.y = length > 0 ? dy / length : 0;
+    return out;
+}
+
+/**
+ * Line width of an edge
+ * @param {number} weight - Routing weight
+ * @param {number} traffic - Pulses in flight along it, smoothed
+ * @returns {number} Width in world units
+ */
+function getEdgeWidth(weight, traffic) {
+    const base = Math.min(MAX_EDGE_WIDTH, Math.max(MIN_EDGE_WIDTH, Math.sqrt(weight)));
+    return base + Math.min(MAX_TRAFFIC_WIDTH, traffic * TRAFFIC_WIDTH);
+}
+
+/**
+ * Draw an edge with an arrowhead touching the rim of its target
+ * Sets strokeStyle, fillStyle, lineWidth and the line dash; alpha is left to the caller
+ * @param {CanvasRenderingContext2D|SVGContext} ctx - Canvas rendering context or SVG recorder
+ * @param {Node} from - Source node
+ * @param {Node} to - Target node
+ * @param {Object} options - Appearance
+ * @param {string} options.color - Line and arrowhead colour
+ * @param {number} options.width - Line width
+ * @param {boolean} options.dashed - Draw a dashed line
+ * @param {number} options.targetRadius - Drawn radius of the target
+ */
+function drawEdge(ctx, from, to, options) {
+    const control = getEdgeControlPoint(from, to, drawControl);
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    
+    // Curves are close enough to their chord in length for placing the arrowhead
+    const length = Math.sqrt(dx * dx + dy * dy);
+    const arrowLength = ARROW_LENGTH * Math.sqrt(options.width);
+    const hasArrow = length > options.targetRadius + arrowLength + from.radius;
+    const tipT = hasArrow ? 1 - options.targetRadius / length : 1;
+    const baseT = hasArrow ? 1 - (options.targetRadius + arrowLength) / length : 1;
+    
+    ctx.strokeStyle = options.color;
+    ctx.fillStyle = options.color;
+    ctx.lineWidth = options.width;
+    ctx.setLineDash(options.dashed ? DASH_PATTERN : NO_DASH);
+    
+    // The line stops at the base of the arrowhead so it doesn't blunt the tip
+    const end = getEdgePoint(from, to, baseT, control, drawEnd);
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    if (control) {
+        // Control point of the curve cut off at baseT (de Casteljau)
+        ctx.quadraticCurveTo(
+            from.x + (control.x - from.x) * baseT,
+            from.y + (control.y - from.y) * baseT,
+            end.x,
+            end.y
+        );
+    } else {
+        ctx.lineTo(end.x, end.y);
+    }
+    ctx.stroke();
+    ctx.setLineDash(NO_DASH);
+    
+    if (!hasArrow) return;
+    
+    const tip = getEdgePoint(from, to, tipT, control, drawTip);
+    const direction = getEdgeDirection(from, to, tipT, control, drawDirection);
+    const halfWidth = ARROW_HALF_WIDTH * Math.sqrt(options.width);
+    const baseX = tip.x - direction.x * arrowLength;
+    const baseY = tip.y - direction.y * arrowLength;
+    
+    ctx.beginPath();
+    ctx.moveTo(tip.x, tip.y);
+    ctx.lineTo(baseX - direction.y * halfWidth, baseY + direction.x * halfWidth);
+    ctx.lineTo(baseX + direction.y * halfWidth, baseY - direction.x * halfWidth);
+    ctx.closePath();
+    ctx.fill();
+}
+
+export {
+    EDGE_STYLES,
+    validateEdgeAppearance,
+    getEdgeControlPoint,
+    getEdgePoint,
+    getEdgeWidth,
+    drawEdge
+};
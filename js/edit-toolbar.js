@@ -0,0 +1,220 @@
+/**
+ * edit-toolbar.js - Toolbar shown while the graph editor is active
+ *
+ * Lets the user pick the type of new nodes, delete the selection,
+ * undo or redo edits and save, clear the saved copy of, export or import the network
+ */
+
+import { NODE_TYPES } from './node.js';
+
+// Formats offered for export, value is the file extension
+const EXPORT_FORMATS = [
+    ['json', 'JSON'],
+    ['graphml', 'GraphML'],
+    ['dot', 'DOT']
+];
+
+// Snapshot sizes: [value, text, width, height, scale]; no width means the window size
+const SNAPSHOT_SIZES = [
+    ['window', 'Window', 0, 0, 1],
+    ['window-2x', 'Window ×2', 0, 0, 2],
+    ['hd', '1920×1080', 1920, 1080, 1],
+    ['4k', '3840×2160', 1920, 1080, 2]
+];
+
+/**
+ * DOM toolbar bound to a GraphEditor
+ */
+class EditToolbar {
+    /**
+     * Create the toolbar and add it to the page (hidden)
+     * @param {GraphEditor} editor - Editor to control
+     * @param {HTMLElement} [container] - Element to append the toolbar to
+     * @param {Object} [fileActions] - Handlers for the save, export and import controls
+     * @param {Function} fileActions.onSave - Save the network to localStorage
+     * @param {Function} fileActions.onClearSaved - Remove the saved network from localStorage
+     * @param {Function} fileActions.onExport - Download the network, called with a format
+     * @param {Function} fileActions.onImport - Load a network, called with a File
+     * @param {Function} [fileActions.onSnapshot] - Save an image, called with 'png' or 'svg' and snapshot options
+     */
+    constructor(editor, container = document.body, fileActions = null) {
+        this.editor = editor;
+        
+        this.element = document.createElement('div');
+        this.element.className = 'edit-toolbar';
+        this.element.setAttribute('role', 'toolbar');
+        this.element.setAttribute('aria-label', 'Graph editing');
+        this.element.hidden = true;
+        
+        // One toggle button per node type
+        this.typeButtons = NODE_TYPES.map((type, index) => {
+            const button = this.createButton(type, () => editor.setNodeType(type));
+            button.title = `New ${type} nodes (${index + 1})`;
+            button.dataset.type = type;
+            return button;
+        });
+        
+        this.deleteButton = this.createButton('Delete', () => editor.deleteSelected());
+        this.deleteButton.title = 'Delete selected nodes (Del)';
+        this.undoButton = this.createButton('Undo', () => editor.undo());
+        this.undoButton.title = 'Undo (Ctrl+Z)';
+        this.redoButton = this.createButton('Redo', () => editor.redo());
+        this.redoButton.title = 'Redo (Ctrl+Shift+Z)';
+        const doneButton = this.createButton('Done', () => editor.setEnabled(false));
+        doneButton.title = 'Leave edit mode (Esc)';
+        
+        const hint = document.createElement('p');
+        hint.className = 'edit-toolbar__hint';
+        hint.textContent = 'Click to add · drag between nodes to connect · Alt+drag to move';
+        
+        const types = document.createElement('div');
+        types.className = 'edit-toolbar__group';
+        types.setAttribute('role', 'group');
+        types.setAttribute('aria-label', 'New node type');
+        types.append(...this.typeButtons);
+        
+        const actions = document.createElement('div');
+        actions.className = 'edit-toolbar__group';
+        actions.append(this.deleteButton, this.undoButton, this.redoButton, doneButton);
+        
+        this.element.append(types, actions);
+        if (fileActions) {
+            this.element.appendChild(this.createFileGroup(fileActions));
+        }
+        if (fileActions && fileActions.onSnapshot) {
+            this.element.appendChild(this.createSnapshotGroup(fileActions.onSnapshot));
+        }
+        
+        // Result of the last save or import, announced to screen readers
+        this.status = document.createElement('p');
+        this.status.className = 'edit-toolbar__status';
+        this.status.setAttribute('role', 'status');
+        
+        this.element.append(hint, this.status);
+        container.appendChild(this.element);
+        
+        editor.subscribe(() => this.update());
+        this.update();
+    }
+    
+    /**
+     * Remove the toolbar from the page
+     */
+    destroy() {
+        this.element.remove();
+    }
+    
+    /**
+     * Create a toolbar button
+     * @param {string} text - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button
+     */
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Create the save, clear, export and import controls
+     * @param {Object} fileActions - Handlers, see the constructor
+     * @returns {HTMLElement} Group element
+     */
+    createFileGroup(fileActions) {
+        const saveButton = this.createButton('Save', () => fileActions.onSave());
+        saveButton.title = 'Save in this browser (Ctrl+S)';
+        const clearButton = this.createButton('Clear saved', () => fileActions.onClearSaved());
+        clearButton.title = 'Forget the network saved in this browser';
+        
+        const format = document.createElement('select');
+        format.setAttribute('aria-label', 'Export format');
+        EXPORT_FORMATS.forEach(([value, text]) => format.add(new Option(text, value)));
+        
+        const exportButton = this.createButton('Export', () => fileActions.onExport(format.value));
+        exportButton.title = 'Download the network';
+        
+        // The file input stays hidden behind the Import button
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,.graphml,.xml,.dot,.gv';
+        fileInput.hidden = true;
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                fileActions.onImport(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+        
+        const importButton = this.createButton('Import', () => fileInput.click());
+        importButton.title = 'Load a JSON, GraphML or DOT file';
+        
+        const group = document.createElement('div');
+        group.className = 'edit-toolbar__group';
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-label', 'Save and load');
+        group.append(saveButton, clearButton, format, exportButton, importButton, fileInput);
+        return group;
+    }
+    
+    /**
+     * Create the PNG and SVG snapshot controls
+     * @param {Function} onSnapshot - Called with the format and snapshot options
+     * @returns {HTMLElement} Group element
+     */
+    createSnapshotGroup(onSnapshot) {
+        const size = document.createElement('select');
+        size.setAttribute('aria-label', 'Snapshot size');
+        SNAPSHOT_SIZES.forEach(([value, text]) => size.add(new Option(text, value)));
+        
+        const pulsesInput = document.createElement('input');
+        pulsesInput.type = 'checkbox';
+        pulsesInput.checked = true;
+        const pulsesLabel = document.createElement('label');
+        pulsesLabel.append(pulsesInput, ' Pulses');
+        
+        const snapshot = format => {
+            const [, , width, height, scale] = SNAPSHOT_SIZES.find(([value]) => value === size.value);
+            onSnapshot(format, { width, height, scale, pulses: pulsesInput.checked });
+        };
+        
+        const pngButton = this.createButton('PNG', () => snapshot('png'));
+        pngButton.title = 'Save the current frame as a PNG image';
+        const svgButton = this.createButton('SVG', () => snapshot('svg'));
+        svgButton.title = 'Save the current frame as an SVG image';
+        
+        const group = document.createElement('div');
+        group.className = 'edit-toolbar__group';
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-label', 'Snapshot');
+        group.append(size, pulsesLabel, pngButton, svgButton);
+        return group;
+    }
+    
+    /**
+     * Show a short message about the last file operation
+     * @param {string} message - Message text
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+    
+    /**
+     * Reflect the editor state in the toolbar
+     */
+    update() {
+        const editor = this.editor;
+        
+        this.element.hidden = !editor.enabled;
+        this.typeButtons.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.type === editor.nodeType));
+        });
+        this.deleteButton.disabled = editor.appState.selection.count() === 0;
+        this.undoButton.disabled = editor.undoStack.length === 0;
+        this.redoButton.disabled = editor.redoStack.length === 0;
+    }
+}
+
+export { EditToolbar };
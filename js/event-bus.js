@@ -0,0 +1,109 @@
+/**
+ * event-bus.js - Minimal publish/subscribe for network view events
+ *
+ * Each network view owns one bus. Listeners receive the event detail object
+ * directly; a listener that throws is logged and does not stop the others or
+ * the animation loop that emitted the event.
+ */
+
+/**
+ * Typed event listeners with on/off/once/emit
+ */
+class EventBus {
+    /**
+     * Create a bus without listeners
+     */
+    constructor() {
+        // Listener arrays by event type
+        this.listeners = new Map();
+    }
+    
+    /**
+     * Register a listener
+     * @param {string} type - Event type, e.g. 'nodeclick'
+     * @param {Function} listener - Called with the event detail
+     * @returns {Function} Call to remove the listener again
+     */
+    on(type, listener) {
+        if (typeof listener !== 'function') {
+            throw new TypeError(`Listener for "${type}" must be a function`);
+        }
+        
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+        
+        return () => this.off(type, listener);
+    }
+    
+    /**
+     * Register a listener that is removed after its first call
+     * @param {string} type - Event type
+     * @param {Function} listener - Called with the event detail
+     * @returns {Function} Call to remove the listener before it fired
+     */
+    once(type, listener) {
+        const wrapper = detail => {
+            this.off(type, wrapper);
+            listener(detail);
+        };
+        wrapper.listener = listener;
+        return this.on(type, wrapper);
+    }
+    
+    /**
+     * Remove a listener registered with on or once
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener to remove
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+        
+        const index = listeners.findIndex(entry => entry === listener || entry.listener === listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+        if (listeners.length === 0) {
+            this.listeners.delete(type);
+        }
+    }
+    
+    /**
+     * Check for listeners, so hot paths can skip building event details
+     * @param {string} type - Event type
+     * @returns {boolean} True if at least one listener is registered
+     */
+    hasListeners(type) {
+        return this.listeners.has(type);
+    }
+    
+    /**
+     * Call every listener of a type
+     * @param {string} type - Event type
+     * @param {Object} [detail] - Event detail passed to the listeners
+     */
+    emit(type, detail = {}) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+        
+        // Copy, so listeners can remove themselves while being called
+        listeners.slice().forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in "${type}" listener`, error);
+            }
+        });
+    }
+    
+    /**
+     * Remove all listeners
+     */
+    clear() {
+        this.listeners.clear();
+    }
+}
+
+export { EventBus };
@@ -0,0 +1,180 @@
+/**
+ * flow-simulation.js - Optional pulse-flow simulation
+ *
+ * Turns the decorative pulses into a simple queueing model. Sources emit
+ * pulses on a schedule, every node queues incoming pulses and works on up to
+ * "capacity" of them at a time for "processingTime" ms, and finished pulses
+ * are routed along outgoing connections by weight, taking "transitTime" ms
+ * to travel. Destinations (and nodes without outgoing connections) consume
+ * what they finish; a node whose outgoing weights are all 0 drops them. The
+ * per-frame logic lives in Node.updateFlow.
+ *
+ * Settings come from the graph document:
+ *     { "id": "etl", "type": "process", "flow": { "processingTime": 400, "capacity": 2 } }
+ *     { "from": "crm", "to": "etl", "weight": 3, "transitTime": 800 }
+ */
+
+// Defaults per node type; a node's own flow settings override these
+const DEFAULT_FLOW_SETTINGS = {
+    source: {
+        interval: 1200, // ms between emissions
+        count: 1, // Pulses per emission
+        jitter: 0.25, // Random variation of the interval (0-1)
+        processingTime: 0,
+        capacity: 1,
+        queueLimit: 0,
+        transitTime: 1500 // Default for outgoing connections without their own
+    },
+    process: {
+        interval: 0,
+        count: 0,
+        jitter: 0,
+        processingTime: 800,
+        capacity: 1,
+        queueLimit: 20, // Pulses arriving at a full queue are dropped
+        transitTime: 1500
+    },
+    destination: {
+        interval: 0,
+        count: 0,
+        jitter: 0,
+        processingTime: 0, // Consume on arrival
+        capacity: 1,
+        queueLimit: Infinity,
+        transitTime: 1500
+    }
+};
+
+// Valid range of each flow setting, used by the graph loader
+const FLOW_SETTING_RANGES = {
+    interval: { min: 0, integer: false },
+    count: { min: 0, integer: true },
+    jitter: { min: 0, max: 1, integer: false },
+    processingTime: { min: 0, integer: false },
+    capacity: { min: 1, integer: true },
+    queueLimit: { min: 0, integer: true },
+    transitTime: { min: 1, integer: false }
+};
+
+// Valid range of the per-edge settings
+const EDGE_SETTING_RANGES = {
+    weight: { min: 0, integer: false },
+    transitTime: { min: 1, integer: false }
+};
+
+/**
+ * Check flow or edge settings against their allowed ranges
+ * @param {Object} settings - Settings to check
+ * @param {Object} ranges - Allowed ranges by name
+ * @returns {Array<string>} Problems, e.g. 'capacity must be an integer of at least 1'
+ */
+function validateSettings(settings, ranges) {
+    const problems = [];
+    
+    Object.keys(settings).forEach(name => {
+        const range = ranges[name];
+        const value = settings[name];
+        if (!range) {
+            problems.push(`unknown setting "${name}"`);
+        } else if (typeof value !== 'number' || Number.isNaN(value) ||
+            value < range.min || (range.max !== undefined && value > range.max) ||
+            (range.integer && !Number.isInteger(value))) {
+            const kind = range.integer ? 'an integer' : 'a number';
+            const bounds = range.max !== undefined
+                ? `between ${range.min} and ${range.max}`
+                : `of at least ${range.min}`;
+            problems.push(`${name} must be ${kind} ${bounds}`);
+        }
+    });
+    
+    return problems;
+}
+
+/**
+ * Validate the "flow" settings of a node spec
+ * @param {Object} settings - Flow settings
+ * @returns {Array<string>} Problems, empty if valid
+ */
+function validateFlowSettings(settings) {
+    return validateSettings(settings, FLOW_SETTING_RANGES);
+}
+
+/**
+ * Validate the weight and transit time of an edge spec
+ * @param {Object} edge - Edge spec
+ * @returns {Array<string>} Problems, empty if valid
+ */
+function validateEdgeSettings(edge) {
+    const settings = {};
+    Object.keys(EDGE_SETTING_RANGES).forEach(name => {
+        if (edge[name] !== undefined) settings[name] = edge[name];
+    });
+    return validateSettings(settings, EDGE_SETTING_RANGES);
+}
+
+/**
+ * Create the simulation state of a node
+ * @param {Node} node - Node to create the state for
+ * @returns {Object} Flow state
+ */
+function createFlowState(node) {
+    const settings = {
+        ...(DEFAULT_FLOW_SETTINGS[node.type] || DEFAULT_FLOW_SETTINGS.process),
+        ...node.flowSettings
+    };
+    
+    return {
+        ...settings,
+        nextEmission: settings.interval * node.random(), // Stagger sources
+        clock: 0,
+        queue: [], // Source times of queued pulses from queueHead on, processingPulses long
+        queueHead: 0, // Index of the oldest queued pulse
+        jobs: [], // Finish times of pulses being processed
+        jobOrigins: [], // Source times of pulses being processed
+        processed: 0,
+        consumed: 0,
+        dropped: 0,
+        throughput: 0, // Pulses finished per second
+        windowTime: 0,
+        windowCount: 0
+    };
+}
+
+/**
+ * Switch nodes to the flow simulation
+ * Nodes already in the simulation keep their state, so this can be called
+ * again after nodes were added
+ * @param {Array} nodes - Array of Node objects
+ */
+function enableFlow(nodes) {
+    // Nodes share one clock, so latencies can be measured across them
+    const clock = nodes.reduce((latest, node) => node.flow ? Math.max(latest, node.flow.clock) : latest, 0);
+    
+    nodes.forEach(node => {
+        if (!node.flow) {
+            node.clearPulses();
+            node.processingPulses = 0;
+            node.flow = createFlowState(node);
+        }
+        node.flow.clock = clock;
+    });
+}
+
+/**
+ * Return nodes to decorative pulses
+ * @param {Array} nodes - Array of Node objects
+ */
+function disableFlow(nodes) {
+    nodes.forEach(node => {
+        node.clearPulses();
+        node.processingPulses = 0;
+        node.flow = null;
+    });
+}
+
+export {
+    validateFlowSettings,
+    validateEdgeSettings,
+    enableFlow,
+    disableFlow
+};
@@ -2,30 +2,56 @@
  * Improved force-layout.js - Force-directed layout algorithm with mobile fixes
  */
 
+import { buildQuadTree } from './quadtree.js';
+import { createObstacle, getObstacleDistance } from './obstacles.js';
+
+// Default layout options, see applyForceLayout
+const DEFAULT_LAYOUT_OPTIONS = {
+    repulsion: 'auto',          // 'exact', 'barnes-hut' or 'auto'
+    theta: 0.8,                 // Barnes–Hut accuracy, lower is more exact
+    barnesHutThreshold: 1200    // Node count above which 'auto' switches to Barnes–Hut
+};
+
+// Reused between calls so the Barnes–Hut traversal doesn't allocate per node
+const traversalStack = [];
+
+// Receives the outward direction from getObstacleDistance
+const obstacleNormal = { x: 0, y: 0 };
+
 /**
  * Apply force-directed layout to calculate node velocities without immediate position updates
  * @param {Array} nodes - Array of Node objects
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
- * @param {Object} contentRect - The dimensions of content div to avoid
+ * @param {Array|null} obstacles - Obstacles to keep nodes away from (see obstacles.js);
+ *     null avoids a default area in the middle of the canvas
  * @param {number} strength - Strength of the force application (0-1)
+ * @param {Object} [options] - Layout options
+ * @param {Function} [options.random] - Random generator used to separate overlapping nodes
+ * @param {string} [options.repulsion] - Repulsion mode: 'exact', 'barnes-hut' or 'auto'
+ * @param {number} [options.theta] - Barnes–Hut opening angle
+ * @param {number} [options.barnesHutThreshold] - Node count where 'auto' switches to Barnes–Hut
  * @returns {Array} Updated nodes with calculated velocities
  */
-function applyForceLayout(nodes, width, height, contentRect, strength = 1) {
+function applyForceLayout(nodes, width, height, obstacles, strength = 1, options = {}) {
     if (strength <= 0) return;
-
+    
+    const layoutOptions = { ...DEFAULT_LAYOUT_OPTIONS, ...options };
+    
     // Parameters for the simulation - adjusted for better mobile display
     const config = {
         iterations: strength > 0.5 ? 2 : 1,    // More iterations for initial layout
         repulsionForce: 5000 * strength,       // Reduced from 5000 for less aggressive spreading
         attractionForce: 0.004 * strength,     // Increased from 0.004 for stronger connections
-        contentRepulsionForce: 3.0 * strength, // Force pushing nodes away from content div
-        contentPadding: 20,                    // Extra padding around content div
+        contentRepulsionForce: 3.0 * strength, // Force pushing nodes away from obstacles
         maxDisplacement: 15 * strength,        // Reduced from 15 for more controlled movement
         coolingFactor: 0.9,                    // Reduces movement over time
         minDistance: Math.min(width, height) * 0.15, // Scale with screen size instead of fixed 300
         edgePadding: Math.min(width, height) * 0.01,  // Scale with screen size instead of fixed 100
-        edgeForce: 1 * strength                // Reduced from 20 for more gentle boundary forces
+        edgeForce: 1 * strength,               // Reduced from 20 for more gentle boundary forces
+        random: layoutOptions.random || Math.random, // Seeded generator for reproducible layouts
+        useBarnesHut: shouldUseBarnesHut(nodes.length, layoutOptions),
+        theta: layoutOptions.theta
     };
     
     // Get center of canvas
@@ -43,25 +69,22 @@ function applyForceLayout(nodes, width, height, contentRect, strength = 1) {
         node.vy = 0;
     });
     
-    // Get the content div dimensions
-    if (!contentRect) {
-        // Default content rectangle if not provided - adaptive to screen size
+    if (!obstacles) {
+        // Default content area if not provided - adaptive to screen size
         const contentWidth = Math.min(600, width * 0.8);
         const contentHeight = Math.min(400, height * 0.6);
         
-        contentRect = {
-            left: width / 2 - contentWidth / 2,
-            right: width / 2 + contentWidth / 2,
-            top: height / 2 - contentHeight / 2,
-            bottom: height / 2 + contentHeight / 2,
+        obstacles = [createObstacle({
+            x: width / 2 - contentWidth / 2,
+            y: height / 2 - contentHeight / 2,
             width: contentWidth,
             height: contentHeight
-        };
+        })];
     }
     
     // Run simulation for a set number of iterations
     for (let iteration = 0; iteration < config.iterations; iteration++) {
-        applyForces(nodes, centerX, centerY, width, height, contentRect, config);
+        applyForces(nodes, centerX, centerY, width, height, obstacles, config);
         
         // Instead of updating positions, just limit velocity and apply cooling
         limitVelocities(nodes, config);
@@ -69,6 +92,13 @@ function applyForceLayout(nodes, width, height, contentRect, strength = 1) {
     
     // Blend new velocities with existing ones for smoother transitions
     nodes.forEach(node => {
+        // Pinned nodes still push and pull their neighbours but never move
+        if (node.isPinned) {
+            node.vx = 0;
+            node.vy = 0;
+            return;
+        }
+        
         const original = originalVelocities.get(node);
         if (original) {
             // Linear interpolation between old and new velocities
@@ -85,10 +115,27 @@ function applyForceLayout(nodes, width, height, contentRect, strength = 1) {
 }
 
 /**
- * Add extra boundary enforcement to keep nodes within the visible canvas
+ * Decide whether node repulsion should use the Barnes–Hut approximation
+ * Building and walking the quadtree costs more than exact repulsion saves
+ * below roughly a thousand nodes, hence the default threshold.
+ * @param {number} nodeCount - Number of nodes in the layout
+ * @param {Object} options - Layout options
+ * @returns {boolean} True for Barnes–Hut, false for exact pairwise repulsion
+ */
+function shouldUseBarnesHut(nodeCount, options) {
+    switch (options.repulsion) {
+        case 'exact': return false;
+        case 'barnes-hut': return true;
+        default: return nodeCount > options.barnesHutThreshold;
+    }
+}
+
+/**
+ * Keep a node within the layout area, bouncing it off the edges
+ * Also used for dragged nodes, so they can't be dropped where the layout wouldn't keep them
  * @param {Object} node - Node to check
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height 
+ * @param {number} width - Layout area width (see getLayoutSize in canvas.js)
+ * @param {number} height - Layout area height
  */
 function enforceBoundaries(node, width, height) {
     const margin = node.radius * 2;
@@ -141,10 +188,15 @@ function limitVelocities(nodes, config) {
  * @param {number} centerY - Y coordinate of canvas center
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
- * @param {Object} contentRect - The dimensions of content div
+ * @param {Array} obstacles - Obstacles to avoid
  * @param {Object} config - Simulation parameters
  */
-function applyForces(nodes, centerX, centerY, width, height, contentRect, config) {
+function applyForces(nodes, centerX, centerY, width, height, obstacles, config) {
+    // Build the quadtree once per iteration; positions don't change until updatePositions
+    const tree = config.useBarnesHut
+        ? buildQuadTree(nodes.filter(node => !node.isDragged))
+        : null;
+    
     // Calculate all forces
     for (let a = 0; a < nodes.length; a++) {
         const nodeA = nodes[a];
@@ -152,14 +204,20 @@ function applyForces(nodes, centerX, centerY, width, height, contentRect, config
         // Skip dragged nodes
         if (nodeA.isDragged) continue;
         
-        // Apply content rectangle repulsion - push nodes away from content div
-        applyContentRepulsion(nodeA, contentRect, config);
+        // Push nodes away from content and other obstacles
+        for (let i = 0; i < obstacles.length; i++) {
+            applyObstacleRepulsion(nodeA, obstacles[i], config);
+        }
         
         // Apply edge forces to keep nodes within canvas - strengthened for mobile
         applyEdgeForces(nodeA, width, height, config);
         
         // Apply repulsion forces between all node pairs
-        applyNodeRepulsion(nodeA, nodes, a, config);
+        if (tree) {
+            applyApproximateRepulsion(nodeA, tree, config);
+        } else {
+            applyNodeRepulsion(nodeA, nodes, a, config);
+        }
     }
     
     // Apply attraction forces for connected nodes
@@ -167,73 +225,32 @@ function applyForces(nodes, centerX, centerY, width, height, contentRect, config
 }
 
 /**
- * Apply content area repulsion force to a node
+ * Apply obstacle repulsion force to a node
  * @param {Object} node - Node to apply force to
- * @param {Object} contentRect - The dimensions of content div
+ * @param {Object} obstacle - Obstacle with its own padding and strength
  * @param {Object} config - Simulation parameters
  */
-function applyContentRepulsion(node, contentRect, config) {
-    // Extended rectangle with padding
-    const extendedRect = {
-        left: contentRect.left - config.contentPadding,
-        right: contentRect.right + config.contentPadding,
-        top: contentRect.top - config.contentPadding,
-        bottom: contentRect.bottom + config.contentPadding
-    };
+function applyObstacleRepulsion(node, obstacle, config) {
+    // Distance to the padded outline
+    const distance = getObstacleDistance(obstacle, node.x, node.y, obstacleNormal) - obstacle.padding;
+    const baseForce = config.contentRepulsionForce * obstacle.strength;
     
-    // Check if node is inside or near the extended content rectangle
-    const isInXRange = node.x >= extendedRect.left && node.x <= extendedRect.right;
-    const isInYRange = node.y >= extendedRect.top && node.y <= extendedRect.bottom;
+    if (distance <= 0) {
+        // Inside or touching: push out through the nearest side - strengthened for mobile
+        const force = baseForce * 3;
+        node.vx += obstacleNormal.x * force;
+        node.vy += obstacleNormal.y * force;
+        return;
+    }
     
-    // If node is inside or very close to content area
-    if (isInXRange && isInYRange) {
-        // Calculate distances to all edges
-        const distToLeft = node.x - extendedRect.left;
-        const distToRight = extendedRect.right - node.x;
-        const distToTop = node.y - extendedRect.top;
-        const distToBottom = extendedRect.bottom - node.y;
-        
-        // Find closest edge
-        const minDist = Math.min(distToLeft, distToRight, distToTop, distToBottom);
-        
-        // Apply force in direction of closest edge - strengthen for mobile
-        const force = config.contentRepulsionForce * 3; // Increased from 2
-        
-        if (minDist === distToLeft) {
-            // Push left
-            node.vx -= force;
-        } else if (minDist === distToRight) {
-            // Push right
-            node.vx += force;
-        } else if (minDist === distToTop) {
-            // Push up
-            node.vy -= force;
-        } else if (minDist === distToBottom) {
-            // Push down
-            node.vy += force;
-        }
-    } else {
-        // For nodes near but not inside the rectangle, apply gradient force
-        // Calculate closest point on rectangle to node
-        const closestX = Math.max(extendedRect.left, Math.min(node.x, extendedRect.right));
-        const closestY = Math.max(extendedRect.top, Math.min(node.y, extendedRect.bottom));
-        
-        // Vector from closest point to node
-        const dx = node.x - closestX;
-        const dy = node.y - closestY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        // Only apply force if node is close to rectangle
-        const repulsionRadius = Math.min(100, Math.max(50, (contentRect.width + contentRect.height)/8));
-        
-        if (distance < repulsionRadius && distance > 0) {
-            // Force decreases with distance
-            const force = config.contentRepulsionForce * (1 - distance / repulsionRadius);
-            
-            // Push away from closest point
-            node.vx += (dx / distance) * force;
-            node.vy += (dy / distance) * force;
-        }
+    // Near the obstacle: gradient force, only within a radius scaled to its size
+    const repulsionRadius = Math.min(100, Math.max(50, (obstacle.halfWidth + obstacle.halfHeight) / 4));
+    
+    if (distance < repulsionRadius) {
+        // Force decreases with distance
+        const force = baseForce * (1 - distance / repulsionRadius);
+        node.vx += obstacleNormal.x * force;
+        node.vy += obstacleNormal.y * force;
     }
 }
 
@@ -287,8 +304,17 @@ function applyNodeRepulsion(nodeA, nodes, startIndex, config) {
         // Skip dragged nodes
         if (nodeB.isDragged) continue;
         
-        const dx = nodeB.x - nodeA.x;
-        const dy = nodeB.y - nodeA.y;
+        let dx = nodeB.x - nodeA.x;
+        let dy = nodeB.y - nodeA.y;
+        
+        // Nudge overlapping nodes apart in a random direction,
+        // otherwise the repulsion between them has no direction
+        if (dx === 0 && dy === 0) {
+            const angle = config.random() * Math.PI * 2;
+            dx = Math.cos(angle);
+            dy = Math.sin(angle);
+        }
+        
         const distance = Math.sqrt(dx * dx + dy * dy) || 1; // Avoid division by zero
         
         // Stronger repulsion for closer nodes
@@ -305,6 +331,87 @@ function applyNodeRepulsion(nodeA, nodes, startIndex, config) {
     }
 }
 
+/**
+ * Apply repulsion to a single node using the Barnes–Hut approximation
+ * Distant cells act as one body at their centre of mass
+ * @param {Object} node - Node to apply forces to
+ * @param {QuadCell} tree - Quadtree over all non-dragged nodes
+ * @param {Object} config - Simulation parameters
+ */
+function applyApproximateRepulsion(node, tree, config) {
+    const cutoff = config.minDistance * 2;
+    const stack = traversalStack;
+    stack.length = 0;
+    stack.push(tree);
+    
+    while (stack.length > 0) {
+        const cell = stack.pop();
+        if (cell.mass === 0) continue;
+        
+        // Skip cells that lie entirely outside the repulsion range
+        const nearestX = Math.max(cell.x, Math.min(node.x, cell.x + cell.size));
+        const nearestY = Math.max(cell.y, Math.min(node.y, cell.y + cell.size));
+        const gapX = node.x - nearestX;
+        const gapY = node.y - nearestY;
+        if (gapX * gapX + gapY * gapY >= cutoff * cutoff) continue;
+        
+        // Leaves are resolved point by point
+        if (!cell.children) {
+            for (let i = 0; i < cell.points.length; i++) {
+                const other = cell.points[i];
+                if (other !== node) {
+                    applyRepulsionFrom(node, other.x, other.y, 1, config);
+                }
+            }
+            continue;
+        }
+        
+        // Far enough away (and not containing the node): treat as a single body
+        const containsNode = gapX === 0 && gapY === 0;
+        const dx = cell.cx - node.x;
+        const dy = cell.cy - node.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        if (!containsNode && distance > 0 && cell.size / distance < config.theta) {
+            applyRepulsionFrom(node, cell.cx, cell.cy, cell.mass, config);
+            continue;
+        }
+        
+        for (let i = 0; i < cell.children.length; i++) {
+            stack.push(cell.children[i]);
+        }
+    }
+}
+
+/**
+ * Push a node away from a body of the given mass
+ * Uses the same force law and range as applyNodeRepulsion
+ * @param {Object} node - Node to apply force to
+ * @param {number} x - Body X coordinate
+ * @param {number} y - Body Y coordinate
+ * @param {number} mass - Number of nodes the body stands for
+ * @param {Object} config - Simulation parameters
+ */
+function applyRepulsionFrom(node, x, y, mass, config) {
+    let dx = x - node.x;
+    let dy = y - node.y;
+    
+    // Nudge overlapping nodes apart in a random direction
+    if (dx === 0 && dy === 0) {
+        const angle = config.random() * Math.PI * 2;
+        dx = Math.cos(angle);
+        dy = Math.sin(angle);
+    }
+    
+    const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+    
+    if (distance < config.minDistance * 2) {
+        const force = config.repulsionForce * mass / (distance * distance);
+        node.vx -= (dx / distance) * force;
+        node.vy -= (dy / distance) * force;
+    }
+}
+
 /**
  * Apply attraction forces between connected nodes
  * @param {Array} nodes - All nodes in the network
@@ -336,6 +443,34 @@ function applyConnectionAttractions(nodes, config) {
     });
 }
 
+/**
+ * Steer nodes towards fixed target positions, e.g. from the layered layout
+ * Called every frame instead of applyForceLayout. New velocities are blended
+ * with the existing ones in the same way, so switching layouts animates
+ * smoothly instead of jumping.
+ * @param {Array} nodes - Array of Node objects
+ * @param {Float32Array} targets - Target positions as [x0, y0, x1, y1, ...], in node order
+ * @param {number} [strength=1] - How hard nodes are pulled towards their targets
+ */
+function applyTargetLayout(nodes, targets, strength = 1) {
+    const pull = 0.5 * strength; // Velocity per pixel of distance to the target
+    const blendFactor = 0.7;
+    
+    nodes.forEach((node, i) => {
+        if (node.isDragged) return;
+        if (node.isPinned) {
+            node.vx = 0;
+            node.vy = 0;
+            return;
+        }
+        
+        const dx = targets[i * 2] - node.x;
+        const dy = targets[i * 2 + 1] - node.y;
+        node.vx = dx * pull * blendFactor + node.vx * (1 - blendFactor);
+        node.vy = dy * pull * blendFactor + node.vy * (1 - blendFactor);
+    });
+}
+
 /**
  * Update node positions based on velocities - improved for mobile
  * @param {Array} nodes - All nodes in the network
@@ -345,39 +480,17 @@ function applyConnectionAttractions(nodes, config) {
  */
 function updatePositions(nodes, width, height, animationSpeed = 0.03) {
     nodes.forEach(node => {
-        // Skip updating dragged nodes - they follow the mouse directly
-        if (node.isDragged) return;
+        // Skip updating dragged nodes - they follow the pointer directly
+        // Pinned nodes stay where they were placed
+        if (node.isDragged || node.isPinned) return;
         
         // Apply velocity to position with animation speed factor
         node.x += node.vx * animationSpeed;
         node.y += node.vy * animationSpeed;
         
-        // More aggressive boundary enforcement
-        const padding = node.radius * 2;
-        
-        // Check if somehow node escaped the canvas (can happen with high velocities)
-        if (node.x < padding || node.x > width - padding ||
-            node.y < padding || node.y > height - padding) {
-            
-            // Enforce boundaries and reverse velocity component
-            if (node.x < padding) {
-                node.x = padding;
-                node.vx = Math.abs(node.vx) * 0.5; // Bounce back with reduced speed
-            }
-            if (node.x > width - padding) {
-                node.x = width - padding;
-                node.vx = -Math.abs(node.vx) * 0.5;
-            }
-            if (node.y < padding) {
-                node.y = padding;
-                node.vy = Math.abs(node.vy) * 0.5;
-            }
-            if (node.y > height - padding) {
-                node.y = height - padding;
-                node.vy = -Math.abs(node.vy) * 0.5;
-            }
-        }
+        // Nodes that escaped the canvas (can happen with high velocities) bounce back
+        enforceBoundaries(node, width, height);
     });
 }
 
-export { applyForceLayout, updatePositions };
\ No newline at end of file
+export { applyForceLayout, applyTargetLayout, updatePositions, enforceBoundaries };
\ No newline at end of file
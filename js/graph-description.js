@@ -0,0 +1,173 @@
+/**
+ * graph-description.js - Text alternative of the network for screen readers
+ *
+ * The canvas itself is just pixels. A visually hidden description summarises
+ * the graph and lists its nodes with their connections, and a live region
+ * announces the node that keyboard navigation moved to.
+ */
+
+// Nodes listed in the description; larger graphs only get the summary and the first ones
+const MAX_LISTED_NODES = 100;
+
+// Descriptions created so far, for unique element ids when several views share a page
+let descriptionCount = 0;
+
+/**
+ * Name of a node as read out
+ * @param {Node} node - Node
+ * @returns {string} Label, or the id for nodes without one
+ */
+function getNodeName(node) {
+    return node.label || String(node.id);
+}
+
+/**
+ * Count things in words
+ * @param {number} count - Number of things
+ * @param {string} singular - Name of one
+ * @param {string} plural - Name of several
+ * @returns {string} E.g. "1 source" or "3 sources"
+ */
+function countOf(count, singular, plural) {
+    return `${count} ${count === 1 ? singular : plural}`;
+}
+
+/**
+ * Describe one node and its connections
+ * @param {Node} node - Node to describe
+ * @param {Array} incoming - Nodes connecting to it
+ * @returns {string} Sentence such as "ETL, process. Receives from CRM. Sends to Warehouse."
+ */
+function describeNode(node, incoming) {
+    let text = `${getNodeName(node)}, ${node.type}.`;
+    if (incoming.length > 0) {
+        text += ` Receives from ${incoming.map(getNodeName).join(', ')}.`;
+    }
+    if (node.connections.length > 0) {
+        text += ` Sends to ${node.connections.map(getNodeName).join(', ')}.`;
+    }
+    if (node.isPinned) {
+        text += ' Pinned.';
+    }
+    return text;
+}
+
+/**
+ * Collect the nodes connecting to each node
+ * @param {Array} nodes - Array of Node objects
+ * @returns {Map} Incoming nodes keyed by node
+ */
+function getIncoming(nodes) {
+    const incoming = new Map();
+    nodes.forEach(node => incoming.set(node, []));
+    nodes.forEach(node => node.connections.forEach(connected => {
+        if (incoming.has(connected)) {
+            incoming.get(connected).push(node);
+        }
+    }));
+    return incoming;
+}
+
+/**
+ * Visually hidden description and live region belonging to one canvas
+ */
+class GraphDescription {
+    /**
+     * Create the description and point the canvas at it
+     * @param {HTMLCanvasElement} canvas - Canvas showing the network
+     * @param {HTMLElement} [container] - Element to append the description to
+     */
+    constructor(canvas, container = document.body) {
+        this.canvas = canvas;
+        this.incoming = new Map();
+        
+        descriptionCount += 1;
+        const id = `network-description-${descriptionCount}`;
+        
+        this.element = document.createElement('div');
+        this.element.id = id;
+        this.element.className = 'visually-hidden';
+        
+        this.summary = document.createElement('p');
+        this.list = document.createElement('ul');
+        
+        const help = document.createElement('p');
+        help.textContent = 'Use the arrow keys or Tab to move between nodes and Enter to open their details. ' +
+            'P pauses the animation.';
+        
+        this.element.append(this.summary, help, this.list);
+        
+        // Read out when keyboard navigation reaches a node
+        this.liveRegion = document.createElement('p');
+        this.liveRegion.className = 'visually-hidden';
+        this.liveRegion.setAttribute('role', 'status');
+        
+        container.append(this.element, this.liveRegion);
+        
+        // Restored by destroy, the canvas belongs to the page
+        this.previousAttributes = ['role', 'aria-label', 'aria-describedby']
+            .map(name => [name, canvas.getAttribute(name)]);
+        canvas.setAttribute('role', 'application');
+        if (!canvas.hasAttribute('aria-label')) {
+            canvas.setAttribute('aria-label', 'Automation network');
+        }
+        canvas.setAttribute('aria-describedby', id);
+    }
+    
+    /**
+     * Describe the current graph
+     * @param {Array} nodes - Array of Node objects
+     */
+    update(nodes) {
+        this.incoming = getIncoming(nodes);
+        
+        const counts = { source: 0, process: 0, destination: 0 };
+        let edgeCount = 0;
+        nodes.forEach(node => {
+            counts[node.type] = (counts[node.type] || 0) + 1;
+            edgeCount += node.connections.length;
+        });
+        
+        this.summary.textContent = `Network of ${countOf(nodes.length, 'node', 'nodes')} and ` +
+            `${countOf(edgeCount, 'connection', 'connections')}: ${countOf(counts.source, 'source', 'sources')}, ` +
+            `${countOf(counts.process, 'process step', 'process steps')} and ` +
+            `${countOf(counts.destination, 'destination', 'destinations')}.`;
+        
+        const items = nodes.slice(0, MAX_LISTED_NODES).map(node => {
+            const item = document.createElement('li');
+            item.textContent = describeNode(node, this.incoming.get(node));
+            return item;
+        });
+        if (nodes.length > MAX_LISTED_NODES) {
+            const more = document.createElement('li');
+            more.textContent = `And ${nodes.length - MAX_LISTED_NODES} more nodes.`;
+            items.push(more);
+        }
+        this.list.replaceChildren(...items);
+    }
+    
+    /**
+     * Announce the node keyboard navigation moved to
+     * @param {Node|null} node - Focused node, null to clear the announcement
+     */
+    announce(node) {
+        this.liveRegion.textContent = node ? describeNode(node, this.incoming.get(node) || []) : '';
+    }
+    
+    /**
+     * Remove the description and restore the canvas attributes
+     */
+    destroy() {
+        this.element.remove();
+        this.liveRegion.remove();
+        this.previousAttributes.forEach(([name, value]) => {
+            if (value === null) {
+                this.canvas.removeAttribute(name);
+            } else {
+                this.canvas.setAttribute(name, value);
+            }
+        });
+    }
+}
+
+export { GraphDescription };
@@ -0,0 +1,343 @@
+/**
+ * graph-editor.js - Interactive editing of the network
+ *
+ * In edit mode clicking empty space adds a node, dragging from one node to
+ * another connects them (or removes an existing connection) and the selected
+ * nodes can be deleted. Every edit can be undone and redone. The selection is
+ * the view's (see selection.js), so it is kept when leaving edit mode.
+ */
+
+import { Node, NODE_TYPES } from './node.js';
+import { removeNode, restoreNode, createNodeId } from './network.js';
+
+// Maximum number of edits kept for undo
+const MAX_HISTORY = 100;
+
+// Radius of nodes added in edit mode
+const NEW_NODE_RADIUS = 9;
+
+/**
+ * Edit mode state, edit operations and undo/redo history
+ */
+class GraphEditor {
+    /**
+     * Create an editor for the application's network
+     * @param {Object} appState - Application state
+     * @param {Function} [onChange] - Called after every change to nodes or connections
+     */
+    constructor(appState, onChange = () => {}) {
+        this.appState = appState;
+        this.onChange = onChange;
+        
+        this.enabled = false;
+        this.nodeType = "process"; // Type of nodes added by clicking
+        
+        // Connection being dragged out of a node
+        this.linkSource = null;
+        this.linkX = 0;
+        this.linkY = 0;
+        
+        // Undo/redo stacks of { apply, revert } commands
+        this.undoStack = [];
+        this.redoStack = [];
+        
+        // Listeners notified when mode, selection or history change (toolbar)
+        this.listeners = [];
+        appState.selection.subscribe(() => this.notify());
+    }
+    
+    /**
+     * Register a listener for editor state changes
+     * @param {Function} listener - Called with the editor
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+    
+    /**
+     * Notify state listeners
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+    
+    /**
+     * Turn edit mode on or off
+     * @param {boolean} enabled - New state
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.linkSource = null;
+        this.notify();
+    }
+    
+    /**
+     * Choose the type of node added by clicking empty space
+     * @param {string} type - Node type
+     */
+    setNodeType(type) {
+        if (NODE_TYPES.includes(type)) {
+            this.nodeType = type;
+            this.notify();
+        }
+    }
+    
+    /**
+     * Handle a press in edit mode
+     * @param {Node|null} node - Node under the pointer
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @returns {boolean} True if the press started a connection drag
+     */
+    pointerDown(node, x, y) {
+        if (!node) return false;
+        
+        this.linkSource = node;
+        this.linkX = x;
+        this.linkY = y;
+        return true;
+    }
+    
+    /**
+     * Track the pointer while dragging a connection
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     */
+    pointerMove(x, y) {
+        this.linkX = x;
+        this.linkY = y;
+    }
+    
+    /**
+     * Abandon the connection being dragged
+     */
+    cancelLink() {
+        this.linkSource = null;
+    }
+    
+    /**
+     * Handle a release in edit mode
+     * @param {Node|null} node - Node under the pointer
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @param {boolean} isClick - True if the pointer barely moved since the press
+     */
+    pointerUp(node, x, y, isClick) {
+        const source = this.linkSource;
+        this.linkSource = null;
+        
+        if (isClick) {
+            if (node) {
+                this.select(node);
+            } else {
+                this.addNode(x, y, this.nodeType);
+            }
+            return;
+        }
+        
+        if (source && node && node !== source) {
+            this.toggleConnection(source, node);
+        }
+    }
+    
+    /**
+     * Select only one node
+     * @param {Node|null} node - Node to select, null to clear the selection
+     */
+    select(node) {
+        this.appState.selection.set(node ? [node] : []);
+    }
+    
+    /**
+     * Add a node of the given type
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @param {string} type - Node type
+     * @returns {Node} The new node
+     */
+    addNode(x, y, type) {
+        const nodes = this.appState.nodes;
+        const node = new Node(x, y, NEW_NODE_RADIUS, type, this.appState.random);
+        node.id = createNodeId(nodes);
+        let removed = null;
+        
+        this.execute({
+            apply: () => {
+                if (removed) {
+                    restoreNode(nodes, node, removed);
+                } else {
+                    nodes.push(node);
+                }
+            },
+            revert: () => {
+                removed = removeNode(nodes, node);
+            }
+        });
+        
+        this.select(node);
+        return node;
+    }
+    
+    /**
+     * Delete the selected nodes with all their connections, as one edit
+     */
+    deleteSelected() {
+        const selected = this.appState.selection.getNodes();
+        if (selected.length === 0) return;
+        
+        const nodes = this.appState.nodes;
+        let removed = [];
+        
+        this.execute({
+            apply: () => {
+                removed = selected.map(node => removeNode(nodes, node));
+            },
+            revert: () => {
+                // In reverse, so indices and connections between the deleted nodes come back
+                for (let i = selected.length - 1; i >= 0; i--) {
+                    if (removed[i]) {
+                        restoreNode(nodes, selected[i], removed[i]);
+                    }
+                }
+            }
+        });
+    }
+    
+    /**
+     * Connect two nodes, or remove the connection if it already exists
+     * @param {Node} from - Source node
+     * @param {Node} to - Target node
+     */
+    toggleConnection(from, to) {
+        const connect = () => from.connect(to);
+        const disconnect = () => from.disconnect(to);
+        
+        if (from.connections.includes(to)) {
+            this.execute({ apply: disconnect, revert: connect });
+        } else {
+            this.execute({ apply: connect, revert: disconnect });
+        }
+    }
+    
+    /**
+     * Apply a command and record it for undo
+     * @param {Object} command - Object with apply and revert functions
+     */
+    execute(command) {
+        command.apply();
+        this.undoStack.push(command);
+        if (this.undoStack.length > MAX_HISTORY) {
+            this.undoStack.shift();
+        }
+        this.redoStack.length = 0;
+        this.changed();
+    }
+    
+    /**
+     * Revert the last edit
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return;
+        
+        command.revert();
+        this.redoStack.push(command);
+        this.changed();
+    }
+    
+    /**
+     * Re-apply the last undone edit
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return;
+        
+        command.apply();
+        this.undoStack.push(command);
+        this.changed();
+    }
+    
+    /**
+     * Forget all edits, e.g. after the whole network was replaced
+     */
+    clearHistory() {
+        this.undoStack.length = 0;
+        this.redoStack.length = 0;
+        this.linkSource = null;
+        this.notify();
+    }
+    
+    /**
+     * Report a change to the network
+     */
+    changed() {
+        this.onChange();
+        this.notify();
+    }
+    
+    /**
+     * Handle editing shortcuts
+     * @param {KeyboardEvent} e - Keyboard event
+     * @returns {boolean} True if the key was handled
+     */
+    handleKey(e) {
+        const mod = e.ctrlKey || e.metaKey;
+        
+        if (mod && e.key.toLowerCase() === 'z') {
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            return true;
+        }
+        if (mod && e.key.toLowerCase() === 'y') {
+            this.redo();
+            return true;
+        }
+        if (mod || e.altKey) return false;
+        
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            this.deleteSelected();
+            return true;
+        }
+        if (e.key === 'Escape') {
+            this.setEnabled(false);
+            return true;
+        }
+        
+        // 1, 2, 3 pick the type of new nodes
+        const typeIndex = Number(e.key) - 1;
+        if (Number.isInteger(typeIndex) && NODE_TYPES[typeIndex]) {
+            this.setNodeType(NODE_TYPES[typeIndex]);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Draw the connection being dragged
+     * Selected nodes draw their own ring, see Node.drawNode.
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context (world transform)
+     * @param {number} zoom - Current camera zoom
+     * @param {Object} theme - Colours to draw with (see theme.js)
+     */
+    draw(ctx, zoom, theme) {
+        if (!this.enabled || !this.linkSource) return;
+        
+        ctx.lineWidth = 1.5 / zoom;
+        ctx.strokeStyle = theme.focus;
+        ctx.globalAlpha = 0.6;
+        ctx.setLineDash([6 / zoom, 4 / zoom]);
+        ctx.beginPath();
+        ctx.moveTo(this.linkSource.x, this.linkSource.y);
+        ctx.lineTo(this.linkX, this.linkY);
+        ctx.stroke();
+        
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+    }
+}
+
+export { GraphEditor };
@@ -0,0 +1,638 @@
+/**
+ * graph-io.js - Export and import of the network
+ *
+ * Serializes nodes to the JSON graph document understood by graph-loader.js,
+ * to GraphML and to DOT, parses GraphML and DOT back into graph documents
+ * and keeps a saved copy in localStorage
+ */
+
+// Default localStorage key of the saved graph; views on one page need their own
+const STORAGE_KEY = 'automation-network:graph';
+
+// Version of the JSON export format
+const FORMAT_VERSION = 1;
+
+// Margin (relative to the canvas) kept around imported GraphML/DOT layouts
+const IMPORT_MARGIN = 0.05;
+
+// Time (ms) a download link's object URL stays valid after the click
+const REVOKE_DELAY = 1000;
+
+/**
+ * Serialize nodes to a graph document (see graph-loader.js)
+ * Positions are stored relative to the canvas so the layout survives a resize
+ * @param {Array} nodes - Array of Node objects
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Object} Graph document
+ */
+function serializeGraph(nodes, width, height) {
+    const ids = getExportIds(nodes);
+    
+    return {
+        version: FORMAT_VERSION,
+        nodes: nodes.map(node => {
+            const spec = {
+                id: ids.get(node),
+                type: node.type,
+                radius: round(node.radius),
+                position: {
+                    x: round(node.x / width, 4),
+                    y: round(node.y / height, 4)
+                },
+                pinned: node.isPinned
+            };
+            
+            if (node.label) spec.label = node.label;
+            if (node.description) spec.description = node.description;
+            if (Object.keys(node.metadata).length > 0) spec.metadata = { ...node.metadata };
+            if (Object.keys(node.flowSettings).length > 0) spec.flow = { ...node.flowSettings };
+            
+            return spec;
+        }),
+        edges: getEdges(nodes, ids)
+    };
+}
+
+/**
+ * Export nodes as GraphML
+ * Positions are absolute canvas coordinates
+ * @param {Array} nodes - Array of Node objects
+ * @returns {string} GraphML document
+ */
+function toGraphML(nodes) {
+    const ids = getExportIds(nodes);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        '  <key id="type" for="node" attr.name="type" attr.type="string"/>',
+        '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+        '  <key id="description" for="node" attr.name="description" attr.type="string"/>',
+        '  <key id="metadata" for="node" attr.name="metadata" attr.type="string"/>',
+        '  <key id="x" for="node" attr.name="x" attr.type="double"/>',
+        '  <key id="y" for="node" attr.name="y" attr.type="double"/>',
+        '  <key id="radius" for="node" attr.name="radius" attr.type="double"/>',
+        '  <key id="pinned" for="node" attr.name="pinned" attr.type="boolean"/>',
+        '  <key id="flow" for="node" attr.name="flow" attr.type="string"/>',
+        '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+        '  <key id="transitTime" for="edge" attr.name="transitTime" attr.type="double"/>',
+        '  <key id="edgeLabel" for="edge" attr.name="label" attr.type="string"/>',
+        '  <key id="style" for="edge" attr.name="style" attr.type="string"/>',
+        '  <graph id="network" edgedefault="directed">'
+    ];
+    
+    nodes.forEach(node => {
+        lines.push(`    <node id="${escapeXml(ids.get(node))}">`);
+        lines.push(`      <data key="type">${escapeXml(node.type)}</data>`);
+        if (node.label) lines.push(`      <data key="label">${escapeXml(node.label)}</data>`);
+        if (node.description) lines.push(`      <data key="description">${escapeXml(node.description)}</data>`);
+        if (Object.keys(node.metadata).length > 0) {
+            lines.push(`      <data key="metadata">${escapeXml(JSON.stringify(node.metadata))}</data>`);
+        }
+        lines.push(`      <data key="x">${round(node.x)}</data>`);
+        lines.push(`      <data key="y">${round(node.y)}</data>`);
+        lines.push(`      <data key="radius">${round(node.radius)}</data>`);
+        lines.push(`      <data key="pinned">${node.isPinned}</data>`);
+        if (Object.keys(node.flowSettings).length > 0) {
+            lines.push(`      <data key="flow">${escapeXml(JSON.stringify(node.flowSettings))}</data>`);
+        }
+        lines.push('    </node>');
+    });
+    
+    getEdges(nodes, ids).forEach(edge => {
+        const source = `source="${escapeXml(edge.from)}" target="${escapeXml(edge.to)}"`;
+        if (Object.keys(edge).length === 2) {
+            lines.push(`    <edge ${source}/>`);
+            return;
+        }
+        lines.push(`    <edge ${source}>`);
+        if (edge.weight !== undefined) lines.push(`      <data key="weight">${edge.weight}</data>`);
+        if (edge.transitTime !== undefined) lines.push(`      <data key="transitTime">${edge.transitTime}</data>`);
+        if (edge.label !== undefined) lines.push(`      <data key="edgeLabel">${escapeXml(edge.label)}</data>`);
+        if (edge.style !== undefined) lines.push(`      <data key="style">${escapeXml(edge.style)}</data>`);
+        lines.push('    </edge>');
+    });
+    
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n');
+}
+
+/**
+ * Export nodes as a Graphviz DOT digraph
+ * @param {Array} nodes - Array of Node objects
+ * @returns {string} DOT document
+ */
+function toDOT(nodes) {
+    const ids = getExportIds(nodes);
+    const lines = ['digraph network {'];
+    
+    nodes.forEach(node => {
+        const attributes = [
+            `type=${quoteDot(node.type)}`,
+            `label=${quoteDot(node.label || ids.get(node))}`,
+            `pos=${quoteDot(`${round(node.x)},${round(node.y)}${node.isPinned ? '!' : ''}`)}`,
+            `radius=${quoteDot(round(node.radius))}`
+        ];
+        if (node.description) attributes.push(`tooltip=${quoteDot(node.description)}`);
+        if (Object.keys(node.flowSettings).length > 0) {
+            attributes.push(`flow=${quoteDot(JSON.stringify(node.flowSettings))}`);
+        }
+        
+        lines.push(`    ${quoteDot(ids.get(node))} [${attributes.join(', ')}];`);
+    });
+    
+    getEdges(nodes, ids).forEach(edge => {
+        const attributes = [];
+        if (edge.weight !== undefined) attributes.push(`weight=${quoteDot(edge.weight)}`);
+        if (edge.transitTime !== undefined) attributes.push(`transitTime=${quoteDot(edge.transitTime)}`);
+        if (edge.label !== undefined) attributes.push(`label=${quoteDot(edge.label)}`);
+        if (edge.style !== undefined) attributes.push(`style=${quoteDot(edge.style)}`);
+        const list = attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+        lines.push(`    ${quoteDot(edge.from)} -> ${quoteDot(edge.to)}${list};`);
+    });
+    
+    lines.push('}');
+    return lines.join('\n');
+}
+
+/**
+ * Parse a GraphML document into a graph document
+ * @param {string} text - GraphML source
+ * @returns {Object} Graph document
+ * @throws {Error} If the XML cannot be parsed
+ */
+function parseGraphML(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Could not parse GraphML: the file is not well-formed XML');
+    }
+    
+    // Map key ids to attribute names, e.g. "d0" -> "type"
+    const keyNames = new Map();
+    Array.from(xml.getElementsByTagName('key')).forEach(key => {
+        keyNames.set(key.getAttribute('id'), key.getAttribute('attr.name') || key.getAttribute('id'));
+    });
+    
+    // Collect an element's <data> children by attribute name
+    const readData = element => {
+        const data = {};
+        Array.from(element.getElementsByTagName('data')).forEach(item => {
+            const key = item.getAttribute('key');
+            data[keyNames.get(key) || key] = item.textContent;
+        });
+        return data;
+    };
+    
+    const nodes = Array.from(xml.getElementsByTagName('node')).map(element => {
+        const data = readData(element);
+        
+        const spec = { id: element.getAttribute('id'), type: data.type };
+        if (data.label) spec.label = data.label;
+        if (data.description) spec.description = data.description;
+        if (data.metadata) spec.metadata = parseObject(data.metadata);
+        if (data.flow) spec.flow = parseObject(data.flow);
+        if (data.radius) spec.radius = Number(data.radius);
+        if (data.x !== undefined && data.y !== undefined) {
+            spec.position = { x: Number(data.x), y: Number(data.y) };
+        }
+        if (data.pinned !== undefined) spec.pinned = data.pinned === 'true';
+        
+        return spec;
+    });
+    
+    const edges = Array.from(xml.getElementsByTagName('edge')).map(element => {
+        const data = readData(element);
+        const edge = { from: element.getAttribute('source'), to: element.getAttribute('target') };
+        if (data.weight !== undefined) edge.weight = Number(data.weight);
+        if (data.transitTime !== undefined) edge.transitTime = Number(data.transitTime);
+        if (data.label !== undefined) edge.label = data.label;
+        if (data.style !== undefined) edge.style = data.style;
+        return edge;
+    });
+    
+    return finishImport(nodes, edges);
+}
+
+/**
+ * Parse a DOT digraph into a graph document
+ * Supports node and edge statements with attribute lists; subgraphs are flattened
+ * and graph-wide defaults are ignored
+ * @param {string} text - DOT source
+ * @returns {Object} Graph document
+ * @throws {Error} If the source cannot be parsed
+ */
+function parseDOT(text) {
+    const tokens = tokenizeDot(text);
+    const nodesById = new Map();
+    const edges = [];
+    let i = 0;
+    
+    const ensureNode = id => {
+        if (!nodesById.has(id)) {
+            nodesById.set(id, { id });
+        }
+        return nodesById.get(id);
+    };
+    
+    // Read an identifier or string, throwing if the source ends or has a symbol instead
+    const readId = expected => {
+        const token = tokens[i];
+        if (token === undefined) {
+            throw new Error(`Could not parse DOT: unexpected end of file, expected ${expected}`);
+        }
+        if (typeof token === 'string') {
+            throw new Error(`Could not parse DOT: unexpected "${token}", expected ${expected}`);
+        }
+        i++;
+        return token.value;
+    };
+    
+    const readAttributes = () => {
+        const attributes = {};
+        while (tokens[i] === '[') {
+            i++;
+            while (i < tokens.length && tokens[i] !== ']') {
+                const name = readId('an attribute name');
+                if (tokens[i] === '=') {
+                    i++;
+                    attributes[name] = readId(`a value for "${name}"`);
+                }
+                if (tokens[i] === ',' || tokens[i] === ';') i++;
+            }
+            if (i >= tokens.length) {
+                throw new Error('Could not parse DOT: unexpected end of file, expected "]"');
+            }
+            i++; // Skip ]
+        }
+        return attributes;
+    };
+    
+    // Skip the "strict digraph name {" header
+    while (i < tokens.length && tokens[i] !== '{') i++;
+    let depth = i < tokens.length ? 1 : 0; // Open braces, so a truncated file is caught
+    i++;
+    
+    while (i < tokens.length) {
+        const token = tokens[i];
+        
+        if (token === '{' || token === '}') {
+            depth += token === '{' ? 1 : -1;
+            i++;
+            continue;
+        }
+        if (token === ';' || token === ',') {
+            i++;
+            continue;
+        }
+        if (typeof token === 'string') {
+            throw new Error(`Could not parse DOT: unexpected "${token}"`);
+        }
+        
+        // Defaults (graph/node/edge [...]), subgraph headers and graph attributes are skipped
+        const keyword = token.quoted ? '' : token.value.toLowerCase();
+        if (keyword === 'graph' || keyword === 'node' || keyword === 'edge') {
+            i++;
+            readAttributes();
+            continue;
+        }
+        if (keyword === 'subgraph') {
+            i++;
+            if (tokens[i] && tokens[i] !== '{') i++;
+            continue;
+        }
+        if (tokens[i + 1] === '=') {
+            i += 2;
+            readId(`a value for "${token.value}"`);
+            continue;
+        }
+        
+        // Node statement, or an edge chain a -> b -> c
+        const chain = [token.value];
+        i++;
+        while (tokens[i] === '->' || tokens[i] === '--') {
+            i++;
+            chain.push(readId(`a node after "${tokens[i - 1]}"`));
+        }
+        const attributes = readAttributes();
+        
+        if (chain.length === 1) {
+            Object.assign(ensureNode(chain[0]), dotAttributesToSpec(attributes));
+        } else {
+            chain.forEach(ensureNode);
+            for (let k = 0; k < chain.length - 1; k++) {
+                const edge = { from: chain[k], to: chain[k + 1] };
+                if (attributes.weight !== undefined) edge.weight = Number(attributes.weight);
+                if (attributes.transitTime !== undefined) edge.transitTime = Number(attributes.transitTime);
+                if (attributes.label !== undefined) edge.label = attributes.label;
+                if (attributes.style === 'dashed' || attributes.style === 'solid') edge.style = attributes.style;
+                edges.push(edge);
+            }
+        }
+    }
+    if (depth > 0) {
+        throw new Error('Could not parse DOT: unexpected end of file, expected "}"');
+    }
+    
+    return finishImport(Array.from(nodesById.values()), edges);
+}
+
+/**
+ * Convert DOT node attributes to graph document fields
+ * @param {Object} attributes - DOT attributes
+ * @returns {Object} Partial node spec
+ */
+function dotAttributesToSpec(attributes) {
+    const spec = {};
+    
+    if (attributes.type) spec.type = attributes.type;
+    if (attributes.label) spec.label = attributes.label;
+    if (attributes.tooltip) spec.description = attributes.tooltip;
+    if (attributes.radius) spec.radius = Number(attributes.radius);
+    if (attributes.flow) spec.flow = parseObject(attributes.flow);
+    if (attributes.pos) {
+        const [x, y] = attributes.pos.replace('!', '').split(',').map(Number);
+        spec.position = { x, y };
+        spec.pinned = attributes.pos.endsWith('!');
+    }
+    
+    return spec;
+}
+
+/**
+ * Split DOT source into tokens
+ * Identifiers, numbers and quoted strings become { value, quoted } objects,
+ * punctuation and edge operators stay plain strings
+ * @param {string} text - DOT source
+ * @returns {Array} Tokens
+ */
+function tokenizeDot(text) {
+    const tokens = [];
+    const pattern = /\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/|"((?:[^"\\]|\\.)*)"|(->|--|[{}[\];,=])|([A-Za-z0-9_.\-\u0080-\uffff]+)|(\S)/g;
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[1] !== undefined) {
+            tokens.push({ value: match[1].replace(/\\(.)/g, '$1'), quoted: true });
+        } else if (match[2] !== undefined) {
+            tokens.push(match[2]);
+        } else if (match[3] !== undefined) {
+            tokens.push({ value: match[3], quoted: false });
+        } else if (match[4] !== undefined) {
+            throw new Error(`Could not parse DOT: unexpected "${match[4]}"`);
+        }
+    }
+    
+    return tokens;
+}
+
+/**
+ * Fill in what imported formats may lack: node types and relative positions
+ * @param {Array} nodes - Node specs
+ * @param {Array} edges - Edges with from and to
+ * @returns {Object} Graph document
+ */
+function finishImport(nodes, edges) {
+    // Infer missing types from the graph structure
+    const hasIncoming = new Set(edges.map(edge => edge.to));
+    const hasOutgoing = new Set(edges.map(edge => edge.from));
+    nodes.forEach(spec => {
+        if (spec.type === undefined) {
+            if (!hasIncoming.has(spec.id)) {
+                spec.type = "source";
+            } else if (!hasOutgoing.has(spec.id)) {
+                spec.type = "destination";
+            } else {
+                spec.type = "process";
+            }
+        }
+    });
+    
+    // Absolute positions are fitted into the canvas, keeping their aspect ratio
+    const positioned = nodes.filter(spec => spec.position &&
+        Number.isFinite(spec.position.x) && Number.isFinite(spec.position.y));
+    
+    if (positioned.length > 0) {
+        const xs = positioned.map(spec => spec.position.x);
+        const ys = positioned.map(spec => spec.position.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+        const scale = (1 - IMPORT_MARGIN * 2) / span;
+        
+        positioned.forEach(spec => {
+            spec.position = {
+                x: IMPORT_MARGIN + (spec.position.x - minX) * scale,
+                y: IMPORT_MARGIN + (spec.position.y - minY) * scale
+            };
+        });
+    }
+    
+    return { version: FORMAT_VERSION, nodes, edges };
+}
+
+/**
+ * Detect the format of an imported file and parse it into a graph document
+ * @param {string} text - File contents
+ * @param {string} [fileName] - File name, used to pick the format
+ * @returns {Object} Graph document
+ * @throws {Error} If the contents cannot be parsed
+ */
+function parseGraphFile(text, fileName = '') {
+    const extension = fileName.split('.').pop().toLowerCase();
+    const trimmed = text.trim();
+    
+    if (extension === 'graphml' || extension === 'xml' || trimmed.startsWith('<')) {
+        return parseGraphML(text);
+    }
+    if (extension === 'dot' || extension === 'gv' || /^(strict\s+)?(di)?graph\b/i.test(trimmed)) {
+        return parseDOT(text);
+    }
+    
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Could not parse graph file: ${error.message}`);
+    }
+}
+
+/**
+ * Save the network to localStorage
+ * @param {Array} nodes - Array of Node objects
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {string} [key] - localStorage key
+ * @returns {boolean} True if the graph was saved
+ */
+function saveToStorage(nodes, width, height, key = STORAGE_KEY) {
+    try {
+        localStorage.setItem(key, JSON.stringify(serializeGraph(nodes, width, height)));
+        return true;
+    } catch (error) {
+        // Storage can be full or disabled (private mode)
+        console.error('Could not save the network to localStorage.', error);
+        return false;
+    }
+}
+
+/**
+ * Read the saved network from localStorage
+ * @param {string} [key] - localStorage key
+ * @returns {Object|null} Graph document, or null if nothing usable is saved
+ */
+function loadFromStorage(key = STORAGE_KEY) {
+    try {
+        const saved = localStorage.getItem(key);
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        console.error('Could not read the saved network from localStorage.', error);
+        return null;
+    }
+}
+
+/**
+ * Forget the saved network
+ * @param {string} [key] - localStorage key
+ */
+function clearStorage(key = STORAGE_KEY) {
+    try {
+        localStorage.removeItem(key);
+    } catch (error) {
+        console.error('Could not clear the saved network.', error);
+    }
+}
+
+/**
+ * Offer text as a file download
+ * @param {string} text - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type
+ */
+function downloadText(text, fileName, mimeType) {
+    downloadBlob(new Blob([text], { type: mimeType }), fileName);
+}
+
+/**
+ * Offer a blob as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Some browsers start the download after click returns and fail on a revoked URL
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
+
+/**
+ * Ids to use in exports; nodes without an id get one from their index
+ * @param {Array} nodes - Array of Node objects
+ * @returns {Map} Node to id
+ */
+function getExportIds(nodes) {
+    const ids = new Map();
+    const used = new Set(nodes.map(node => node.id).filter(id => id !== null));
+    
+    nodes.forEach((node, index) => {
+        let id = node.id;
+        if (id === null) {
+            id = `node-${index}`;
+            while (used.has(id)) id += '_';
+            used.add(id);
+        }
+        ids.set(node, id);
+    });
+    
+    return ids;
+}
+
+/**
+ * List the directed edges of the network
+ * @param {Array} nodes - Array of Node objects
+ * @param {Map} ids - Node to id
+ * @returns {Array} Edges with from and to ids, and routing weight, transit time, label and style where set
+ */
+function getEdges(nodes, ids) {
+    const edges = [];
+    nodes.forEach(node => {
+        node.connections.forEach(connected => {
+            if (!ids.has(connected)) return;
+            
+            const edge = { from: ids.get(node), to: ids.get(connected) };
+            const route = node.routing.get(connected);
+            if (route && route.weight !== undefined) edge.weight = route.weight;
+            if (route && route.transitTime !== undefined) edge.transitTime = route.transitTime;
+            const style = node.edgeStyles.get(connected);
+            if (style && style.label !== undefined) edge.label = style.label;
+            if (style && style.style !== undefined) edge.style = style.style;
+            edges.push(edge);
+        });
+    });
+    return edges;
+}
+
+/**
+ * Parse a JSON object string (metadata, flow settings), keeping it as a plain value if it isn't an object
+ * @param {string} text - JSON string
+ * @returns {Object} Parsed object
+ */
+function parseObject(text) {
+    try {
+        const value = JSON.parse(text);
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : { value };
+    } catch (error) {
+        return { value: text };
+    }
+}
+
+/**
+ * Round a number for compact output
+ * @param {number} value - Number to round
+ * @param {number} [digits] - Decimal places
+ * @returns {number} Rounded number
+ */
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Quote a DOT identifier or string
+ * @param {*} value - Value to quote
+ * @returns {string} Quoted string
+ */
+function quoteDot(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+export {
+    serializeGraph,
+    toGraphML,
+    toDOT,
+    parseGraphML,
+    parseDOT,
+    parseGraphFile,
+    saveToStorage,
+    loadFromStorage,
+    clearStorage,
+    downloadText,
+    downloadBlob
+};
@@ -0,0 +1,198 @@
+/**
+ * graph-loader.js - Builds a network from a declarative JSON document
+ *
+ * Validates a graph document and turns it into connected Node objects
+ *
+ * Expected document shape:
+ * {
+ *     "nodes": [
+ *         { "id": "crm", "type": "source", "label": "CRM export", "position": { "x": 0.1, "y": 0.5 } },
+ *         { "id": "etl", "type": "process", "label": "Cleanup",
+ *           "description": "Normalises addresses", "metadata": { "owner": "ops" } }
+ *     ],
+ *     "edges": [
+ *         { "from": "crm", "to": "etl" }
+ *     ]
+ * }
+ *
+ * Positions are optional and relative to the canvas (0-1 on both axes).
+ * Nodes with a position are pinned there and ignored by the force layout,
+ * unless "pinned": false is given, in which case they only start there.
+ *
+ * Nodes may carry "flow" settings and edges a "weight" and "transitTime"
+ * for the flow simulation (see flow-simulation.js). Edges may also carry a
+ * "label" and a "style", "solid" (default) or "dashed" (see edges.js).
+ */
+
+import { Node, NODE_TYPES } from './node.js';
+import { validateFlowSettings, validateEdgeSettings } from './flow-simulation.js';
+import { validateEdgeAppearance } from './edges.js';
+
+/**
+ * Error thrown when a graph document fails validation
+ * Carries the full list of problems so they can all be reported at once
+ */
+class GraphValidationError extends Error {
+    /**
+     * @param {Array<string>} problems - Human readable validation problems
+     */
+    constructor(problems) {
+        super(`Invalid graph document:\n - ${problems.join('\n - ')}`);
+        this.name = 'GraphValidationError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Validate a graph document
+ * @param {Object} doc - Graph document
+ * @returns {Array<string>} List of problems, empty if the document is valid
+ */
+function validateGraphDocument(doc) {
+    const problems = [];
+    
+    if (!doc || typeof doc !== 'object') {
+        return ['document must be an object'];
+    }
+    if (!Array.isArray(doc.nodes)) {
+        return ['"nodes" must be an array'];
+    }
+    if (doc.edges !== undefined && !Array.isArray(doc.edges)) {
+        problems.push('"edges" must be an array');
+    }
+    
+    const ids = new Set();
+    // Targets already connected from each source id, to catch duplicate edges
+    const targetsById = new Map();
+    
+    doc.nodes.forEach((spec, index) => {
+        const where = `nodes[${index}]`;
+        
+        if (!spec || typeof spec !== 'object') {
+            problems.push(`${where} must be an object`);
+            return;
+        }
+        if (typeof spec.id !== 'string' && typeof spec.id !== 'number') {
+            problems.push(`${where} is missing an "id"`);
+        } else if (ids.has(spec.id)) {
+            problems.push(`${where} has duplicate id "${spec.id}"`);
+        } else {
+            ids.add(spec.id);
+        }
+        if (!NODE_TYPES.includes(spec.type)) {
+            problems.push(`${where} has unknown type "${spec.type}" (expected ${NODE_TYPES.join(', ')})`);
+        }
+        if (spec.radius !== undefined && !(spec.radius > 0)) {
+            problems.push(`${where} has invalid radius "${spec.radius}"`);
+        }
+        if (spec.pinned !== undefined && typeof spec.pinned !== 'boolean') {
+            problems.push(`${where} has invalid pinned flag, expected true or false`);
+        }
+        if (spec.metadata !== undefined &&
+            (!spec.metadata || typeof spec.metadata !== 'object' || Array.isArray(spec.metadata))) {
+            problems.push(`${where} has invalid metadata, expected an object`);
+        }
+        if (spec.position !== undefined) {
+            const { x, y } = spec.position || {};
+            if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                problems.push(`${where} has invalid position, expected { x, y } numbers`);
+            }
+        }
+        if (spec.flow !== undefined) {
+            if (!spec.flow || typeof spec.flow !== 'object' || Array.isArray(spec.flow)) {
+                problems.push(`${where} has invalid flow settings, expected an object`);
+            } else {
+                validateFlowSettings(spec.flow).forEach(problem => {
+                    problems.push(`${where} has invalid flow settings: ${problem}`);
+                });
+            }
+        }
+    });
+    
+    (Array.isArray(doc.edges) ? doc.edges : []).forEach((edge, index) => {
+        const where = `edges[${index}]`;
+        
+        if (!edge || typeof edge !== 'object') {
+            problems.push(`${where} must be an object`);
+            return;
+        }
+        if (!ids.has(edge.from)) {
+            problems.push(`${where} references missing source node "${edge.from}"`);
+        }
+        if (!ids.has(edge.to)) {
+            problems.push(`${where} references missing target node "${edge.to}"`);
+        }
+        if (ids.has(edge.from) && edge.from === edge.to) {
+            problems.push(`${where} connects node "${edge.from}" to itself`);
+        } else if (ids.has(edge.from) && ids.has(edge.to)) {
+            const targets = targetsById.get(edge.from) || new Set();
+            if (targets.has(edge.to)) {
+                problems.push(`${where} duplicates the edge from "${edge.from}" to "${edge.to}"`);
+            }
+            targets.add(edge.to);
+            targetsById.set(edge.from, targets);
+        }
+        validateEdgeSettings(edge).concat(validateEdgeAppearance(edge)).forEach(problem => {
+            problems.push(`${where} has an invalid setting: ${problem}`);
+        });
+    });
+    
+    return problems;
+}
+
+/**
+ * Build nodes and connections from a graph document
+ * @param {Object} doc - Graph document
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Function} [random] - Random generator for unspecified positions and radii
+ * @returns {Array} Array of Node objects
+ * @throws {GraphValidationError} If the document is invalid
+ */
+function loadNetwork(doc, width, height, random = Math.random) {
+    const problems = validateGraphDocument(doc);
+    if (problems.length > 0) {
+        throw new GraphValidationError(problems);
+    }
+    
+    const nodes = [];
+    const nodesById = new Map();
+    
+    doc.nodes.forEach(spec => {
+        const hasPosition = spec.position !== undefined;
+        const x = hasPosition ? spec.position.x * width : random() * width;
+        const y = hasPosition ? spec.position.y * height : random() * height;
+        const radius = spec.radius !== undefined ? spec.radius : 5 + random() * 8;
+        
+        const node = new Node(x, y, radius, spec.type, random);
+        node.id = spec.id;
+        node.label = spec.label !== undefined ? String(spec.label) : String(spec.id);
+        node.description = spec.description !== undefined ? String(spec.description) : '';
+        node.metadata = spec.metadata !== undefined ? { ...spec.metadata } : {};
+        node.isPinned = spec.pinned !== undefined ? spec.pinned : hasPosition;
+        node.flowSettings = spec.flow !== undefined ? { ...spec.flow } : {};
+        
+        nodes.push(node);
+        nodesById.set(spec.id, node);
+    });
+    
+    (doc.edges || []).forEach(edge => {
+        const from = nodesById.get(edge.from);
+        const to = nodesById.get(edge.to);
+        from.connect(to);
+        
+        if (edge.weight !== undefined || edge.transitTime !== undefined) {
+            from.routing.set(to, { weight: edge.weight, transitTime: edge.transitTime });
+        }
+        if (edge.label !== undefined || edge.style !== undefined) {
+            from.edgeStyles.set(to, {
+                label: edge.label !== undefined ? String(edge.label) : undefined,
+                style: edge.style
+            });
+        }
+    });
+    
+    return nodes;
+}
+
+export { loadNetwork, validateGraphDocument, GraphValidationError };
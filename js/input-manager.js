@@ -1,212 +1,1048 @@
 /**
- * input-manager.js - Handles mouse and touch input events
- * 
- * Manages all user interactions with the canvas and nodes
+ * input-manager.js - Handles pointer, wheel and keyboard input
+ *
+ * Manages all user interactions with the canvas and nodes through Pointer
+ * Events, so mouse, pen and touch share one code path. Every pointer is
+ * captured while it is down, which keeps a drag going when it leaves the
+ * canvas. Each finger drags its own node, fingers on empty space pan, two of
+ * them pinch to zoom and a quick two-finger tap fits the graph into view.
+ * Holding a finger on a node, or right-clicking it, asks for its context
+ * action, and a dragged node that is let go while moving keeps some of its
+ * speed. Clicking an edge, or a pulse travelling along it, reports the edge.
+ *
+ * Clicking a node selects it, Shift+click adds it to the selection or takes it
+ * out again and Shift+drag on empty space draws a selection box. Dragging a
+ * selected node moves the whole selection along (see selection.js).
+ *
+ * Hit-testing goes through the view's spatial index (see spatial-index.js),
+ * which dragging keeps up to date between frames.
+ *
+ * Pointer and gesture state lives in one object per canvas, so several views
+ * on a page don't share it.
  */
 
-// Input state variables
-let mouseX = 0;
-let mouseY = 0;
-let offsetX = 0;
-let offsetY = 0;
+import { getNodeBounds } from './camera.js';
+import { getViewSize, getLayoutSize } from './canvas.js';
+import { enforceBoundaries } from './force-layout.js';
+
+// Wheel zoom sensitivity per pixel of wheel delta
+const WHEEL_ZOOM_SPEED = 0.0015;
+
+// A press that moves less than this (CSS pixels) counts as a click
+const CLICK_TOLERANCE = 4;
+
+// Distance (CSS pixels) from an edge or pulse that still hits it
+const EDGE_HIT_TOLERANCE = 5;
+
+// A touch or pen held still on a node this long (ms) asks for its context action
+const LONG_PRESS_TIME = 500;
+
+// Two fingers lifted within this time (ms) of touching down, without moving, fit the graph
+const TAP_TIME = 300;
+
+// The release speed of a drag is measured over the last FLICK_WINDOW ms; a pointer
+// that rested for FLICK_IDLE ms before letting go releases the node without speed
+const FLICK_WINDOW = 100;
+const FLICK_IDLE = 50;
+
+// Share of the release speed a flicked node keeps, and its top speed (world units per frame).
+// The layout damps velocities slowly, so the full speed of a finger would throw nodes far away.
+const FLICK_TRANSFER = 0.05;
+const MAX_FLICK_SPEED = 1.5;
+
+// Arrow keys moving the keyboard focus between nodes, as [x, y] directions
+const FOCUS_DIRECTIONS = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1]
+};
+
+// Screen distance (CSS pixels) a focused node keeps from the canvas edges, panning if needed
+const FOCUS_MARGIN = 40;
+
+// Shift+arrow keys aligning the selection to an edge of its bounding box
+const ALIGN_KEYS = {
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    ArrowUp: 'top',
+    ArrowDown: 'bottom'
+};
+
+// Shift+H and Shift+V spacing the selection evenly along an axis
+const DISTRIBUTE_KEYS = {
+    H: 'x',
+    V: 'y'
+};
+
+/**
+ * Create the input state of one canvas
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {Object} appState - Application state
+ * @param {Object} callbacks - Interaction callbacks
+ * @returns {Object} Input state
+ */
+function createInputState(canvas, appState, callbacks) {
+    return {
+        canvas,
+        appState,
+        callbacks,
+        
+        // Pressed pointers by pointerId, see createPointer
+        pointers: new Map(),
+        
+        // Pointer dragging out a connection in edit mode, null if none
+        linkPointer: null,
+        
+        // Pointer drawing a selection box, null if none; the box is appState.marquee
+        marqueePointer: null,
+        
+        // True while two fingers on empty space may still turn out to be a tap
+        tapPending: false,
+        tapStart: 0,
+        
+        // Node under the pointer, reported to onNodeHover when it changes
+        hoveredNode: null
+    };
+}
+
+/**
+ * Create the state of a pressed pointer
+ * @param {PointerEvent} e - pointerdown event
+ * @param {Object} input - Input state
+ * @returns {Object} Pointer state
+ */
+function createPointer(e, input) {
+    const pointer = {
+        id: e.pointerId,
+        type: e.pointerType,
+        
+        // worldX/worldY are in world coordinates, screenX/screenY in canvas CSS pixels
+        screenX: 0,
+        screenY: 0,
+        worldX: 0,
+        worldY: 0,
+        
+        // Screen position where the press started, to tell clicks from drags
+        pressScreenX: 0,
+        pressScreenY: 0,
+        
+        // Dragged node and the offset between the pointer and its centre
+        node: null,
+        offsetX: 0,
+        offsetY: 0,
+        
+        // True once the dragged node moved beyond CLICK_TOLERANCE
+        dragStarted: false,
+        
+        // Other selected nodes moving along, as { node, offsetX, offsetY } from the dragged node
+        group: [],
+        
+        // Recent node positions as { x, y, time }, for the release speed
+        samples: [],
+        
+        // Set when the pointer took part in a pinch; its release is no click then
+        pinched: false,
+        
+        // Pending long press, and whether it fired; the pointer is ignored from then on
+        longPressTimer: null,
+        longPressed: false
+    };
+    
+    updatePointer(pointer, e.clientX, e.clientY, input);
+    pointer.pressScreenX = pointer.screenX;
+    pointer.pressScreenY = pointer.screenY;
+    return pointer;
+}
 
 /**
  * Set up all input handlers for the canvas
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {Object} appState - Application state object
+ * @param {Object} [callbacks] - Optional interaction callbacks
+ * @param {Function} [callbacks.onNodeClick] - Called with a node that was clicked or tapped
+ * @param {Function} [callbacks.onNodeHover] - Called with the node under the pointer, or null when it leaves
+ * @param {Function} [callbacks.onNodeContext] - Called with a node that was long-pressed or right-clicked
+ * @param {Function} [callbacks.onEdgeClick] - Called with the source and target of a clicked edge, and the
+ *     clicked pulse or null
+ * @param {Function} [callbacks.onDragStart] - Called with a node when dragging it starts
+ * @param {Function} [callbacks.onDragEnd] - Called with a node when it is released after a drag
+ * @param {Function} [callbacks.onSave] - Called on Ctrl+S
+ * @param {Function} [callbacks.onToggleFlow] - Called on "m" to switch the flow simulation on or off
+ * @param {Function} [callbacks.onToggleMetrics] - Called on "h" to show or hide the metrics HUD
+ * @param {Function} [callbacks.onCycleLayout] - Called on "l" to switch to the next layout mode
+ * @param {Function} [callbacks.onTogglePause] - Called on "p" to pause or resume the animation
+ * @param {Function} [callbacks.onNodeFocus] - Called with the node keyboard navigation moved to, or null
+ * @param {Function} [callbacks.onPinSelection] - Called on Shift+P to pin or free the selected nodes
+ * @param {Function} [callbacks.onAlignSelection] - Called with 'left', 'right', 'top' or 'bottom' on Shift+arrow keys
+ * @param {Function} [callbacks.onDistributeSelection] - Called with 'x' on Shift+H or 'y' on Shift+V
+ * @param {EventTarget|null} [keyTarget] - Element receiving keyboard shortcuts, defaults to the canvas;
+ *     null disables them
+ * @returns {Function} Call to remove all handlers again
+ */
+function setupInputHandlers(canvas, appState, callbacks = {}, keyTarget = canvas) {
+    const input = createInputState(canvas, appState, callbacks);
+    
+    // [target, type, handler, options]
+    const listeners = [
+        // Pointer events cover mouse, pen and touch
+        [canvas, 'pointerdown', e => handlePointerDown(e, input)],
+        [canvas, 'pointermove', e => handlePointerMove(e, input), { passive: true }],
+        [canvas, 'pointerup', e => handlePointerUp(e, input, true)],
+        [canvas, 'pointercancel', e => handlePointerUp(e, input, false)],
+        [canvas, 'pointerleave', e => handlePointerLeave(e, input), { passive: true }],
+        [canvas, 'contextmenu', e => handleContextMenu(e, input)],
+        
+        // Camera controls: wheel zoom, "f" to fit the whole graph, "0" to reset the view
+        [canvas, 'wheel', e => handleWheel(e, input), { passive: false }],
+        
+        // The focus ring is only shown while the canvas has the keyboard focus
+        [canvas, 'blur', () => focusNode(input, null)]
+    ];
+    
+    if (keyTarget) {
+        listeners.push([keyTarget, 'keydown', e => handleKeyDown(e, input)]);
+        
+        // Navigating between nodes needs a focusable canvas, whatever receives the shortcuts
+        if (!canvas.hasAttribute('tabindex')) {
+            canvas.tabIndex = 0;
+        }
+    }
+    
+    listeners.forEach(([target, type, handler, options]) => target.addEventListener(type, handler, options));
+    
+    return () => {
+        listeners.forEach(([target, type, handler, options]) => target.removeEventListener(type, handler, options));
+        input.pointers.forEach(pointer => clearTimeout(pointer.longPressTimer));
+        input.pointers.clear();
+        appState.marquee = null;
+    };
+}
+
+/**
+ * Handle keyboard shortcuts
+ * @param {KeyboardEvent} e - Key event
+ * @param {Object} input - Input state
  */
-function setupInputHandlers(canvas, appState) {
-    // Mouse event listeners (with performance optimizations)
-    canvas.addEventListener('mousedown', e => handleMouseDown(e, canvas, appState));
-    canvas.addEventListener('mousemove', e => handleMouseMove(e, canvas, appState), { passive: true });
-    canvas.addEventListener('mouseup', () => handleMouseUp(appState));
-    // canvas.addEventListener('mouseleave', () => handleMouseUp(appState));
+function handleKeyDown(e, input) {
+    if (isTypingTarget(e.target)) return;
+    
+    const { appState, callbacks } = input;
+    
+    // Editing shortcuts take precedence while in edit mode
+    const editor = appState.editor;
+    if (editor && editor.enabled && editor.handleKey(e)) {
+        e.preventDefault();
+        return;
+    }
+    
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's' && callbacks.onSave) {
+        e.preventDefault();
+        callbacks.onSave();
+        return;
+    }
+    
+    // Ctrl+A selects all nodes while the canvas is focused, the page's text otherwise
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a' && e.target === input.canvas) {
+        e.preventDefault();
+        appState.selection.set(appState.nodes);
+        return;
+    }
+    
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
     
-    // Touch event support (with passive where possible for performance)
-    canvas.addEventListener('touchstart', e => handleTouchStart(e, canvas, appState), { passive: false });
-    canvas.addEventListener('touchmove', e => handleTouchMove(e, canvas, appState), { passive: false });
-    canvas.addEventListener('touchend', () => handleTouchEnd(appState), { passive: true });
-    canvas.addEventListener('touchcancel', () => handleTouchEnd(appState), { passive: true });
+    if (handleSelectionKey(e, input)) {
+        e.preventDefault();
+        return;
+    }
+    
+    // Only while the canvas is focused, so keys keep their meaning elsewhere on the page
+    if (e.target === input.canvas && handleFocusKey(e, input)) {
+        e.preventDefault();
+        return;
+    }
+    
+    if (e.key === 'e' && editor) {
+        editor.setEnabled(!editor.enabled);
+    } else if (e.key === 'f') {
+        fitCameraToGraph(input.canvas, appState);
+    } else if (e.key === '0') {
+        appState.camera.reset();
+    } else if (e.key === 'm' && callbacks.onToggleFlow) {
+        callbacks.onToggleFlow();
+    } else if (e.key === 'h' && callbacks.onToggleMetrics) {
+        callbacks.onToggleMetrics();
+    } else if (e.key === 'l' && callbacks.onCycleLayout) {
+        callbacks.onCycleLayout();
+    } else if (e.key === 'p' && callbacks.onTogglePause) {
+        callbacks.onTogglePause();
+    } else if (e.key === 'Escape') {
+        appState.selection.clear();
+    }
 }
 
 /**
- * Handle mouse down events
- * @param {MouseEvent} e - Mouse event
- * @param {HTMLCanvasElement} canvas - Canvas element
- * @param {Object} appState - Application state
+ * Act on the selected nodes
+ * Shift+P pins or frees them, Shift+arrow keys align two or more of them and
+ * Shift+H or Shift+V spaces three or more evenly. Deleting them is left to
+ * edit mode, where it can be undone.
+ * @param {KeyboardEvent} e - Key event
+ * @param {Object} input - Input state
+ * @returns {boolean} True if the key was handled
  */
-function handleMouseDown(e, canvas, appState) {
-    const rect = canvas.getBoundingClientRect();
-    mouseX = e.clientX - rect.left;
-    mouseY = e.clientY - rect.top;
+function handleSelectionKey(e, input) {
+    const { appState, callbacks } = input;
+    const count = appState.selection.count();
+    if (count === 0) return false;
+    
+    if (e.key === 'P' && callbacks.onPinSelection) {
+        callbacks.onPinSelection();
+        return true;
+    }
+    if (e.shiftKey && ALIGN_KEYS[e.key] && count >= 2 && callbacks.onAlignSelection) {
+        callbacks.onAlignSelection(ALIGN_KEYS[e.key]);
+        return true;
+    }
+    if (DISTRIBUTE_KEYS[e.key] && count >= 3 && callbacks.onDistributeSelection) {
+        callbacks.onDistributeSelection(DISTRIBUTE_KEYS[e.key]);
+        return true;
+    }
     
-    // Check if a node was clicked using spatial optimization
-    checkNodeSelection(mouseX, mouseY, appState);
+    return false;
 }
 
 /**
- * Handle mouse move events
- * @param {MouseEvent} e - Mouse event
+ * Move the keyboard focus between nodes
+ * Arrow keys go to the nearest node in their direction. Tab or Shift+Tab focuses
+ * the first or last node if none is focused and otherwise leaves the canvas, so
+ * the canvas is one stop in the page's tab order. Enter or Space opens the
+ * focused node, Shift+Space selects or deselects it, Escape clears the focus.
+ * @param {KeyboardEvent} e - Key event
+ * @param {Object} input - Input state
+ * @returns {boolean} True if the key was handled
+ */
+function handleFocusKey(e, input) {
+    const { appState, callbacks } = input;
+    const nodes = appState.nodes;
+    const current = nodes.includes(appState.focusedNode) ? appState.focusedNode : null;
+    
+    if (e.key === 'Tab') {
+        // Past a focused node the browser moves on; blurring clears the focus ring
+        if (current || nodes.length === 0) return false;
+        
+        focusNode(input, e.shiftKey ? nodes[nodes.length - 1] : nodes[0]);
+        return true;
+    }
+    
+    if (FOCUS_DIRECTIONS[e.key]) {
+        const [dx, dy] = FOCUS_DIRECTIONS[e.key];
+        const next = current ? findNodeInDirection(nodes, current, dx, dy) : nodes[0];
+        if (next) {
+            focusNode(input, next);
+        }
+        return true;
+    }
+    
+    if (e.key === ' ' && e.shiftKey && current) {
+        appState.selection.toggle(current);
+        return true;
+    }
+    
+    if ((e.key === 'Enter' || e.key === ' ') && current) {
+        if (callbacks.onNodeClick) {
+            callbacks.onNodeClick(current);
+        }
+        return true;
+    }
+    
+    if (e.key === 'Escape' && current) {
+        focusNode(input, null);
+        return true;
+    }
+    
+    return false;
+}
+
+/**
+ * Give a node the keyboard focus and pan it into view
+ * @param {Object} input - Input state
+ * @param {Node|null} node - Node to focus, null to clear the focus
+ */
+function focusNode(input, node) {
+    const { appState } = input;
+    if (node === appState.focusedNode) return;
+    
+    appState.focusedNode = node;
+    if (node) {
+        const view = getViewSize(appState.surface);
+        const screen = appState.camera.worldToScreen(node.x, node.y);
+        if (screen.x < FOCUS_MARGIN || screen.x > view.width - FOCUS_MARGIN ||
+            screen.y < FOCUS_MARGIN || screen.y > view.height - FOCUS_MARGIN) {
+            appState.camera.panBy(view.width / 2 - screen.x, view.height / 2 - screen.y);
+        }
+    }
+    
+    if (input.callbacks.onNodeFocus) {
+        input.callbacks.onNodeFocus(node);
+    }
+}
+
+/**
+ * Find the nearest node in a direction
+ * Nodes off to the side count as further away than nodes straight ahead.
+ * @param {Array} nodes - Array of nodes
+ * @param {Node} from - Node to start from
+ * @param {number} dx - Direction X, -1, 0 or 1
+ * @param {number} dy - Direction Y, -1, 0 or 1
+ * @returns {Node|null} Nearest node ahead, or null if there is none
+ */
+function findNodeInDirection(nodes, from, dx, dy) {
+    let best = null;
+    let bestScore = Infinity;
+    
+    nodes.forEach(node => {
+        const ox = node.x - from.x;
+        const oy = node.y - from.y;
+        const ahead = ox * dx + oy * dy;
+        if (node === from || ahead <= 0) return;
+        
+        const score = ahead + Math.abs(ox * dy - oy * dx) * 2;
+        if (score < bestScore) {
+            bestScore = score;
+            best = node;
+        }
+    });
+    
+    return best;
+}
+
+/**
+ * Check whether a key event target is a text input
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for inputs, textareas and editable elements
+ */
+function isTypingTarget(target) {
+    return target instanceof HTMLElement &&
+        (target.isContentEditable || target.tagName === 'INPUT' || target.tagName === 'TEXTAREA');
+}
+
+/**
+ * Store a pointer position in screen and world coordinates
+ * @param {Object} pointer - Pointer state
+ * @param {number} clientX - Pointer X in viewport coordinates
+ * @param {number} clientY - Pointer Y in viewport coordinates
+ * @param {Object} input - Input state
+ */
+function updatePointer(pointer, clientX, clientY, input) {
+    const rect = input.canvas.getBoundingClientRect();
+    pointer.screenX = clientX - rect.left;
+    pointer.screenY = clientY - rect.top;
+    updatePointerWorld(pointer, input);
+}
+
+/**
+ * Recompute the world position of a pointer, e.g. after the camera moved under it
+ * @param {Object} pointer - Pointer state
+ * @param {Object} input - Input state
+ */
+function updatePointerWorld(pointer, input) {
+    const world = input.appState.camera.screenToWorld(pointer.screenX, pointer.screenY);
+    pointer.worldX = world.x;
+    pointer.worldY = world.y;
+}
+
+/**
+ * Zoom and pan the camera so every node is visible
  * @param {HTMLCanvasElement} canvas - Canvas element
  * @param {Object} appState - Application state
  */
-function handleMouseMove(e, canvas, appState) {
+function fitCameraToGraph(canvas, appState) {
+    const bounds = getNodeBounds(appState.nodes);
+    if (bounds) {
+        const view = getViewSize(appState.surface);
+        appState.camera.fitToBounds(bounds, view.width, view.height);
+    }
+}
+
+/**
+ * Handle wheel events by zooming around the pointer
+ * @param {WheelEvent} e - Wheel event
+ * @param {Object} input - Input state
+ */
+function handleWheel(e, input) {
+    e.preventDefault();
+    const rect = input.canvas.getBoundingClientRect();
+    
+    // Line and page based deltas (Firefox) are much coarser than pixels
+    const pageHeight = getViewSize(input.appState.surface).height;
+    const deltaScale = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? pageHeight : 1;
+    const factor = Math.exp(-e.deltaY * deltaScale * WHEEL_ZOOM_SPEED);
+    
+    input.appState.camera.zoomAt(e.clientX - rect.left, e.clientY - rect.top, factor);
+    followCamera(input);
+}
+
+/**
+ * Handle a pointer being pressed
+ * @param {PointerEvent} e - Pointer event
+ * @param {Object} input - Input state
+ */
+function handlePointerDown(e, input) {
+    // The secondary mouse button opens the context action, see handleContextMenu
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    
+    const { appState, canvas } = input;
+    const pointer = createPointer(e, input);
+    input.pointers.set(pointer.id, pointer);
+    
+    // Keep receiving this pointer's events when it leaves the canvas
+    canvas.setPointerCapture(pointer.id);
+    
+    // A second pointer cancels a connection being dragged out
+    if (input.linkPointer) {
+        cancelLink(input);
+    }
+    
+    // In edit mode pressing a node drags out a connection; Alt+drag and Shift+drag still move it
+    if (isEditing(appState) && !e.altKey && !e.shiftKey && input.pointers.size === 1 && startLink(input, pointer)) {
+        return;
+    }
+    
+    // Each pointer drags its own node; pressing on empty space moves the camera
+    // instead, or draws a selection box with Shift
+    const node = appState.spatialIndex.nodeAt(pointer.worldX, pointer.worldY);
+    if (node && !node.isDragged) {
+        startDrag(input, pointer, node);
+    } else if (!node && e.shiftKey && input.pointers.size === 1) {
+        startMarquee(input, pointer);
+    } else {
+        startCameraGesture(input);
+    }
+    
+    if (pointer.type === 'mouse') {
+        canvas.style.cursor = 'grabbing';
+    }
+}
+
+/**
+ * Handle pointer movement, pressed or hovering
+ * @param {PointerEvent} e - Pointer event
+ * @param {Object} input - Input state
+ */
+function handlePointerMove(e, input) {
+    const pointer = input.pointers.get(e.pointerId);
+    
+    // Mouse and pen pointers hover without being pressed
+    if (!pointer) {
+        if (e.pointerType !== 'touch') {
+            updateHover(input, e.clientX, e.clientY);
+        }
+        return;
+    }
+    if (pointer.longPressed) return;
+    
+    const lastScreenX = pointer.screenX;
+    const lastScreenY = pointer.screenY;
+    updatePointer(pointer, e.clientX, e.clientY, input);
+    
+    if (!isClick(pointer)) {
+        clearTimeout(pointer.longPressTimer);
+        pointer.longPressTimer = null;
+        if (!pointer.node && pointer !== input.linkPointer) {
+            input.tapPending = false;
+        }
+    }
+    
+    if (pointer === input.linkPointer) {
+        input.appState.editor.pointerMove(pointer.worldX, pointer.worldY);
+    } else if (pointer === input.marqueePointer) {
+        updateMarquee(input);
+    } else if (pointer.node) {
+        dragNode(input, pointer);
+    } else {
+        moveCamera(input, pointer, lastScreenX, lastScreenY);
+    }
+}
+
+/**
+ * Handle a pointer being released or cancelled
+ * Cancelled pointers (e.g. a touch taken over by the browser) end without a
+ * click, edit or flick.
+ * @param {PointerEvent} e - Pointer event
+ * @param {Object} input - Input state
+ * @param {boolean} completed - False for pointercancel
+ */
+function handlePointerUp(e, input, completed) {
+    const pointer = input.pointers.get(e.pointerId);
+    if (!pointer) return;
+    
+    const { appState, callbacks } = input;
+    clearTimeout(pointer.longPressTimer);
+    input.pointers.delete(pointer.id);
+    updatePointer(pointer, e.clientX, e.clientY, input);
+    
+    const click = completed && !pointer.pinched && !pointer.longPressed && isClick(pointer);
+    
+    if (pointer === input.linkPointer) {
+        input.linkPointer = null;
+        if (completed) {
+            const node = appState.spatialIndex.nodeAt(pointer.worldX, pointer.worldY);
+            appState.editor.pointerUp(node, pointer.worldX, pointer.worldY, click);
+        } else {
+            appState.editor.cancelLink();
+        }
+    } else if (pointer === input.marqueePointer) {
+        finishMarquee(input, completed);
+    } else if (pointer.node) {
+        const node = pointer.node;
+        releaseNode(input, pointer, completed);
+        if (click) {
+            selectClicked(appState, node, e.shiftKey);
+            if (callbacks.onNodeClick) {
+                callbacks.onNodeClick(node);
+            }
+        }
+    } else if (!pointer.longPressed) {
+        // Clicks on empty space add nodes in edit mode, and otherwise hit an edge or clear the selection
+        const hit = click && !isEditing(appState) ? findEdgeAt(appState, pointer.worldX, pointer.worldY) : null;
+        if (click && isEditing(appState)) {
+            appState.editor.pointerUp(null, pointer.worldX, pointer.worldY, true);
+        } else if (hit) {
+            if (callbacks.onEdgeClick) {
+                callbacks.onEdgeClick(hit.source, hit.target, hit.pulse || null);
+            }
+        } else if (click && !e.shiftKey) {
+            appState.selection.clear();
+        }
+        finishCameraGesture(input, completed);
+    }
+    
+    if (pointer.type === 'mouse') {
+        updateHover(input, e.clientX, e.clientY);
+    }
+}
+
+/**
+ * Clear the hover state when a hovering pointer leaves the canvas
+ * Pressed pointers are captured and keep their drag until released.
+ * @param {PointerEvent} e - Pointer event
+ * @param {Object} input - Input state
+ */
+function handlePointerLeave(e, input) {
+    if (!input.pointers.has(e.pointerId)) {
+        setHoveredNode(input, null);
+    }
+}
+
+/**
+ * Right-click on a node asks for its context action instead of the browser menu
+ * Touch and pen long presses are timed by startDrag, their contextmenu events
+ * only get their default suppressed.
+ * @param {MouseEvent} e - Context menu event
+ * @param {Object} input - Input state
+ */
+function handleContextMenu(e, input) {
+    const touching = Array.from(input.pointers.values()).some(pointer => pointer.type !== 'mouse');
+    if (touching) {
+        e.preventDefault();
+        return;
+    }
+    
+    const rect = input.canvas.getBoundingClientRect();
+    const world = input.appState.camera.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
+    const node = input.appState.spatialIndex.nodeAt(world.x, world.y);
+    if (node && input.callbacks.onNodeContext) {
+        e.preventDefault();
+        input.callbacks.onNodeContext(node);
+    }
+}
+
+/**
+ * Mark the node under a hovering pointer and set the cursor
+ * @param {Object} input - Input state
+ * @param {number} clientX - Pointer X in viewport coordinates
+ * @param {number} clientY - Pointer Y in viewport coordinates
+ */
+function updateHover(input, clientX, clientY) {
+    const { appState, canvas } = input;
     const rect = canvas.getBoundingClientRect();
-    mouseX = e.clientX - rect.left;
-    mouseY = e.clientY - rect.top;
+    const world = appState.camera.screenToWorld(clientX - rect.left, clientY - rect.top);
+    const node = appState.spatialIndex.nodeAt(world.x, world.y);
+    setHoveredNode(input, node);
     
+    if (node) {
+        canvas.style.cursor = isEditing(appState) ? 'crosshair' : 'grab';
+    } else if (!isEditing(appState) && input.callbacks.onEdgeClick && findEdgeAt(appState, world.x, world.y)) {
+        canvas.style.cursor = 'pointer';
+    } else {
+        canvas.style.cursor = 'default';
+    }
+}
+
+/**
+ * Mark the node under the pointer as hovered
+ * @param {Object} input - Input state
+ * @param {Node|null} node - Hovered node, null if the pointer is over empty space
+ */
+function setHoveredNode(input, node) {
     // Reset hover state for all nodes
-    appState.nodes.forEach(node => node.isHovered = false);
-    
-    // Check for hover state if not dragging
-    if (!appState.isDragging) {
-        let isOverNode = false;
-        
-        for (const node of appState.nodes) {
-            const dx = mouseX - node.x;
-            const dy = mouseY - node.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            if (distance <= node.radius * 1.5) {
-                isOverNode = true;
-                node.isHovered = true;
-                canvas.style.cursor = 'grab';
-                break;
-            }
+    input.appState.nodes.forEach(other => other.isHovered = false);
+    if (node) {
+        node.isHovered = true;
+    }
+    
+    if (node !== input.hoveredNode) {
+        input.hoveredNode = node;
+        if (input.callbacks.onNodeHover) {
+            input.callbacks.onNodeHover(node);
         }
-        
-        if (!isOverNode) {
-            canvas.style.cursor = 'default';
+    }
+}
+
+/**
+ * Start dragging a node with a pointer
+ * Touch and pen presses that stay in place turn into a long press.
+ * @param {Object} input - Input state
+ * @param {Object} pointer - Pointer state
+ * @param {Node} node - Pressed node
+ */
+function startDrag(input, pointer, node) {
+    pointer.node = node;
+    pointer.offsetX = pointer.worldX - node.x;
+    pointer.offsetY = pointer.worldY - node.y;
+    node.isDragged = true;
+    
+    if (pointer.type !== 'mouse') {
+        pointer.longPressTimer = setTimeout(() => handleLongPress(input, pointer), LONG_PRESS_TIME);
+    }
+}
+
+/**
+ * Turn a press held in place into the node's context action
+ * @param {Object} input - Input state
+ * @param {Object} pointer - Pointer state
+ */
+function handleLongPress(input, pointer) {
+    pointer.longPressTimer = null;
+    const node = pointer.node;
+    if (!node || pointer.dragStarted || !input.appState.nodes.includes(node)) return;
+    
+    // The rest of the press is ignored, it is neither a drag nor a click
+    pointer.longPressed = true;
+    pointer.node = null;
+    node.isDragged = false;
+    
+    if (input.callbacks.onNodeContext) {
+        input.callbacks.onNodeContext(node);
+    }
+}
+
+/**
+ * Move the node dragged by a pointer
+ * Nodes removed while being dragged are left alone.
+ * @param {Object} input - Input state
+ * @param {Object} pointer - Pointer state
+ */
+function dragNode(input, pointer) {
+    const { appState } = input;
+    const node = pointer.node;
+    if (!appState.nodes.includes(node)) return;
+    
+    if (!pointer.dragStarted && !isClick(pointer)) {
+        pointer.dragStarted = true;
+        pointer.group = getDragGroup(appState, node);
+        if (input.callbacks.onDragStart) {
+            input.callbacks.onDragStart(node);
         }
     }
     
-    // Update position of dragged node
-    if (appState.isDragging && appState.selectedNode) {
-        const node = appState.selectedNode;
-        
-        node.x = mouseX - offsetX;
-        node.y = mouseY - offsetY;
+    node.x = pointer.worldX - pointer.offsetX;
+    node.y = pointer.worldY - pointer.offsetY;
+    
+    // Keep the nodes in the layout area, which may reach beyond the view
+    const area = getLayoutSize(appState.surface, appState.nodes.length);
+    enforceBoundaries(node, area.width, area.height);
+    appState.spatialIndex.updateNode(node);
+    pointer.group.forEach(member => {
+        if (!member.node.isDragged) return;
         
-        // Keep node within canvas bounds
-        node.x = Math.max(
-            node.radius,
-            Math.min(canvas.width - node.radius, node.x)
-        );
-        node.y = Math.max(
-            node.radius,
-            Math.min(canvas.height - node.radius, node.y)
-        );
+        member.node.x = node.x + member.offsetX;
+        member.node.y = node.y + member.offsetY;
+        enforceBoundaries(member.node, area.width, area.height);
+        appState.spatialIndex.updateNode(member.node);
+    });
+    
+    const time = performance.now();
+    pointer.samples.push({ x: node.x, y: node.y, time });
+    while (pointer.samples.length > 2 && time - pointer.samples[0].time > FLICK_WINDOW) {
+        pointer.samples.shift();
     }
 }
 
 /**
- * Handle mouse up events
+ * Other selected nodes to move along with a dragged node
+ * Only when the dragged node is selected; nodes held by other pointers stay with them.
  * @param {Object} appState - Application state
+ * @param {Node} node - Dragged node
+ * @returns {Array} Group members as { node, offsetX, offsetY }, now marked as dragged
  */
-function handleMouseUp(appState) {
-    if (appState.selectedNode) {
-        appState.selectedNode.isDragged = false;
-    }
-    appState.isDragging = false;
-    appState.selectedNode = null;
+function getDragGroup(appState, node) {
+    if (!appState.selection.has(node)) return [];
     
-    // Canvas cursor is reset in the mousemove handler
+    return appState.selection.getNodes()
+        .filter(other => other !== node && !other.isDragged && appState.nodes.includes(other))
+        .map(other => {
+            other.isDragged = true;
+            return { node: other, offsetX: other.x - node.x, offsetY: other.y - node.y };
+        });
 }
 
 /**
- * Handle touch start events
- * @param {TouchEvent} e - Touch event
- * @param {HTMLCanvasElement} canvas - Canvas element
+ * Select a clicked node, or with Shift add it to the selection or take it out
  * @param {Object} appState - Application state
+ * @param {Node} node - Clicked node
+ * @param {boolean} extend - Shift was held
  */
-function handleTouchStart(e, canvas, appState) {
-    // Prevent default to avoid scrolling
-    e.preventDefault();
+function selectClicked(appState, node, extend) {
+    if (extend) {
+        appState.selection.toggle(node);
+    } else {
+        appState.selection.set([node]);
+    }
+}
+
+/**
+ * Let go of the node dragged by a pointer, handing it the speed of the drag
+ * @param {Object} input - Input state
+ * @param {Object} pointer - Pointer state
+ * @param {boolean} completed - False if the pointer was cancelled
+ */
+function releaseNode(input, pointer, completed) {
+    const { appState } = input;
+    const node = pointer.node;
+    pointer.node = null;
+    node.isDragged = false;
     
-    if (e.touches.length === 1) {
-        const touch = e.touches[0];
-        const rect = canvas.getBoundingClientRect();
-        
-        mouseX = touch.clientX - rect.left;
-        mouseY = touch.clientY - rect.top;
-        
-        // Check if a node was touched
-        checkNodeSelection(mouseX, mouseY, appState);
+    // The group keeps moving together
+    const group = pointer.group.map(member => member.node);
+    pointer.group = [];
+    group.forEach(member => member.isDragged = false);
+    
+    if (!pointer.dragStarted || !appState.nodes.includes(node)) return;
+    
+    const flick = completed && !appState.reducedMotion ? getFlickVelocity(pointer) : { x: 0, y: 0 };
+    [node, ...group].forEach(released => {
+        released.vx = flick.x / appState.animationSpeed;
+        released.vy = flick.y / appState.animationSpeed;
+    });
+    
+    if (input.callbacks.onDragEnd) {
+        input.callbacks.onDragEnd(node);
     }
 }
 
 /**
- * Handle touch move events
- * @param {TouchEvent} e - Touch event
- * @param {HTMLCanvasElement} canvas - Canvas element
- * @param {Object} appState - Application state
+ * Speed a released node keeps from its drag
+ * @param {Object} pointer - Pointer state
+ * @returns {Object} { x, y } in world units per frame, zero if the pointer rested before letting go
  */
-function handleTouchMove(e, canvas, appState) {
-    // Prevent default to avoid scrolling
-    e.preventDefault();
+function getFlickVelocity(pointer) {
+    const samples = pointer.samples;
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    if (samples.length < 2 || last.time <= first.time || performance.now() - last.time > FLICK_IDLE) {
+        return { x: 0, y: 0 };
+    }
     
-    if (e.touches.length === 1 && appState.isDragging) {
-        const touch = e.touches[0];
-        const rect = canvas.getBoundingClientRect();
-        
-        mouseX = touch.clientX - rect.left;
-        mouseY = touch.clientY - rect.top;
-        
-        // Move the selected node
-        if (appState.selectedNode) {
-            const node = appState.selectedNode;
-            
-            node.x = mouseX - offsetX;
-            node.y = mouseY - offsetY;
-            
-            // Keep node within canvas bounds
-            node.x = Math.max(
-                node.radius,
-                Math.min(canvas.width - node.radius, node.x)
-            );
-            node.y = Math.max(
-                node.radius,
-                Math.min(canvas.height - node.radius, node.y)
-            );
-        }
+    const frames = (last.time - first.time) / 16.667;
+    const x = (last.x - first.x) / frames * FLICK_TRANSFER;
+    const y = (last.y - first.y) / frames * FLICK_TRANSFER;
+    const scale = Math.min(1, MAX_FLICK_SPEED / (Math.hypot(x, y) || 1));
+    return { x: x * scale, y: y * scale };
+}
+
+/**
+ * Pointers moving the camera: pressed, not dragging a node or a connection
+ * @param {Object} input - Input state
+ * @returns {Array} Pointer states in the order they were pressed
+ */
+function getCameraPointers(input) {
+    return Array.from(input.pointers.values())
+        .filter(pointer => !pointer.node && !pointer.longPressed &&
+            pointer !== input.linkPointer && pointer !== input.marqueePointer);
+}
+
+/**
+ * Note a pointer pressed on empty space
+ * A second one starts a pinch, which may turn out to be a two-finger tap.
+ * @param {Object} input - Input state
+ */
+function startCameraGesture(input) {
+    const cameraPointers = getCameraPointers(input);
+    if (cameraPointers.length >= 2) {
+        cameraPointers.forEach(pointer => {
+            pointer.pinched = true;
+        });
     }
+    
+    input.tapPending = cameraPointers.length === 2 && input.pointers.size === 2 &&
+        cameraPointers.every(pointer => isClick(pointer));
+    input.tapStart = performance.now();
 }
 
 /**
- * Handle touch end events
- * @param {Object} appState - Application state
+ * Pan with one pointer, pinch-zoom and pan with the first two
+ * Dragged nodes stay under their pointers while the camera moves.
+ * @param {Object} input - Input state
+ * @param {Object} pointer - Pointer that moved
+ * @param {number} lastScreenX - Its previous screen X
+ * @param {number} lastScreenY - Its previous screen Y
  */
-function handleTouchEnd(appState) {
-    if (appState.selectedNode) {
-        appState.selectedNode.isDragged = false;
+function moveCamera(input, pointer, lastScreenX, lastScreenY) {
+    const camera = input.appState.camera;
+    const cameraPointers = getCameraPointers(input);
+    const index = cameraPointers.indexOf(pointer);
+    
+    if (cameraPointers.length >= 2 && index < 2) {
+        const other = cameraPointers[1 - index];
+        const lastDistance = Math.hypot(other.screenX - lastScreenX, other.screenY - lastScreenY) || 1;
+        const lastMidX = (other.screenX + lastScreenX) / 2;
+        const lastMidY = (other.screenY + lastScreenY) / 2;
+        const distance = Math.hypot(other.screenX - pointer.screenX, other.screenY - pointer.screenY) || 1;
+        
+        camera.zoomAt(lastMidX, lastMidY, distance / lastDistance);
+        camera.panBy((other.screenX + pointer.screenX) / 2 - lastMidX, (other.screenY + pointer.screenY) / 2 - lastMidY);
+    } else if (cameraPointers.length === 1) {
+        camera.panBy(pointer.screenX - lastScreenX, pointer.screenY - lastScreenY);
+    } else {
+        return;
     }
-    appState.isDragging = false;
-    appState.selectedNode = null;
+    
+    followCamera(input);
 }
 
 /**
- * Check if a node is selected at the current mouse/touch position
- * @param {number} x - X position
- * @param {number} y - Y position
- * @param {Object} appState - Application state
+ * Keep dragged nodes under their pointers after the camera moved
+ * @param {Object} input - Input state
  */
-function checkNodeSelection(x, y, appState) {
-    for (const node of appState.nodes) {
-        const dx = x - node.x;
-        const dy = y - node.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        if (distance <= node.radius * 1.5) {
-            appState.isDragging = true;
-            appState.selectedNode = node;
-            node.isDragged = true;
-            offsetX = dx;
-            offsetY = dy;
-            document.body.style.cursor = 'grabbing';
-            break;
+function followCamera(input) {
+    input.pointers.forEach(pointer => {
+        updatePointerWorld(pointer, input);
+        if (pointer.node) {
+            dragNode(input, pointer);
+        } else if (pointer === input.marqueePointer) {
+            updateMarquee(input);
         }
+    });
+}
+
+/**
+ * Finish a camera gesture once its last pointer is lifted
+ * Two fingers lifted quickly without moving fit the graph into view.
+ * @param {Object} input - Input state
+ * @param {boolean} completed - False if the pointer was cancelled
+ */
+function finishCameraGesture(input, completed) {
+    if (getCameraPointers(input).length > 0) return;
+    
+    if (completed && input.tapPending && performance.now() - input.tapStart <= TAP_TIME) {
+        fitCameraToGraph(input.canvas, input.appState);
     }
+    input.tapPending = false;
+}
+
+/**
+ * Start drawing a selection box from a pointer pressed on empty space
+ * @param {Object} input - Input state
+ * @param {Object} pointer - Pressed pointer
+ */
+function startMarquee(input, pointer) {
+    input.marqueePointer = pointer;
+    input.appState.marquee = { x1: pointer.worldX, y1: pointer.worldY, x2: pointer.worldX, y2: pointer.worldY };
+}
+
+/**
+ * Stretch the selection box to its pointer
+ * @param {Object} input - Input state
+ */
+function updateMarquee(input) {
+    const pointer = input.marqueePointer;
+    input.appState.marquee.x2 = pointer.worldX;
+    input.appState.marquee.y2 = pointer.worldY;
+}
+
+/**
+ * Add the nodes inside the selection box to the selection
+ * @param {Object} input - Input state
+ * @param {boolean} completed - False if the pointer was cancelled, which drops the box
+ */
+function finishMarquee(input, completed) {
+    const { appState } = input;
+    updateMarquee(input);
+    const box = appState.marquee;
+    input.marqueePointer = null;
+    appState.marquee = null;
+    
+    if (completed) {
+        appState.selection.add(appState.spatialIndex.nodesInRect(box.x1, box.y1, box.x2, box.y2));
+    }
+}
+
+/**
+ * Check whether the graph editor is active
+ * @param {Object} appState - Application state
+ * @returns {boolean} True in edit mode
+ */
+function isEditing(appState) {
+    return Boolean(appState.editor && appState.editor.enabled);
+}
+
+/**
+ * Start dragging a connection if the press is on a node
+ * @param {Object} input - Input state
+ * @param {Object} pointer - Pressed pointer
+ * @returns {boolean} True if a connection drag started
+ */
+function startLink(input, pointer) {
+    const { appState } = input;
+    const node = appState.spatialIndex.nodeAt(pointer.worldX, pointer.worldY);
+    if (!appState.editor.pointerDown(node, pointer.worldX, pointer.worldY)) return false;
+    
+    input.linkPointer = pointer;
+    return true;
+}
+
+/**
+ * Drop the connection being dragged out; its pointer pans from then on
+ * @param {Object} input - Input state
+ */
+function cancelLink(input) {
+    input.linkPointer = null;
+    input.appState.editor.cancelLink();
+}
+
+/**
+ * Check whether a press stayed in place
+ * @param {Object} pointer - Pointer state
+ * @returns {boolean} True if the pointer moved less than CLICK_TOLERANCE since the press
+ */
+function isClick(pointer) {
+    return Math.hypot(pointer.screenX - pointer.pressScreenX, pointer.screenY - pointer.pressScreenY) <= CLICK_TOLERANCE;
+}
+
+/**
+ * Find the edge, or pulse in flight, under a point
+ * Pulses are drawn over their edge and win when both are close enough.
+ * @param {Object} appState - Application state
+ * @param {number} x - World X
+ * @param {number} y - World Y
+ * @returns {Object|null} { source, target, pulse } with pulse only set for a pulse hit, or null
+ */
+function findEdgeAt(appState, x, y) {
+    const index = appState.spatialIndex;
+    const tolerance = EDGE_HIT_TOLERANCE / appState.camera.zoom;
+    return index.pulseAt(x, y, tolerance) || index.edgeAt(x, y, tolerance);
 }
 
 // Export functions
-export { setupInputHandlers };
\ No newline at end of file
+export { setupInputHandlers, fitCameraToGraph };
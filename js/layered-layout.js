@@ -0,0 +1,420 @@
+/**
+ * layered-layout.js - Left-to-right layered layout for pipeline graphs
+ *
+ * Sugiyama-style: cycles are broken, nodes are assigned to layers by their
+ * longest path from a source, edges spanning several layers get virtual
+ * nodes, layers are reordered to reduce crossings, and finally nodes get
+ * coordinates. Sources end up on the left, destinations on the right.
+ *
+ * Columns that cross an obstacle, like the hero text, squeeze their nodes
+ * into the space above and below it. The result is a set of target
+ * positions; applyTargetLayout in force-layout.js moves the nodes there.
+ */
+
+import { moveOutOfObstacles } from './obstacles.js';
+
+// Barycenter sweeps used to reduce crossings, and passes that straighten edges
+const ORDERING_SWEEPS = 12;
+const COORDINATE_PASSES = 8;
+
+/**
+ * Compute layered target positions
+ * @param {Array} nodes - Array of Node objects
+ * @param {number} width - Layout width
+ * @param {number} height - Layout height
+ * @param {Object} [options] - Layout options
+ * @param {Array|null} [options.obstacles] - Obstacles to keep the columns clear of
+ * @param {number} [options.padding=60] - Space kept free at the canvas edges
+ * @returns {Float32Array} Target positions as [x0, y0, x1, y1, ...], in node order
+ */
+function computeLayeredLayout(nodes, width, height, options = {}) {
+    const padding = options.padding !== undefined ? options.padding : 60;
+    const targets = new Float32Array(nodes.length * 2);
+    if (nodes.length === 0) return targets;
+    
+    const edges = breakCycles(nodes);
+    const layerOf = assignLayers(nodes, edges);
+    const graph = buildLayerGraph(nodes.length, edges, layerOf);
+    orderLayers(graph);
+    const positions = assignCoordinates(graph, width, height, padding);
+    if (options.obstacles) {
+        clearColumns(graph, positions, height, padding, options.obstacles);
+    }
+    
+    for (let i = 0; i < nodes.length; i++) {
+        targets[i * 2] = positions.x[i];
+        targets[i * 2 + 1] = positions.y[i];
+    }
+    
+    // Rounded corners and columns an obstacle covers completely
+    moveOutOfObstacles(targets, options.obstacles);
+    return targets;
+}
+
+/**
+ * List the edges with just enough of them reversed to make the graph acyclic
+ * A depth-first search starting at sources reverses every edge that leads back
+ * into the current path.
+ * @param {Array} nodes - Array of Node objects
+ * @returns {Array} Edges as [from, to] index pairs
+ */
+function breakCycles(nodes) {
+    const indices = new Map();
+    nodes.forEach((node, i) => indices.set(node, i));
+    
+    const successors = nodes.map(node => node.connections
+        .filter(connected => indices.has(connected))
+        .map(connected => indices.get(connected)));
+    
+    const hasIncoming = new Uint8Array(nodes.length);
+    successors.forEach(list => list.forEach(to => { hasIncoming[to] = 1; }));
+    
+    // Sources first, then other roots, then whatever only a cycle reaches
+    const starts = nodes.map((node, i) => i).sort((a, b) => startRank(nodes[a], hasIncoming[a]) -
+        startRank(nodes[b], hasIncoming[b]));
+    
+    // 0 = unvisited, 1 = on the current path, 2 = done
+    const state = new Uint8Array(nodes.length);
+    const edges = [];
+    
+    starts.forEach(start => {
+        if (state[start] !== 0) return;
+        
+        // Iterative DFS, deep pipelines would overflow the call stack
+        const stack = [[start, 0]];
+        state[start] = 1;
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const from = frame[0];
+            const list = successors[from];
+            
+            if (frame[1] === list.length) {
+                state[from] = 2;
+                stack.pop();
+                continue;
+            }
+            
+            const to = list[frame[1]++];
+            if (to === from) continue; // Self loops don't affect layering
+            
+            if (state[to] === 1) {
+                edges.push([to, from]);
+            } else {
+                edges.push([from, to]);
+                if (state[to] === 0) {
+                    state[to] = 1;
+                    stack.push([to, 0]);
+                }
+            }
+        }
+    });
+    
+    return edges;
+}
+
+/**
+ * Order in which nodes start a depth-first search
+ * @param {Node} node - Node
+ * @param {number} hasIncoming - 1 if any edge points to the node
+ * @returns {number} Lower ranks start first
+ */
+function startRank(node, hasIncoming) {
+    if (node.type === 'source') return 0;
+    return hasIncoming ? 2 : 1;
+}
+
+/**
+ * Assign each node a layer by its longest path from a root
+ * Destinations without outgoing edges move to the last layer.
+ * @param {Array} nodes - Array of Node objects
+ * @param {Array} edges - Acyclic edges as [from, to] index pairs
+ * @returns {Int32Array} Layer per node
+ */
+function assignLayers(nodes, edges) {
+    const count = nodes.length;
+    const layerOf = new Int32Array(count);
+    const inDegree = new Int32Array(count);
+    const outgoing = nodes.map(() => []);
+    
+    edges.forEach(([from, to]) => {
+        outgoing[from].push(to);
+        inDegree[to]++;
+    });
+    
+    // Kahn's algorithm; every edge is seen after its source got its final layer
+    const queue = [];
+    for (let i = 0; i < count; i++) {
+        if (inDegree[i] === 0) queue.push(i);
+    }
+    for (let head = 0; head < queue.length; head++) {
+        const from = queue[head];
+        outgoing[from].forEach(to => {
+            layerOf[to] = Math.max(layerOf[to], layerOf[from] + 1);
+            if (--inDegree[to] === 0) queue.push(to);
+        });
+    }
+    
+    let lastLayer = 0;
+    for (let i = 0; i < count; i++) {
+        lastLayer = Math.max(lastLayer, layerOf[i]);
+    }
+    
+    nodes.forEach((node, i) => {
+        if (node.type === 'destination' && outgoing[i].length === 0) {
+            layerOf[i] = lastLayer;
+        }
+    });
+    
+    return layerOf;
+}
+
+/**
+ * Split long edges with virtual nodes so every edge joins neighbouring layers
+ * @param {number} nodeCount - Number of real nodes; virtual nodes are numbered after them
+ * @param {Array} edges - Acyclic edges as [from, to] index pairs
+ * @param {Int32Array} layerOf - Layer per real node
+ * @returns {Object} Layers as arrays of vertices, with up and down neighbours per vertex
+ */
+function buildLayerGraph(nodeCount, edges, layerOf) {
+    const layer = Array.from(layerOf);
+    const up = [];
+    const down = [];
+    for (let i = 0; i < nodeCount; i++) {
+        up.push([]);
+        down.push([]);
+    }
+    
+    const link = (from, to) => {
+        down[from].push(to);
+        up[to].push(from);
+    };
+    
+    edges.forEach(([from, to]) => {
+        let previous = from;
+        for (let l = layer[from] + 1; l < layer[to]; l++) {
+            const virtual = layer.length;
+            layer.push(l);
+            up.push([]);
+            down.push([]);
+            link(previous, virtual);
+            previous = virtual;
+        }
+        link(previous, to);
+    });
+    
+    const layers = [];
+    layer.forEach((l, vertex) => {
+        while (layers.length <= l) layers.push([]);
+        layers[l].push(vertex);
+    });
+    
+    return { nodeCount, layers, up, down };
+}
+
+/**
+ * Reorder the vertices of each layer to reduce edge crossings
+ * Alternating downward and upward barycenter sweeps; the best order seen is kept.
+ * @param {Object} graph - Layer graph from buildLayerGraph, reordered in place
+ */
+function orderLayers(graph) {
+    const { layers, up, down } = graph;
+    const position = new Float64Array(up.length);
+    const updatePositionsOf = layer => layer.forEach((vertex, i) => { position[vertex] = i; });
+    layers.forEach(updatePositionsOf);
+    
+    let best = layers.map(layer => layer.slice());
+    let bestCrossings = countAllCrossings(layers, down, position);
+    
+    for (let sweep = 0; sweep < ORDERING_SWEEPS && bestCrossings > 0; sweep++) {
+        const downward = sweep % 2 === 0;
+        const start = downward ? 1 : layers.length - 2;
+        const step = downward ? 1 : -1;
+        
+        for (let l = start; l >= 0 && l < layers.length; l += step) {
+            const neighbours = downward ? up : down;
+            const barycenter = new Map();
+            layers[l].forEach(vertex => {
+                const list = neighbours[vertex];
+                barycenter.set(vertex, list.length > 0
+                    ? list.reduce((sum, other) => sum + position[other], 0) / list.length
+                    : position[vertex]);
+            });
+            
+            // Stable sort keeps ties in their current order
+            layers[l].sort((a, b) => barycenter.get(a) - barycenter.get(b));
+            updatePositionsOf(layers[l]);
+        }
+        
+        const crossings = countAllCrossings(layers, down, position);
+        if (crossings < bestCrossings) {
+            bestCrossings = crossings;
+            best = layers.map(layer => layer.slice());
+        }
+    }
+    
+    graph.layers = best;
+}
+
+/**
+ * Count edge crossings between all neighbouring layers
+ * @param {Array} layers - Layers as arrays of vertices
+ * @param {Array} down - Down neighbours per vertex
+ * @param {Float64Array} position - Index of each vertex within its layer
+ * @returns {number} Number of crossings
+ */
+function countAllCrossings(layers, down, position) {
+    let crossings = 0;
+    for (let l = 0; l < layers.length - 1; l++) {
+        // Lower ends of the edges, sorted by their upper end and then their lower end
+        const ends = [];
+        layers[l].forEach(vertex => {
+            down[vertex]
+                .map(other => position[other])
+                .sort((a, b) => a - b)
+                .forEach(end => ends.push(end));
+        });
+        crossings += countCrossings(ends, layers[l + 1].length);
+    }
+    return crossings;
+}
+
+/**
+ * Count crossings between two layers with an accumulator tree (Barth, Jünger and Mutzel)
+ * @param {Array<number>} ends - Lower end of each edge, in the order of the upper ends
+ * @param {number} lowerCount - Number of vertices in the lower layer
+ * @returns {number} Number of crossings
+ */
+function countCrossings(ends, lowerCount) {
+    let firstIndex = 1;
+    while (firstIndex < lowerCount) firstIndex *= 2;
+    const tree = new Int32Array(2 * firstIndex - 1);
+    firstIndex -= 1;
+    
+    let crossings = 0;
+    ends.forEach(end => {
+        let index = end + firstIndex;
+        tree[index]++;
+        while (index > 0) {
+            // Edges already counted that end further right cross this one
+            if (index % 2 === 1) crossings += tree[index + 1];
+            index = (index - 1) >> 1;
+            tree[index]++;
+        }
+    });
+    return crossings;
+}
+
+/**
+ * Place layers in columns and vertices within them, pulling each towards its neighbours
+ * @param {Object} graph - Ordered layer graph
+ * @param {number} width - Layout width
+ * @param {number} height - Layout height
+ * @param {number} padding - Space kept free at the canvas edges
+ * @returns {Object} x and y per vertex
+ */
+function assignCoordinates(graph, width, height, padding) {
+    const { layers, up, down } = graph;
+    const x = new Float64Array(up.length);
+    const y = new Float64Array(up.length);
+    
+    const left = Math.min(padding, width / 4);
+    const top = Math.min(padding, height / 4);
+    const innerWidth = width - left * 2;
+    const innerHeight = height - top * 2;
+    const columnWidth = layers.length > 1 ? innerWidth / (layers.length - 1) : 0;
+    
+    // The fullest layer spans the height; the others use the same spacing
+    const largest = layers.reduce((max, layer) => Math.max(max, layer.length), 1);
+    const gap = largest > 1 ? innerHeight / (largest - 1) : 0;
+    
+    layers.forEach((layer, l) => {
+        const offset = top + (innerHeight - gap * (layer.length - 1)) / 2;
+        layer.forEach((vertex, i) => {
+            x[vertex] = layers.length > 1 ? left + l * columnWidth : width / 2;
+            y[vertex] = largest > 1 ? offset + i * gap : height / 2;
+        });
+    });
+    
+    // Move vertices towards the mean of their neighbours, keeping order and spacing
+    for (let pass = 0; pass < COORDINATE_PASSES; pass++) {
+        layers.forEach(layer => {
+            const desired = layer.map(vertex => {
+                const neighbours = up[vertex].concat(down[vertex]);
+                return neighbours.length > 0
+                    ? neighbours.reduce((sum, other) => sum + y[other], 0) / neighbours.length
+                    : y[vertex];
+            });
+            
+            // Push down past the previous vertex, then back up within the bottom edge
+            for (let i = 0; i < layer.length; i++) {
+                const min = i > 0 ? desired[i - 1] + gap : top;
+                desired[i] = Math.max(desired[i], min);
+            }
+            for (let i = layer.length - 1; i >= 0; i--) {
+                const max = i < layer.length - 1 ? desired[i + 1] - gap : top + innerHeight;
+                desired[i] = Math.min(desired[i], max);
+            }
+            
+            layer.forEach((vertex, i) => { y[vertex] = desired[i]; });
+        });
+    }
+    
+    return { x, y };
+}
+
+/**
+ * Move the vertices of columns crossing obstacles into the free space of their column
+ * The column height is mapped onto the free stretches above, between and below
+ * the padded obstacles, which keeps the order of the vertices and shrinks their
+ * spacing evenly.
+ * @param {Object} graph - Ordered layer graph
+ * @param {Object} positions - x and y per vertex, changed in place
+ * @param {number} height - Layout height
+ * @param {number} padding - Space kept free at the canvas edges
+ * @param {Array} obstacles - Obstacles to keep clear
+ */
+function clearColumns(graph, positions, height, padding, obstacles) {
+    const top = Math.min(padding, height / 4);
+    const bottom = height - top;
+    
+    graph.layers.forEach(layer => {
+        if (layer.length === 0) return;
+        const columnX = positions.x[layer[0]];
+        
+        // Padded obstacle spans crossing the column, sorted from the top
+        const blocked = obstacles
+            .filter(obstacle => Math.abs(columnX - obstacle.cx) < obstacle.halfWidth + obstacle.padding)
+            .map(obstacle => [
+                obstacle.cy - obstacle.halfHeight - obstacle.padding,
+                obstacle.cy + obstacle.halfHeight + obstacle.padding
+            ])
+            .sort((a, b) => a[0] - b[0]);
+        if (blocked.length === 0) return;
+        
+        const free = [];
+        let start = top;
+        blocked.forEach(([from, to]) => {
+            if (from > start) free.push([start, Math.min(from, bottom)]);
+            start = Math.max(start, to);
+        });
+        if (start < bottom) free.push([start, bottom]);
+        
+        const freeLength = free.reduce((sum, [from, to]) => sum + Math.max(0, to - from), 0);
+        if (freeLength <= 0) return;
+        
+        layer.forEach(vertex => {
+            let along = (positions.y[vertex] - top) / (bottom - top) * freeLength;
+            for (const [from, to] of free) {
+                const length = Math.max(0, to - from);
+                if (along <= length) {
+                    positions.y[vertex] = from + along;
+                    return;
+                }
+                along -= length;
+            }
+            positions.y[vertex] = bottom;
+        });
+    });
+}
+
+export { computeLayeredLayout };
@@ -0,0 +1,284 @@
+/**
+ * layout-client.js - Main thread side of the layout worker
+ *
+ * Sends the graph and obstacles to layout-worker.js, forwards drag and pin
+ * changes and keeps the two latest position snapshots for interpolation
+ */
+
+import { sameObstacles } from './obstacles.js';
+
+// Flag bits shared with layout-worker.js
+const FLAG_DRAGGED = 1;
+const FLAG_PINNED = 2;
+
+/**
+ * Client for the off-main-thread force simulation
+ */
+class LayoutWorkerClient {
+    /**
+     * Create the client and spawn its worker
+     * @param {Object} options - Simulation settings
+     * @param {number} options.tickInterval - Milliseconds between worker ticks
+     * @throws {Error} If module workers are not supported
+     */
+    constructor(options) {
+        this.tickInterval = options.tickInterval;
+        this.worker = new Worker(new URL('./layout-worker.js', import.meta.url), { type: 'module' });
+        this.failed = false;
+        
+        // Snapshots received from the worker
+        this.previous = null;
+        this.current = null;
+        this.receivedAt = 0;
+        this.layoutTime = 0; // ms the worker spent on its last tick
+        
+        // Bumped on every graph change so stale snapshots can be dropped
+        this.graphVersion = 0;
+        this.flags = new Uint8Array(0);
+        this.obstacles = null;
+        
+        this.worker.onmessage = event => this.handleMessage(event.data);
+        this.worker.onerror = event => {
+            // Module workers can fail to load (old browsers, file:// pages);
+            // the caller falls back to the main thread layout
+            console.error('Layout worker failed, falling back to main thread layout.', event.message);
+            this.failed = true;
+            this.terminate();
+        };
+    }
+    
+    /**
+     * Send the initial graph and start the simulation
+     * @param {Array} nodes - Array of Node objects
+     * @param {Object} settings - Bounds, options and timing for the simulation
+     */
+    start(nodes, settings) {
+        this.worker.postMessage({
+            type: 'init',
+            width: settings.width,
+            height: settings.height,
+            obstacles: settings.obstacles,
+            seed: settings.seed,
+            layoutOptions: settings.layoutOptions,
+            animationSpeed: settings.animationSpeed,
+            forceLayoutInterval: settings.forceLayoutInterval,
+            tickInterval: this.tickInterval,
+            strength: settings.strength,
+            ...this.encodeGraph(nodes)
+        });
+        this.obstacles = settings.obstacles;
+    }
+    
+    /**
+     * Send the graph again after nodes or connections changed
+     * @param {Array} nodes - Array of Node objects
+     */
+    syncGraph(nodes) {
+        this.worker.postMessage({ type: 'graph', ...this.encodeGraph(nodes) });
+    }
+    
+    /**
+     * Encode nodes into typed arrays for the worker
+     * @param {Array} nodes - Array of Node objects
+     * @returns {Object} Graph message fields
+     */
+    encodeGraph(nodes) {
+        const indices = new Map();
+        const positions = new Float32Array(nodes.length * 2);
+        const velocities = new Float32Array(nodes.length * 2);
+        const radii = new Float32Array(nodes.length);
+        const edges = [];
+        
+        nodes.forEach((node, i) => indices.set(node, i));
+        
+        nodes.forEach((node, i) => {
+            positions[i * 2] = node.x;
+            positions[i * 2 + 1] = node.y;
+            velocities[i * 2] = node.vx;
+            velocities[i * 2 + 1] = node.vy;
+            radii[i] = node.radius;
+            
+            node.connections.forEach(connected => {
+                if (indices.has(connected)) {
+                    edges.push(i, indices.get(connected));
+                }
+            });
+        });
+        
+        this.graphVersion++;
+        this.flags = this.readFlags(nodes, new Uint8Array(nodes.length));
+        this.previous = null;
+        this.current = null;
+        
+        return {
+            graphVersion: this.graphVersion,
+            positions,
+            velocities,
+            radii,
+            flags: this.flags.slice(),
+            edges: Int32Array.from(edges)
+        };
+    }
+    
+    /**
+     * Collect drag and pin flags of all nodes
+     * @param {Array} nodes - Array of Node objects
+     * @param {Uint8Array} flags - Array to fill
+     * @returns {Uint8Array} The filled array
+     */
+    readFlags(nodes, flags) {
+        nodes.forEach((node, i) => {
+            flags[i] = (node.isDragged ? FLAG_DRAGGED : 0) | (node.isPinned ? FLAG_PINNED : 0);
+        });
+        return flags;
+    }
+    
+    /**
+     * Forward drag state, dragged node positions and the speed of released nodes to the worker
+     * Only posts a message when something is being dragged or a flag changed
+     * @param {Array} nodes - Array of Node objects
+     */
+    sendInput(nodes) {
+        let flagsChanged = false;
+        const dragged = [];
+        const released = [];
+        
+        nodes.forEach((node, i) => {
+            const flags = (node.isDragged ? FLAG_DRAGGED : 0) | (node.isPinned ? FLAG_PINNED : 0);
+            if (flags !== this.flags[i]) {
+                // A node let go of keeps the velocity the drag gave it
+                if ((this.flags[i] & FLAG_DRAGGED) && !node.isDragged) {
+                    released.push(i, node.vx, node.vy);
+                }
+                this.flags[i] = flags;
+                flagsChanged = true;
+            }
+            if (node.isDragged) {
+                dragged.push(i, node.x, node.y);
+            }
+        });
+        
+        if (flagsChanged || dragged.length > 0) {
+            this.worker.postMessage({
+                type: 'input',
+                flags: flagsChanged ? this.flags.slice() : null,
+                dragged: Float32Array.from(dragged),
+                released: Float32Array.from(released)
+            });
+        }
+    }
+    
+    /**
+     * Update the simulation bounds after a resize
+     * @param {number} width - Layout width
+     * @param {number} height - Layout height
+     * @param {Array|null} obstacles - Obstacles to avoid
+     * @param {number} strength - Strength of the layout pass to run
+     */
+    resize(width, height, obstacles, strength) {
+        this.obstacles = obstacles;
+        this.worker.postMessage({ type: 'resize', width, height, obstacles, strength });
+    }
+    
+    /**
+     * Update the obstacles if any of them changed
+     * @param {Array|null} obstacles - Obstacles to avoid
+     * @param {number} [strength=0] - Strength of a layout pass to run on a change, 0 for none
+     */
+    setObstacles(obstacles, strength = 0) {
+        if (sameObstacles(this.obstacles, obstacles)) return;
+        
+        this.obstacles = obstacles;
+        this.worker.postMessage({ type: 'obstacles', obstacles, strength });
+    }
+    
+    /**
+     * Move nodes towards fixed targets, or back to the force layout
+     * Has to be sent again after syncGraph, the worker drops targets of an older graph.
+     * @param {Float32Array|null} targets - Target positions as [x0, y0, ...], null for the force layout
+     * @param {number} [strength=0] - Strength of a force layout pass to run when targets are cleared
+     */
+    setTargets(targets, strength = 0) {
+        this.worker.postMessage({ type: 'targets', targets, strength });
+    }
+    
+    /**
+     * Replace the layout options used by the worker
+     * @param {Object} layoutOptions - Layout options (see applyForceLayout)
+     */
+    setLayoutOptions(layoutOptions) {
+        this.worker.postMessage({ type: 'layoutOptions', layoutOptions });
+    }
+    
+    /**
+     * Stop the simulation ticking until resume is called
+     */
+    pause() {
+        this.worker.postMessage({ type: 'stop' });
+    }
+    
+    /**
+     * Continue a paused simulation
+     */
+    resume() {
+        this.worker.postMessage({ type: 'start' });
+    }
+    
+    /**
+     * Handle a message from the worker
+     * @param {Object} data - Message data
+     */
+    handleMessage(data) {
+        if (data.type !== 'positions') return;
+        
+        // Drop snapshots of a graph that has since changed
+        if (data.graphVersion !== this.graphVersion) return;
+        
+        // Hand the oldest snapshot back to the worker for reuse
+        if (this.previous) {
+            this.worker.postMessage(
+                { type: 'recycle', positions: this.previous.positions, velocities: this.previous.velocities },
+                [this.previous.positions.buffer, this.previous.velocities.buffer]
+            );
+        }
+        
+        this.previous = this.current;
+        this.current = { positions: data.positions, velocities: data.velocities };
+        this.receivedAt = performance.now();
+        this.layoutTime = data.layoutTime;
+    }
+    
+    /**
+     * Interpolation factor between the previous and current snapshot
+     * @param {number} time - Current time from performance.now()
+     * @returns {number} Factor between 0 and 1
+     */
+    getAlpha(time) {
+        return Math.max(0, Math.min(1, (time - this.receivedAt) / this.tickInterval));
+    }
+    
+    /**
+     * Stop the worker for good
+     */
+    terminate() {
+        this.worker.terminate();
+    }
+}
+
+/**
+ * Create a layout worker client if the browser supports module workers
+ * @param {Object} options - Simulation settings (see LayoutWorkerClient)
+ * @returns {LayoutWorkerClient|null} Client, or null when workers are unavailable
+ */
+function createLayoutWorker(options) {
+    if (typeof Worker === 'undefined') return null;
+    
+    try {
+        return new LayoutWorkerClient(options);
+    } catch (error) {
+        console.error('Could not start layout worker, using main thread layout.', error);
+        return null;
+    }
+}
+
+export { LayoutWorkerClient, createLayoutWorker };
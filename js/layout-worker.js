@@ -0,0 +1,248 @@
+/**
+ * layout-worker.js - Runs the force simulation off the main thread
+ *
+ * Receives node positions and edges from layout-client.js, steps the
+ * force layout on a fixed tick and posts positions and velocities back
+ * as transferable typed arrays
+ */
+
+import { applyForceLayout, applyTargetLayout, updatePositions } from './force-layout.js';
+import { createRandom } from './random.js';
+
+// Flag bits shared with layout-client.js
+const FLAG_DRAGGED = 1;
+const FLAG_PINNED = 2;
+
+// Simulation state
+const sim = {
+    nodes: [],
+    width: 0,
+    height: 0,
+    obstacles: null,
+    targets: null, // Target positions of a layered layout, null for the force layout
+    layoutOptions: {},
+    animationSpeed: 0.05,
+    tickInterval: 1000 / 30,
+    forceLayoutInterval: 5000,
+    lastForceLayoutTime: 0,
+    lastTickTime: 0,
+    layoutTime: 0, // ms spent in the last tick
+    graphVersion: 0,
+    timer: null,
+    bufferPool: [] // Buffers handed back by the main thread for reuse
+};
+
+/**
+ * Rebuild the simulation nodes from a graph message
+ * @param {Object} data - Message with positions, velocities, radii, flags and edges
+ */
+function setGraph(data) {
+    const count = data.radii.length;
+    const nodes = new Array(count);
+    
+    for (let i = 0; i < count; i++) {
+        nodes[i] = {
+            x: data.positions[i * 2],
+            y: data.positions[i * 2 + 1],
+            vx: data.velocities[i * 2],
+            vy: data.velocities[i * 2 + 1],
+            radius: data.radii[i],
+            connections: [],
+            isDragged: (data.flags[i] & FLAG_DRAGGED) !== 0,
+            isPinned: (data.flags[i] & FLAG_PINNED) !== 0
+        };
+    }
+    
+    // Edges arrive as flat [from, to, from, to, ...] index pairs
+    for (let i = 0; i < data.edges.length; i += 2) {
+        nodes[data.edges[i]].connections.push(nodes[data.edges[i + 1]]);
+    }
+    
+    sim.nodes = nodes;
+    sim.graphVersion = data.graphVersion;
+    
+    // Targets belong to the old graph; the main thread sends new ones
+    sim.targets = null;
+    
+    // Buffers from an older graph have the wrong length
+    sim.bufferPool.length = 0;
+}
+
+/**
+ * Run a force layout pass with the current bounds and options
+ * @param {number} strength - Strength of the force application
+ */
+function runForceLayout(strength) {
+    applyForceLayout(sim.nodes, sim.width, sim.height, sim.obstacles, strength, sim.layoutOptions);
+}
+
+/**
+ * Advance the simulation by one tick and post the result
+ */
+function tick() {
+    const now = performance.now();
+    const deltaTime = sim.lastTickTime ? now - sim.lastTickTime : sim.tickInterval;
+    sim.lastTickTime = now;
+    
+    // Periodic gentle untangling, as on the main thread, unless heading for fixed targets
+    if (sim.targets) {
+        applyTargetLayout(sim.nodes, sim.targets);
+    } else if (now - sim.lastForceLayoutTime > sim.forceLayoutInterval) {
+        sim.lastForceLayoutTime = now;
+        runForceLayout(0.5);
+    }
+    
+    // Scale animation speed by deltaTime for consistent speed regardless of tick rate
+    const frameAdjustedSpeed = sim.animationSpeed * (deltaTime / 16.667);
+    updatePositions(sim.nodes, sim.width, sim.height, frameAdjustedSpeed);
+    
+    // Per-frame dampening, compensated for the longer tick
+    const damping = Math.pow(0.999, deltaTime / 16.667);
+    sim.nodes.forEach(node => {
+        if (!node.isDragged) {
+            node.vx *= damping;
+            node.vy *= damping;
+        }
+    });
+    
+    // Reported to the main thread for the metrics HUD
+    sim.layoutTime = performance.now() - now;
+    
+    postPositions();
+}
+
+/**
+ * Post node positions and velocities to the main thread
+ * The typed arrays are transferred, not copied
+ */
+function postPositions() {
+    const length = sim.nodes.length * 2;
+    const buffers = sim.bufferPool.pop() || {
+        positions: new Float32Array(length),
+        velocities: new Float32Array(length)
+    };
+    const { positions, velocities } = buffers;
+    
+    sim.nodes.forEach((node, i) => {
+        positions[i * 2] = node.x;
+        positions[i * 2 + 1] = node.y;
+        velocities[i * 2] = node.vx;
+        velocities[i * 2 + 1] = node.vy;
+    });
+    
+    self.postMessage(
+        { type: 'positions', graphVersion: sim.graphVersion, positions, velocities, layoutTime: sim.layoutTime },
+        [positions.buffer, velocities.buffer]
+    );
+}
+
+/**
+ * Start ticking if not already running
+ */
+function start() {
+    if (sim.timer === null) {
+        sim.lastTickTime = 0;
+        sim.timer = setInterval(tick, sim.tickInterval);
+    }
+}
+
+/**
+ * Stop ticking
+ */
+function stop() {
+    if (sim.timer !== null) {
+        clearInterval(sim.timer);
+        sim.timer = null;
+    }
+}
+
+// Message handlers keyed by message type
+const handlers = {
+    init(data) {
+        sim.width = data.width;
+        sim.height = data.height;
+        sim.obstacles = data.obstacles;
+        sim.animationSpeed = data.animationSpeed;
+        sim.tickInterval = data.tickInterval;
+        sim.forceLayoutInterval = data.forceLayoutInterval;
+        sim.layoutOptions = { ...data.layoutOptions, random: createRandom(data.seed) };
+        sim.lastForceLayoutTime = performance.now();
+        
+        setGraph(data);
+        runForceLayout(data.strength);
+        start();
+    },
+    
+    graph(data) {
+        setGraph(data);
+    },
+    
+    resize(data) {
+        sim.width = data.width;
+        sim.height = data.height;
+        sim.obstacles = data.obstacles;
+        runForceLayout(data.strength);
+    },
+    
+    obstacles(data) {
+        sim.obstacles = data.obstacles;
+        if (data.strength > 0) {
+            runForceLayout(data.strength);
+        }
+    },
+    
+    targets(data) {
+        sim.targets = data.targets;
+        if (!sim.targets && data.strength > 0) {
+            runForceLayout(data.strength);
+        }
+    },
+    
+    layoutOptions(data) {
+        sim.layoutOptions = { ...data.layoutOptions, random: sim.layoutOptions.random };
+    },
+    
+    input(data) {
+        // Drag and pin flags of every node, when any of them changed
+        if (data.flags) {
+            sim.nodes.forEach((node, i) => {
+                node.isDragged = (data.flags[i] & FLAG_DRAGGED) !== 0;
+                node.isPinned = (data.flags[i] & FLAG_PINNED) !== 0;
+            });
+        }
+        
+        // Positions of dragged nodes as flat [index, x, y, ...] triples
+        for (let i = 0; i < data.dragged.length; i += 3) {
+            const node = sim.nodes[data.dragged[i]];
+            if (node) {
+                node.x = data.dragged[i + 1];
+                node.y = data.dragged[i + 2];
+            }
+        }
+        
+        // Velocities of nodes just let go of as flat [index, vx, vy, ...] triples
+        for (let i = 0; i < data.released.length; i += 3) {
+            const node = sim.nodes[data.released[i]];
+            if (node) {
+                node.vx = data.released[i + 1];
+                node.vy = data.released[i + 2];
+            }
+        }
+    },
+    
+    recycle(data) {
+        if (data.positions.length === sim.nodes.length * 2) {
+            sim.bufferPool.push({ positions: data.positions, velocities: data.velocities });
+        }
+    },
+    
+    start,
+    stop
+};
+
+self.onmessage = event => {
+    const handler = handlers[event.data.type];
+    if (handler) {
+        handler(event.data);
+    }
+};
@@ -0,0 +1,239 @@
+/**
+ * metrics-hud.js - Toggleable overlay with live metrics
+ *
+ * Shows pulse rates, pulses in flight, source-to-destination latency,
+ * frame and layout time with sparklines, and the deepest node queues.
+ * The overlay is redrawn once per metrics sample, not every frame.
+ */
+
+// Rows of the overlay: series name, label, unit and sparkline colour
+const HUD_ROWS = [
+    ['emitted', 'Emitted', '/s', '#00ffcc'],
+    ['inFlight', 'In flight', '', '#ffffff'],
+    ['delivered', 'Delivered', '/s', '#ff00cc'],
+    ['latency', 'Latency', 'ms', '#ffcc00'],
+    ['frameTime', 'Frame', 'ms', '#00ccff'],
+    ['layoutTime', 'Layout', 'ms', '#00ccff']
+];
+
+// Number of deepest queues listed
+const QUEUE_ROWS = 5;
+
+// Sparkline size in CSS pixels
+const SPARKLINE_WIDTH = 80;
+const SPARKLINE_HEIGHT = 18;
+
+/**
+ * DOM overlay reading from a Metrics recorder
+ */
+class MetricsHUD {
+    /**
+     * Create the overlay and add it to the page (hidden)
+     * @param {Metrics} metrics - Metrics recorder to display
+     * @param {HTMLElement} [container] - Element to append the overlay to
+     */
+    constructor(metrics, container = document.body) {
+        this.metrics = metrics;
+        this.visible = false;
+        
+        this.element = document.createElement('section');
+        this.element.className = 'metrics-hud';
+        this.element.setAttribute('aria-label', 'Network metrics');
+        this.element.hidden = true;
+        
+        const table = document.createElement('dl');
+        table.className = 'metrics-hud__rows';
+        this.rows = HUD_ROWS.map(([name, label, unit, color]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            
+            const value = document.createElement('dd');
+            value.className = 'metrics-hud__value';
+            
+            const sparkline = document.createElement('canvas');
+            sparkline.className = 'metrics-hud__sparkline';
+            sparkline.style.width = SPARKLINE_WIDTH + 'px';
+            sparkline.style.height = SPARKLINE_HEIGHT + 'px';
+            sparkline.setAttribute('aria-hidden', 'true');
+            
+            const cell = document.createElement('dd');
+            cell.appendChild(sparkline);
+            
+            table.append(term, value, cell);
+            return { name, series: metrics.series[name], unit, color, value, sparkline };
+        });
+        
+        const queueTitle = document.createElement('h3');
+        queueTitle.className = 'metrics-hud__title';
+        queueTitle.textContent = 'Deepest queues';
+        
+        // Fixed rows, filled in place on every sample
+        this.queueList = document.createElement('ol');
+        this.queueList.className = 'metrics-hud__queues';
+        this.queueRows = [];
+        for (let i = 0; i < QUEUE_ROWS; i++) {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            const bar = document.createElement('span');
+            bar.className = 'metrics-hud__bar';
+            const depth = document.createElement('span');
+            depth.className = 'metrics-hud__value';
+            item.append(name, bar, depth);
+            this.queueList.appendChild(item);
+            this.queueRows.push({ item, name, bar, depth });
+        }
+        
+        // Deepest queues found in the last sample
+        this.topNodes = new Array(QUEUE_ROWS).fill(null);
+        
+        this.element.append(table, queueTitle, this.queueList);
+        container.appendChild(this.element);
+    }
+    
+    /**
+     * Show or hide the overlay; metrics are only recorded while it is shown
+     * @param {boolean} visible - New state
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.element.hidden = !visible;
+        this.metrics.setEnabled(visible);
+    }
+    
+    /**
+     * Show the overlay if hidden, hide it if shown
+     */
+    toggle() {
+        this.setVisible(!this.visible);
+    }
+    
+    /**
+     * Stop recording and remove the overlay from the page
+     */
+    destroy() {
+        this.metrics.setEnabled(false);
+        this.element.remove();
+    }
+    
+    /**
+     * Close a metrics sample when due and redraw the overlay
+     * Called every frame
+     * @param {number} time - Current frame time
+     * @param {Array} nodes - Array of Node objects
+     */
+    update(time, nodes) {
+        if (!this.visible) return;
+        
+        let inFlight = 0;
+        for (let i = 0; i < nodes.length; i++) {
+            inFlight += nodes[i].pulses.length;
+        }
+        
+        if (!this.metrics.sample(time, inFlight)) return;
+        
+        this.rows.forEach(row => {
+            const value = row.series.latest();
+            let text = Number.isNaN(value) ? '–' : `${formatValue(value)}${row.unit ? ' ' + row.unit : ''}`;
+            if (row.name === 'frameTime') {
+                text += ` · ${Math.round(this.metrics.fps)} fps`;
+            }
+            row.value.textContent = text;
+            this.drawSparkline(row);
+        });
+        
+        this.renderQueues(nodes);
+    }
+    
+    /**
+     * List the nodes with the longest queues
+     * @param {Array} nodes - Array of Node objects
+     */
+    renderQueues(nodes) {
+        const top = this.topNodes;
+        top.fill(null);
+        
+        // Insertion into a fixed-size list, deepest first
+        nodes.forEach(node => {
+            if (node.processingPulses === 0) return;
+            for (let i = 0; i < top.length; i++) {
+                if (top[i] === null || node.processingPulses > top[i].processingPulses) {
+                    top.copyWithin(i + 1, i, top.length - 1);
+                    top[i] = node;
+                    break;
+                }
+            }
+        });
+        
+        const deepest = top[0] ? top[0].processingPulses : 0;
+        this.queueRows.forEach((row, i) => {
+            const node = top[i];
+            row.item.hidden = node === null;
+            if (node === null) return;
+            
+            const limit = node.flow && Number.isFinite(node.flow.queueLimit) ? node.flow.queueLimit : deepest;
+            row.name.textContent = node.label || String(node.id);
+            row.depth.textContent = node.flow && Number.isFinite(node.flow.queueLimit)
+                ? `${node.processingPulses}/${limit}`
+                : String(node.processingPulses);
+            row.bar.style.width = `${Math.round(Math.min(1, node.processingPulses / Math.max(limit, 1)) * 100)}%`;
+        });
+    }
+    
+    /**
+     * Draw the history of a series as a line
+     * @param {Object} row - Overlay row with series, colour and canvas
+     */
+    drawSparkline(row) {
+        const canvas = row.sparkline;
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(SPARKLINE_WIDTH * ratio);
+        const height = Math.round(SPARKLINE_HEIGHT * ratio);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, SPARKLINE_WIDTH, SPARKLINE_HEIGHT);
+        
+        const series = row.series;
+        const max = series.max();
+        if (series.count < 2 || max === 0) return;
+        
+        const step = SPARKLINE_WIDTH / (series.values.length - 1);
+        const offset = series.values.length - series.count; // Newest sample on the right edge
+        
+        ctx.strokeStyle = row.color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        let drawing = false;
+        for (let i = 0; i < series.count; i++) {
+            const value = series.get(i);
+            if (Number.isNaN(value)) {
+                drawing = false;
+                continue;
+            }
+            const x = (offset + i) * step;
+            const y = SPARKLINE_HEIGHT - 1 - (value / max) * (SPARKLINE_HEIGHT - 2);
+            if (drawing) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                drawing = true;
+            }
+        }
+        ctx.stroke();
+    }
+}
+
+/**
+ * Format a metric value with sensible precision
+ * @param {number} value - Value to format
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+    return value >= 100 ? String(Math.round(value)) : value.toFixed(1);
+}
+
+export { MetricsHUD };
@@ -0,0 +1,199 @@
+/**
+ * metrics.js - Live statistics for the metrics HUD
+ *
+ * Frames, layout passes and pulses report into running sums; every
+ * SAMPLE_INTERVAL ms the sums are turned into one sample per series and kept
+ * in fixed-size ring buffers for the sparklines. Recording only adds numbers,
+ * so it is safe to call from the animation loop and Node.updatePulses.
+ */
+
+// Samples kept per series (30 seconds of history)
+const HISTORY_LENGTH = 60;
+
+// ms covered by one sample
+const SAMPLE_INTERVAL = 500;
+
+/**
+ * Fixed-size ring buffer of samples
+ */
+class MetricSeries {
+    /**
+     * Create an empty series
+     * @param {number} length - Number of samples kept
+     */
+    constructor(length) {
+        this.values = new Float32Array(length);
+        this.start = 0;
+        this.count = 0;
+    }
+    
+    /**
+     * Append a sample, dropping the oldest when full
+     * NaN marks a sample without data (e.g. no deliveries to measure latency from)
+     * @param {number} value - Sample value
+     */
+    push(value) {
+        const length = this.values.length;
+        this.values[(this.start + this.count) % length] = value;
+        if (this.count < length) {
+            this.count++;
+        } else {
+            this.start = (this.start + 1) % length;
+        }
+    }
+    
+    /**
+     * Get a sample by age order
+     * @param {number} index - 0 for the oldest sample
+     * @returns {number} Sample value
+     */
+    get(index) {
+        return this.values[(this.start + index) % this.values.length];
+    }
+    
+    /**
+     * Most recent sample
+     * @returns {number} Sample value, NaN if there are no samples yet
+     */
+    latest() {
+        return this.count > 0 ? this.get(this.count - 1) : NaN;
+    }
+    
+    /**
+     * Largest sample, ignoring samples without data
+     * @returns {number} Largest value, 0 if there is none
+     */
+    max() {
+        let max = 0;
+        for (let i = 0; i < this.count; i++) {
+            const value = this.get(i);
+            if (value > max) max = value;
+        }
+        return max;
+    }
+}
+
+/**
+ * Running sums and sample history for the HUD
+ */
+class Metrics {
+    /**
+     * Create a recorder; nothing is recorded until it is enabled
+     */
+    constructor() {
+        this.enabled = false;
+        
+        this.series = {
+            frameTime: new MetricSeries(HISTORY_LENGTH), // ms spent rendering a frame
+            layoutTime: new MetricSeries(HISTORY_LENGTH), // ms per layout step
+            emitted: new MetricSeries(HISTORY_LENGTH), // Pulses sent by sources per second
+            inFlight: new MetricSeries(HISTORY_LENGTH), // Pulses travelling along edges
+            delivered: new MetricSeries(HISTORY_LENGTH), // Pulses delivered to destinations per second
+            latency: new MetricSeries(HISTORY_LENGTH) // ms from source to destination
+        };
+        
+        // Frames per second over the last sample
+        this.fps = 0;
+        
+        this.sampleStart = 0;
+        this.resetSums();
+    }
+    
+    /**
+     * Clear the running sums of the current sample
+     */
+    resetSums() {
+        this.frames = 0;
+        this.frameTimeSum = 0;
+        this.layoutCount = 0;
+        this.layoutTimeSum = 0;
+        this.emittedCount = 0;
+        this.deliveredCount = 0;
+        this.latencyCount = 0;
+        this.latencySum = 0;
+    }
+    
+    /**
+     * Turn recording on or off
+     * @param {boolean} enabled - New state
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.sampleStart = 0;
+        this.resetSums();
+    }
+    
+    /**
+     * Record a rendered frame
+     * @param {number} renderTime - ms spent rendering it
+     */
+    recordFrame(renderTime) {
+        if (!this.enabled) return;
+        this.frames++;
+        this.frameTimeSum += renderTime;
+    }
+    
+    /**
+     * Record a layout step
+     * @param {number} time - ms spent on it
+     */
+    recordLayout(time) {
+        if (!this.enabled) return;
+        this.layoutCount++;
+        this.layoutTimeSum += time;
+    }
+    
+    /**
+     * Record pulses sent by a source
+     * @param {number} count - Number of pulses
+     */
+    recordEmitted(count) {
+        if (!this.enabled) return;
+        this.emittedCount += count;
+    }
+    
+    /**
+     * Record a pulse delivered to a destination, or consumed at a dead end in the flow simulation
+     * @param {number} latency - ms since it left its source, -1 if unknown
+     */
+    recordDelivery(latency) {
+        if (!this.enabled) return;
+        this.deliveredCount++;
+        if (latency >= 0) {
+            this.latencyCount++;
+            this.latencySum += latency;
+        }
+    }
+    
+    /**
+     * Close the current sample if SAMPLE_INTERVAL has passed
+     * @param {number} time - Current time
+     * @param {number} inFlight - Pulses currently in flight
+     * @returns {boolean} True if a new sample was added
+     */
+    sample(time, inFlight) {
+        if (this.sampleStart === 0) {
+            this.sampleStart = time;
+            return false;
+        }
+        
+        const elapsed = time - this.sampleStart;
+        if (elapsed < SAMPLE_INTERVAL) return false;
+        
+        const perSecond = 1000 / elapsed;
+        const series = this.series;
+        series.frameTime.push(this.frames > 0 ? this.frameTimeSum / this.frames : NaN);
+        series.layoutTime.push(this.layoutCount > 0 ? this.layoutTimeSum / this.layoutCount : NaN);
+        series.emitted.push(this.emittedCount * perSecond);
+        series.inFlight.push(inFlight);
+        series.delivered.push(this.deliveredCount * perSecond);
+        series.latency.push(this.latencyCount > 0 ? this.latencySum / this.latencyCount : NaN);
+        this.fps = this.frames * perSecond;
+        
+        this.sampleStart = time;
+        this.resetSums();
+        return true;
+    }
+}
+
+export { Metrics, MetricSeries };
@@ -0,0 +1,1776 @@
+/**
+ * network-view.js - Embeddable network view with a public JS API
+ *
+ * createNetworkView(canvas, options) sets up one independent network on a
+ * canvas: its own state, camera, layout worker, panels and event bus. Several
+ * views can run on one page.
+ *
+ *     const view = createNetworkView(document.querySelector('#pipeline'), { seed: 42 });
+ *     view.on('nodeclick', ({ node }) => console.log(node.id));
+ *     view.addNode({ id: 'crm', type: 'source' });
+ *     view.connect('crm', 'etl', { weight: 2, label: 'nightly', style: 'dashed' });
+ *     view.emitPulse('crm', 'etl');
+ *     view.destroy();
+ *
+ * Nodes keep away from the content element, from obstacles passed in the
+ * options and from elements marked with data-network-obstacle (see
+ * obstacle-tracker.js). Large networks are laid out over an area bigger than
+ * the view (see getLayoutSize in canvas.js), which the camera starts out fitting.
+ *
+ * Once the kinetic energy of the layout stays low the view sleeps: no forces
+ * are computed and unchanged frames are not redrawn. Dragging, resizing,
+ * editing the graph or moving an obstacle wakes it up. While the page is
+ * hidden or the canvas is scrolled out of view nothing runs at all.
+ *
+ * Users asking for reduced motion get a static layout without decorative
+ * pulses. A pause button stops the animation, a visually hidden description
+ * tells screen readers about the graph, and the focused canvas lets the arrow
+ * keys move a focus ring between nodes.
+ *
+ * Colours come from a theme that can be switched at runtime and picks up CSS
+ * custom properties of the page (see theme.js).
+ *
+ * A long press or right-click on a node pins it in place or frees it again.
+ * Edges and the pulses on them can be clicked too; pointer hit-testing goes
+ * through a spatial index, so it stays cheap in large graphs.
+ *
+ * Clicking, Shift+clicking and Shift+dragging a box select nodes; dragging a
+ * selected node moves the whole selection while the others keep simulating.
+ * Shift+P pins or frees the selection, Shift+arrow keys align it and Shift+H
+ * or Shift+V spaces it evenly; in edit mode Delete removes it. Arranged nodes
+ * are pinned so the layout leaves them where they were put.
+ *
+ * Events: nodeclick, nodehover ({ node }, null when the pointer leaves),
+ * nodecontext ({ node, pinned }, after a long press or right-click),
+ * edgeclick ({ source, target, pulse }, pulse is null unless a pulse was hit),
+ * selectionchange ({ nodes }),
+ * dragstart, dragend ({ node }), pulsearrived ({ source, target, latency }),
+ * layoutsettled ({ nodeCount, energy }), layoutchange ({ layout }),
+ * pausechange ({ paused }), nodefocus ({ node }, null when the focus leaves)
+ * and themechange ({ theme }, the name of the built-in theme used).
+ */
+
+import {
+    initCanvas,
+    resizeCanvas,
+    getViewSize,
+    getLayoutSize,
+    watchPixelRatio,
+    startAnimation,
+    renderGrid,
+    interpolateNodePositions
+} from './canvas.js';
+import { setupInputHandlers } from './input-manager.js';
+import { createNetwork, removeNode, createNodeId } from './network.js';
+import { applyForceLayout, applyTargetLayout, updatePositions } from './force-layout.js';
+import { computeLayeredLayout } from './layered-layout.js';
+import { computeRadialLayout, computeCircularLayout } from './radial-layout.js';
+import { createRandom, parseSeed, randomSeed } from './random.js';
+import { createLayoutWorker } from './layout-client.js';
+import { Camera } from './camera.js';
+import { DetailsPanel } from './details-panel.js';
+import { GraphEditor } from './graph-editor.js';
+import { SpatialIndex } from './spatial-index.js';
+import { Selection, alignNodes, distributeNodes } from './selection.js';
+import { EditToolbar } from './edit-toolbar.js';
+import {
+    serializeGraph,
+    toGraphML,
+    toDOT,
+    parseGraphFile,
+    saveToStorage,
+    loadFromStorage,
+    clearStorage,
+    downloadText,
+    downloadBlob
+} from './graph-io.js';
+import { renderPNG, renderSVG } from './snapshot.js';
+import { enableFlow, disableFlow, validateEdgeSettings } from './flow-simulation.js';
+import { validateEdgeAppearance } from './edges.js';
+import { loadNetwork, GraphValidationError } from './graph-loader.js';
+import { Metrics } from './metrics.js';
+import { MetricsHUD } from './metrics-hud.js';
+import { EventBus } from './event-bus.js';
+import { createObstacle, traceObstacle, sameObstacles } from './obstacles.js';
+import { ObstacleTracker, readElementObstacle } from './obstacle-tracker.js';
+import { PauseButton } from './pause-button.js';
+import { GraphDescription } from './graph-description.js';
+import { resolveTheme, checkTheme, watchThemePreferences } from './theme.js';
+
+// Kinetic energy per free node (from speeds in CSS pixels per frame) below which
+// the layout counts as settled, and the number of frames in a row it has to stay below it
+const SETTLE_ENERGY = 0.00125;
+const SETTLE_FRAMES = 30;
+
+// Force passes run at once to place the nodes when motion is reduced
+const STATIC_LAYOUT_PASSES = 30;
+
+// Layouts with fixed target positions, by name; 'force' is the force simulation
+const TARGET_LAYOUTS = {
+    layered: computeLayeredLayout,
+    radial: computeRadialLayout,
+    circular: computeCircularLayout
+};
+const LAYOUT_NAMES = ['force', ...Object.keys(TARGET_LAYOUTS)];
+
+/**
+ * Create the state of one view
+ * @param {Object} options - View options, see createNetworkView
+ * @returns {Object} Application state
+ */
+function createAppState(options) {
+    return {
+        nodes: [],
+        spatialIndex: new SpatialIndex(), // Grid of nodes and edges for hit-testing, updated every frame
+        selection: new Selection(), // Selected nodes, see selection.js
+        marquee: null, // Selection box being drawn, { x1, y1, x2, y2 } in world coordinates
+        lastFrameTime: 0,
+        frameRate: 60,
+        frameInterval: 1000 / 60, // ms per frame
+        lastForceLayoutTime: 0,
+        forceLayoutInterval: 5000, // Reapply force layout every 5 seconds
+        obstacles: null, // Obstacles the layout avoids, in world coordinates; null for the default area
+        obstacleSpecs: null, // Obstacles set through the API, see NetworkView.setObstacles
+        obstacleTracker: null, // ObstacleTracker for marked DOM elements
+        obstaclesChanged: false, // Set when tracked elements changed, handled on the next frame
+        clipObstacles: options.clipObstacles === true, // Don't draw edges and pulses over obstacles
+        contentElement: options.contentElement || null, // Element the layout keeps nodes away from
+        fullscreen: options.fullscreen === true, // Canvas fills the window
+        animationSpeed: 0.05, // Controls how quickly nodes move to their target positions
+        seed: null, // Random seed, from the options or a fresh one
+        random: Math.random, // Seeded random generator
+        layoutOptions: {
+            repulsion: 'auto', // 'exact', 'barnes-hut' or 'auto' (Barnes–Hut above the threshold)
+            theta: 0.8, // Barnes–Hut accuracy, lower is more exact but slower
+            barnesHutThreshold: 1200, // Node count where 'auto' switches to Barnes–Hut
+            ...options.layoutOptions
+        },
+        layout: 'force', // Layout mode, one of LAYOUT_NAMES
+        layoutTargets: null, // Target positions of the layout mode, null for the force layout
+        useLayoutWorker: options.useLayoutWorker !== false, // Run the force simulation in a Web Worker when supported
+        layoutWorker: null, // LayoutWorkerClient, null when the layout runs on the main thread
+        layoutTickInterval: 1000 / 30, // ms between layout worker updates
+        camera: new Camera(), // Pan and zoom state; nodes live in world coordinates
+        surface: null, // Canvas, context and logical size (see canvas.js)
+        inspectedNode: null, // Node shown in the details panel
+        editor: null, // GraphEditor, toggled with the "e" key
+        toolbar: null, // EditToolbar, also holds the save, export and import controls
+        detailsPanel: null, // DetailsPanel for the inspected node
+        labelZoom: 1.5, // Camera zoom from which all labels are drawn, not only hovered ones
+        flowSimulation: options.flowSimulation === true, // Queueing simulation instead of decorative pulses
+        metrics: new Metrics(), // Statistics for the metrics HUD, recorded only while it is shown
+        metricsHUD: null, // MetricsHUD overlay, toggled with "h"
+        showMetrics: options.showMetrics === true, // Show the metrics HUD on load
+        persist: Boolean(options.persist), // Load from and save to localStorage
+        storageKey: typeof options.persist === 'string' ? options.persist : undefined, // undefined is the default key
+        events: new EventBus(), // Listeners registered through the view API
+        paused: false, // Paused through the API
+        pageHidden: false, // The page is in a background tab or minimised
+        offscreen: false, // The canvas is scrolled out of view
+        stopAnimation: null, // Stops the running animation loop, null while it doesn't run
+        layoutSettled: false, // Set once the nodes stopped moving; the layout then sleeps until woken
+        settleFrames: 0,
+        kineticEnergy: 0, // Of the free nodes in the last frame, see checkLayoutSettled
+        redrawRequested: true, // Draw the next frame even if nothing animates
+        reducedMotionSetting: options.reducedMotion !== undefined ? options.reducedMotion : 'auto', // true, false or 'auto'
+        reducedMotion: false, // Place nodes without animating them and send no decorative pulses
+        reducedMotionQuery: null, // prefers-reduced-motion media query, null where unsupported
+        focusedNode: null, // Node reached by keyboard navigation, drawn with a focus ring
+        pauseButton: null, // PauseButton shown over the canvas
+        description: null, // GraphDescription read by screen readers
+        themeSetting: options.theme !== undefined ? options.theme : 'dark', // Theme name, 'auto' or theme object
+        theme: null // Resolved colours, see theme.js
+    };
+}
+
+/**
+ * Whether the force simulation currently runs in the layout worker
+ * @param {Object} appState - Application state
+ * @returns {boolean} True if a healthy layout worker is attached
+ */
+function isLayoutInWorker(appState) {
+    return appState.layoutWorker !== null && !appState.layoutWorker.failed;
+}
+
+/**
+ * Whether the layout mode moves nodes to fixed targets instead of simulating forces
+ * @param {Object} appState - Application state
+ * @returns {boolean} True for every layout but 'force'
+ */
+function hasTargetLayout(appState) {
+    return appState.layout !== 'force';
+}
+
+/**
+ * Options passed to every force layout pass
+ * @param {Object} appState - Application state
+ * @returns {Object} Layout options including the seeded random generator
+ */
+function getLayoutOptions(appState) {
+    return { ...appState.layoutOptions, random: appState.random };
+}
+
+/**
+ * Size the view should have
+ * @param {Object} appState - Application state
+ * @returns {Object} Width and height in CSS pixels
+ */
+function measureView(appState) {
+    if (appState.fullscreen) {
+        return { width: window.innerWidth, height: window.innerHeight };
+    }
+    
+    // The page sizes embedded canvases with CSS; an unrendered one keeps its attribute size
+    const canvas = appState.surface.canvas;
+    return {
+        width: canvas.clientWidth || appState.surface.width || canvas.width,
+        height: canvas.clientHeight || appState.surface.height || canvas.height
+    };
+}
+
+/**
+ * Collect the obstacles from the content element, marked DOM elements and the API
+ * Without any of them the layout avoids its default area (see applyForceLayout);
+ * an empty or hidden content element counts as absent.
+ * @param {Object} appState - Application state
+ */
+function updateObstacles(appState) {
+    const obstacles = appState.obstacleSpecs ? appState.obstacleSpecs.slice() : [];
+    const marked = appState.obstacleTracker ? appState.obstacleTracker.elements : [];
+    
+    // The content element may be marked as well, for its own padding or shape
+    const elements = marked.filter(element => element !== appState.contentElement);
+    if (appState.contentElement) {
+        elements.unshift(appState.contentElement);
+    }
+    
+    if (elements.length > 0) {
+        const canvasRect = appState.surface.canvas.getBoundingClientRect();
+        elements.forEach(element => {
+            const obstacle = readElementObstacle(element, canvasRect, appState.camera);
+            if (obstacle) {
+                obstacles.push(obstacle);
+            }
+        });
+    }
+    
+    appState.obstacles = obstacles.length > 0 || appState.obstacleSpecs ? obstacles : null;
+}
+
+/**
+ * Re-read the obstacles after a change and nudge the layout if they moved
+ * @param {Object} appState - Application state
+ */
+function refreshObstacles(appState) {
+    const previous = appState.obstacles;
+    appState.obstaclesChanged = false;
+    updateObstacles(appState);
+    if (sameObstacles(previous, appState.obstacles)) return;
+    
+    wakeLayout(appState);
+    const area = getLayoutSize(appState.surface, appState.nodes.length);
+    const strength = hasTargetLayout(appState) ? 0 : 0.5;
+    if (isLayoutInWorker(appState)) {
+        appState.layoutWorker.setObstacles(appState.obstacles, strength);
+    } else {
+        applyForceLayout(appState.nodes, area.width, area.height, appState.obstacles, strength, getLayoutOptions(appState));
+    }
+    
+    // Rings go around obstacles, so their targets move with them
+    if (hasTargetLayout(appState)) {
+        updateLayoutTargets(appState);
+    }
+}
+
+/**
+ * Build the network from the graph passed in the options, or from the saved
+ * graph if neither a graph nor a seed was given, falling back to a random one
+ * if neither is present and valid
+ * @param {Object} appState - Application state
+ * @param {Object} options - View options
+ * @returns {Array} Array of Node objects
+ */
+function buildNetwork(appState, options) {
+    // A graph or seed asked for explicitly wins over what was saved
+    const explicit = Boolean(options.graph) || parseSeed(options.seed) !== null;
+    const saved = appState.persist && !explicit ? loadFromStorage(appState.storageKey) : null;
+    const graphDocuments = [saved, options.graph].filter(Boolean);
+    
+    for (const graphDocument of graphDocuments) {
+        try {
+            const area = getDocumentLayoutSize(appState, graphDocument);
+            return createNetwork(area.width, area.height, { graph: graphDocument, random: appState.random });
+        } catch (error) {
+            console.error(error.message);
+        }
+    }
+    
+    const area = getLayoutSize(appState.surface, options.nodeCount || 0);
+    return createNetwork(area.width, area.height, { random: appState.random, nodeCount: options.nodeCount });
+}
+
+/**
+ * Layout area for a graph document, whose positions are relative to it
+ * @param {Object} appState - Application state
+ * @param {Object} graphDocument - Graph document, possibly invalid
+ * @returns {Object} Width and height in world units
+ */
+function getDocumentLayoutSize(appState, graphDocument) {
+    const nodeCount = Array.isArray(graphDocument.nodes) ? graphDocument.nodes.length : 0;
+    return getLayoutSize(appState.surface, nodeCount);
+}
+
+/**
+ * Keep dependants in sync after nodes or connections were edited
+ * @param {Object} appState - Application state
+ */
+function handleGraphChange(appState) {
+    wakeLayout(appState);
+    appState.spatialIndex.rebuild(appState.nodes);
+    appState.selection.prune(appState.nodes);
+    
+    // Added nodes join a running flow simulation
+    if (appState.flowSimulation) {
+        enableFlow(appState.nodes);
+    }
+    
+    if (isLayoutInWorker(appState)) {
+        // The layout area grows with the node count
+        const area = getLayoutSize(appState.surface, appState.nodes.length);
+        appState.layoutWorker.syncGraph(appState.nodes);
+        appState.layoutWorker.resize(area.width, area.height, appState.obstacles, 0);
+    }
+    
+    // Target positions are per node; the worker also dropped its copy on syncGraph
+    if (hasTargetLayout(appState)) {
+        updateLayoutTargets(appState);
+    }
+    
+    updateDescription(appState);
+    
+    // The inspected node may be gone, or its connections may have changed
+    if (appState.inspectedNode) {
+        if (appState.nodes.includes(appState.inspectedNode)) {
+            appState.detailsPanel.refresh();
+        } else {
+            appState.detailsPanel.close();
+        }
+    }
+}
+
+/**
+ * Apply a change made through the view API
+ * Undo history refers to the graph as the editor left it, so it is cleared
+ * @param {Object} appState - Application state
+ */
+function handleApiChange(appState) {
+    appState.editor.clearHistory();
+    handleGraphChange(appState);
+}
+
+/**
+ * Resolve the theme setting again, e.g. after the colour scheme preference changed
+ * @param {Object} appState - Application state
+ */
+function applyTheme(appState) {
+    appState.theme = resolveTheme(appState.themeSetting, appState.surface.canvas);
+    requestRedraw(appState);
+    appState.events.emit('themechange', { theme: appState.theme.name });
+}
+
+/**
+ * Switch between the flow simulation and decorative pulses
+ * @param {Object} appState - Application state
+ * @param {boolean} enabled - True to run the flow simulation
+ */
+function setFlowSimulation(appState, enabled) {
+    appState.flowSimulation = enabled;
+    requestRedraw(appState);
+    
+    if (enabled) {
+        enableFlow(appState.nodes);
+    } else {
+        disableFlow(appState.nodes);
+    }
+    
+    appState.detailsPanel.refresh();
+}
+
+/**
+ * Check a layout mode name
+ * @param {string} layout - Layout mode
+ * @throws {Error} If there is no layout of that name
+ */
+function checkLayoutName(layout) {
+    if (!LAYOUT_NAMES.includes(layout)) {
+        throw new Error(`Unknown layout "${layout}" (expected ${LAYOUT_NAMES.join(', ')})`);
+    }
+}
+
+/**
+ * Switch the layout mode; nodes animate to their new places
+ * @param {Object} appState - Application state
+ * @param {string} layout - Layout mode, one of LAYOUT_NAMES
+ * @throws {Error} If there is no layout of that name
+ */
+function setLayout(appState, layout) {
+    checkLayoutName(layout);
+    if (layout === appState.layout) return;
+    
+    appState.layout = layout;
+    wakeLayout(appState);
+    updateLayoutTargets(appState, 1);
+    appState.events.emit('layoutchange', { layout });
+}
+
+/**
+ * Recompute the target positions of the layout mode, e.g. after the graph or size changed
+ * @param {Object} appState - Application state
+ * @param {number} [strength=0] - Strength of a force layout pass when returning to the force layout
+ */
+function updateLayoutTargets(appState, strength = 0) {
+    const area = getLayoutSize(appState.surface, appState.nodes.length);
+    const computeTargets = TARGET_LAYOUTS[appState.layout];
+    appState.layoutTargets = computeTargets
+        ? computeTargets(appState.nodes, area.width, area.height, { obstacles: appState.obstacles })
+        : null;
+    
+    if (isLayoutInWorker(appState)) {
+        appState.layoutWorker.setTargets(appState.layoutTargets, strength);
+    } else if (!appState.layoutTargets && strength > 0) {
+        applyForceLayout(appState.nodes, area.width, area.height, appState.obstacles, strength, getLayoutOptions(appState));
+    }
+}
+
+/**
+ * Cycle to the next layout mode
+ * @param {Object} appState - Application state
+ */
+function cycleLayout(appState) {
+    const next = (LAYOUT_NAMES.indexOf(appState.layout) + 1) % LAYOUT_NAMES.length;
+    setLayout(appState, LAYOUT_NAMES[next]);
+}
+
+/**
+ * Save the network to localStorage so it is restored on the next visit
+ * @param {Object} appState - Application state
+ */
+function saveNetwork(appState) {
+    if (!appState.persist) {
+        appState.toolbar.setStatus('Saving is not enabled for this network');
+        return;
+    }
+    
+    const area = getLayoutSize(appState.surface, appState.nodes.length);
+    const saved = saveToStorage(appState.nodes, area.width, area.height, appState.storageKey);
+    appState.toolbar.setStatus(saved ? 'Network saved in this browser' : 'Could not save the network');
+}
+
+/**
+ * Forget the saved network, so the next visit starts from the page's graph or a random one
+ * @param {Object} appState - Application state
+ */
+function clearSavedNetwork(appState) {
+    if (!appState.persist) {
+        appState.toolbar.setStatus('Saving is not enabled for this network');
+        return;
+    }
+    
+    clearStorage(appState.storageKey);
+    appState.toolbar.setStatus('Saved network cleared');
+}
+
+/**
+ * Download the network as JSON, GraphML or DOT
+ * @param {Object} appState - Application state
+ * @param {string} format - 'json', 'graphml' or 'dot'
+ */
+function exportNetwork(appState, format) {
+    const area = getLayoutSize(appState.surface, appState.nodes.length);
+    
+    if (format === 'graphml') {
+        downloadText(toGraphML(appState.nodes), 'network.graphml', 'application/graphml+xml');
+    } else if (format === 'dot') {
+        downloadText(toDOT(appState.nodes), 'network.dot', 'text/vnd.graphviz');
+    } else {
+        const json = JSON.stringify(serializeGraph(appState.nodes, area.width, area.height), null, 2);
+        downloadText(json, 'network.json', 'application/json');
+    }
+}
+
+/**
+ * Download an image of the current frame
+ * @param {Object} appState - Application state
+ * @param {string} format - 'png' or 'svg'
+ * @param {Object} options - Snapshot options (see snapshot.js)
+ */
+async function snapshotNetwork(appState, format, options) {
+    try {
+        if (format === 'svg') {
+            downloadText(renderSVG(appState, options), 'network.svg', 'image/svg+xml');
+        } else {
+            downloadBlob(await renderPNG(appState, options), 'network.png');
+        }
+    } catch (error) {
+        console.error(error);
+        appState.toolbar.setStatus(error.message);
+    }
+}
+
+/**
+ * Replace the network with one loaded from a JSON, GraphML or DOT file
+ * @param {Object} appState - Application state
+ * @param {File} file - File chosen by the user
+ */
+async function importNetwork(appState, file) {
+    try {
+        const graphDocument = parseGraphFile(await file.text(), file.name);
+        const area = getDocumentLayoutSize(appState, graphDocument);
+        const nodes = createNetwork(area.width, area.height, { graph: graphDocument, random: appState.random });
+        replaceNetwork(appState, nodes);
+        appState.toolbar.setStatus(`Loaded ${nodes.length} nodes from ${file.name}`);
+    } catch (error) {
+        console.error(error);
+        appState.toolbar.setStatus(error.message);
+    }
+}
+
+/**
+ * Swap in a new set of nodes and lay them out
+ * Undo history refers to the old nodes, so it is cleared
+ * @param {Object} appState - Application state
+ * @param {Array} nodes - Array of Node objects
+ */
+function replaceNetwork(appState, nodes) {
+    const area = getLayoutSize(appState.surface, nodes.length);
+    
+    wakeLayout(appState);
+    appState.nodes = nodes;
+    appState.spatialIndex.rebuild(nodes);
+    appState.selection.clear();
+    appState.editor.clearHistory();
+    appState.detailsPanel.close();
+    if (appState.flowSimulation) {
+        enableFlow(nodes);
+    }
+    
+    // Layout modes with fixed targets need no force pass
+    const strength = hasTargetLayout(appState) ? 0 : 1.5;
+    if (isLayoutInWorker(appState)) {
+        appState.layoutWorker.syncGraph(nodes);
+        appState.layoutWorker.resize(area.width, area.height, appState.obstacles, strength);
+    } else {
+        applyForceLayout(nodes, area.width, area.height, appState.obstacles, strength, getLayoutOptions(appState));
+    }
+    if (hasTargetLayout(appState)) {
+        updateLayoutTargets(appState);
+    }
+    updateDescription(appState);
+}
+
+/**
+ * Pin a node where it is, or let the layout move it again
+ * @param {Object} appState - Application state
+ * @param {Node} node - Node to pin or free
+ */
+function togglePinned(appState, node) {
+    setPinned(appState, [node], !node.isPinned);
+}
+
+/**
+ * Pin the selected nodes, or free them if they are all pinned already
+ * @param {Object} appState - Application state
+ */
+function togglePinnedSelection(appState) {
+    const nodes = appState.selection.getNodes();
+    setPinned(appState, nodes, nodes.some(node => !node.isPinned));
+}
+
+/**
+ * Pin nodes where they are, or let the layout move them again
+ * @param {Object} appState - Application state
+ * @param {Array} nodes - Nodes to pin or free
+ * @param {boolean} pinned - True to pin
+ */
+function setPinned(appState, nodes, pinned) {
+    nodes.forEach(node => {
+        node.isPinned = pinned;
+        node.vx = 0;
+        node.vy = 0;
+    });
+    
+    // Freed nodes may no longer be where the forces want them
+    if (!pinned) {
+        wakeLayout(appState);
+    }
+    requestRedraw(appState);
+    updateDescription(appState);
+    if (nodes.includes(appState.inspectedNode)) {
+        appState.detailsPanel.refresh();
+    }
+}
+
+/**
+ * Move the selected nodes into an arrangement and pin them there
+ * @param {Object} appState - Application state
+ * @param {Function} arrange - Called with the selected nodes, moves them
+ */
+function arrangeSelection(appState, arrange) {
+    const nodes = appState.selection.getNodes();
+    arrange(nodes);
+    setPinned(appState, nodes, true);
+    
+    // The layout worker, target layouts and the spatial index pick up the
+    // new positions like after an edit, and the other nodes make room
+    handleGraphChange(appState);
+}
+
+/**
+ * Draw the selection box
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context (world transform)
+ * @param {Object} box - { x1, y1, x2, y2 } in world coordinates
+ * @param {number} zoom - Current camera zoom
+ * @param {Object} theme - Colours to draw with
+ */
+function drawMarquee(ctx, box, zoom, theme) {
+    const x = Math.min(box.x1, box.x2);
+    const y = Math.min(box.y1, box.y2);
+    const width = Math.abs(box.x2 - box.x1);
+    const height = Math.abs(box.y2 - box.y1);
+    
+    ctx.fillStyle = theme.selection;
+    ctx.globalAlpha = 0.1;
+    ctx.fillRect(x, y, width, height);
+    
+    ctx.strokeStyle = theme.selection;
+    ctx.globalAlpha = 0.8;
+    ctx.lineWidth = 1 / zoom;
+    ctx.setLineDash([4 / zoom, 3 / zoom]);
+    ctx.strokeRect(x, y, width, height);
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * Describe the graph for screen readers again, dropping the focus of a removed node
+ * @param {Object} appState - Application state
+ */
+function updateDescription(appState) {
+    if (appState.focusedNode && !appState.nodes.includes(appState.focusedNode)) {
+        appState.focusedNode = null;
+    }
+    appState.description.update(appState.nodes);
+}
+
+/**
+ * Resize the canvas and adjust the layout to the new dimensions
+ * @param {Object} appState - Application state
+ */
+function handleResize(appState) {
+    // Resize canvas
+    const size = measureView(appState);
+    resizeCanvas(appState.surface, size.width, size.height, appState.fullscreen);
+    const area = getLayoutSize(appState.surface, appState.nodes.length);
+    wakeLayout(appState);
+    
+    // Obstacles move with the canvas
+    updateObstacles(appState);
+    
+    // Reapply force layout with adjusted dimensions, or recompute the layout targets
+    const strength = hasTargetLayout(appState) ? 0 : 1.5; // Medium strength for resize adjustment
+    if (isLayoutInWorker(appState)) {
+        appState.layoutWorker.resize(area.width, area.height, appState.obstacles, strength);
+    } else {
+        applyForceLayout(
+            appState.nodes,
+            area.width,
+            area.height,
+            appState.obstacles,
+            strength,
+            getLayoutOptions(appState)
+        );
+    }
+    if (hasTargetLayout(appState)) {
+        updateLayoutTargets(appState);
+    }
+}
+
+/**
+ * Main render function for nodes
+ * @param {Object} appState - Application state
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} time - Current frame time
+ * @param {number} deltaTime - Time since the last frame
+ * @returns {boolean} False if the frame was skipped because nothing changed
+ */
+function renderNodes(appState, ctx, time, deltaTime) {
+    const view = getViewSize(appState.surface);
+    
+    // Only handed on while the metrics HUD records, or somebody listens for arrivals
+    const metrics = appState.metrics.enabled ? appState.metrics : null;
+    const events = appState.events.hasListeners('pulsearrived') ? appState.events : null;
+    
+    // Tracked obstacle elements changed since the last frame
+    if (appState.obstaclesChanged) {
+        refreshObstacles(appState);
+    }
+    
+    // Move nodes, either from layout worker snapshots or by stepping the layout here.
+    // A settled layout sleeps, only checking now and then whether obstacles moved.
+    if (appState.layoutSettled) {
+        if (time - appState.lastForceLayoutTime > appState.forceLayoutInterval) {
+            appState.lastForceLayoutTime = time;
+            refreshObstacles(appState);
+        }
+    } else if (appState.reducedMotion) {
+        placeStatically(appState);
+    } else if (isLayoutInWorker(appState)) {
+        syncWorkerLayout(appState, time);
+        if (metrics) metrics.recordLayout(appState.layoutWorker.layoutTime);
+        checkLayoutSettled(appState);
+    } else {
+        const layoutStart = performance.now();
+        stepLayout(appState, time, deltaTime);
+        if (metrics) metrics.recordLayout(performance.now() - layoutStart);
+        checkLayoutSettled(appState);
+    }
+    
+    // Hit-testing until the next frame sees the nodes where they are drawn
+    appState.spatialIndex.update(appState.nodes);
+    
+    // Opacity and pulses keep animating while the layout sleeps
+    appState.nodes.forEach(node => node.update(time, deltaTime, metrics, events, appState.reducedMotion));
+    
+    // Close a metrics sample when due
+    appState.metricsHUD.update(time, appState.nodes);
+    
+    if (!needsRedraw(appState)) return false;
+    appState.redrawRequested = false;
+    
+    // Fill the background and draw grid
+    const theme = appState.theme;
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, appState.surface.width, appState.surface.height);
+    renderGrid(ctx, appState.camera, view.width, view.height, theme);
+    
+    // Draw nodes in world coordinates
+    ctx.save();
+    appState.camera.applyTransform(ctx);
+    
+    if (appState.clipObstacles && appState.obstacles) {
+        drawClippedNodes(appState, ctx, view);
+    } else {
+        appState.nodes.forEach(node => node.draw(ctx, true, theme));
+    }
+    
+    // Labels go on top of all nodes and edges
+    drawLabels(appState, ctx);
+    if (appState.focusedNode) {
+        appState.focusedNode.drawFocusRing(ctx, appState.camera.zoom, theme);
+    }
+    
+    // Connection being dragged out in edit mode, and the selection box
+    appState.editor.draw(ctx, appState.camera.zoom, theme);
+    if (appState.marquee) {
+        drawMarquee(ctx, appState.marquee, appState.camera.zoom, theme);
+    }
+    
+    // Optional: Visualize the obstacles for debugging
+    // drawObstacles(appState, ctx);
+    
+    ctx.restore();
+    return true;
+}
+
+/**
+ * Whether the next frame can look different from the last one drawn
+ * @param {Object} appState - Application state
+ * @returns {boolean} True if the frame has to be drawn
+ */
+function needsRedraw(appState) {
+    if (appState.redrawRequested || !appState.layoutSettled || appState.editor.enabled) {
+        return true;
+    }
+    
+    // Pulses in flight, edges narrowing after them and nodes fading in or out
+    return appState.nodes.some(node => node.pulses.length > 0 || node.traffic.size > 0 ||
+        node.opacity !== node.targetOpacity);
+}
+
+/**
+ * Draw the next frame even if nothing animates, e.g. after the camera moved
+ * @param {Object} appState - Application state
+ */
+function requestRedraw(appState) {
+    appState.redrawRequested = true;
+}
+
+/**
+ * Redraw after any interaction with the canvas, the keyboard or the panels
+ * Hovering, moving the camera or closing a panel doesn't wake the layout but
+ * changes the picture.
+ * @param {Object} appState - Application state
+ * @param {Array<EventTarget>} targets - Elements to watch
+ * @returns {Function} Call to stop watching
+ */
+function watchInteraction(appState, targets) {
+    const types = ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'pointerleave', 'contextmenu',
+        'wheel', 'keydown', 'click'];
+    const onInteraction = () => requestRedraw(appState);
+    
+    targets.forEach(target => types.forEach(type => {
+        target.addEventListener(type, onInteraction, { passive: true });
+    }));
+    return () => targets.forEach(target => types.forEach(type => {
+        target.removeEventListener(type, onInteraction, { passive: true });
+    }));
+}
+
+/**
+ * Run the animation loop and the layout worker only while the view can be seen
+ * Pausing through the API, hiding the page or scrolling the canvas out of view
+ * stops both; the first frame after a restart doesn't catch up on the gap.
+ * @param {Object} appState - Application state
+ */
+function updateRunning(appState) {
+    const running = !appState.paused && !appState.pageHidden && !appState.offscreen;
+    
+    if (running && !appState.stopAnimation) {
+        if (isLayoutInWorker(appState) && !appState.layoutSettled) {
+            appState.layoutWorker.resume();
+        }
+        requestRedraw(appState);
+        appState.stopAnimation = startAnimation(appState, appState.surface,
+            (ctx, time, deltaTime) => renderNodes(appState, ctx, time, deltaTime));
+    } else if (!running) {
+        if (appState.stopAnimation) {
+            appState.stopAnimation();
+            appState.stopAnimation = null;
+        }
+        if (isLayoutInWorker(appState)) {
+            appState.layoutWorker.pause();
+        }
+    }
+}
+
+/**
+ * Suspend the view while the page is hidden or the canvas is out of view
+ * @param {Object} appState - Application state
+ * @param {HTMLCanvasElement} canvas - Canvas of the view
+ * @returns {Function} Call to stop watching
+ */
+function watchVisibility(appState, canvas) {
+    const onVisibilityChange = () => {
+        appState.pageHidden = document.hidden === true;
+        updateRunning(appState);
+    };
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    onVisibilityChange();
+    
+    // Browsers without IntersectionObserver keep animating offscreen canvases
+    const observer = typeof IntersectionObserver !== 'undefined'
+        ? new IntersectionObserver(entries => {
+            appState.offscreen = !entries[entries.length - 1].isIntersecting;
+            updateRunning(appState);
+        })
+        : null;
+    if (observer) {
+        observer.observe(canvas);
+    }
+    
+    return () => {
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+        if (observer) {
+            observer.disconnect();
+        }
+    };
+}
+
+/**
+ * Wake a settled layout, e.g. after a drag, resize, graph change or obstacle change
+ * @param {Object} appState - Application state
+ */
+function wakeLayout(appState) {
+    appState.settleFrames = 0;
+    requestRedraw(appState);
+    if (!appState.layoutSettled) return;
+    
+    appState.layoutSettled = false;
+    if (isLayoutInWorker(appState) && appState.stopAnimation && !appState.reducedMotion) {
+        appState.layoutWorker.resume();
+    }
+}
+
+/**
+ * Draw nodes with their edges and pulses cut out where obstacles are
+ * @param {Object} appState - Application state
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context, in world coordinates
+ * @param {Object} view - Logical canvas size
+ */
+function drawClippedNodes(appState, ctx, view) {
+    const bounds = appState.camera.getVisibleBounds(view.width, view.height);
+    const visibleNodes = appState.nodes.filter(node => node.opacity >= 0.05);
+    
+    // One even-odd clip per obstacle; together they leave out the union of all obstacles
+    ctx.save();
+    appState.obstacles.forEach(obstacle => {
+        ctx.beginPath();
+        ctx.rect(bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top);
+        traceObstacle(ctx, obstacle);
+        ctx.clip('evenodd');
+    });
+    visibleNodes.forEach(node => {
+        node.drawConnections(ctx, appState.theme);
+        node.drawPulses(ctx, appState.theme);
+    });
+    ctx.restore();
+    
+    // Nodes themselves stay visible, the layout keeps them out of obstacles anyway
+    visibleNodes.forEach(node => node.drawNode(ctx, appState.theme));
+}
+
+/**
+ * Draw node and edge labels when zoomed in, or for hovered and inspected nodes
+ * and the edges touching them
+ * @param {Object} appState - Application state
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ */
+function drawLabels(appState, ctx) {
+    const zoom = appState.camera.zoom;
+    const showAll = zoom >= appState.labelZoom;
+    const isLabelled = node => showAll || node.isHovered || node.isDragged ||
+        node === appState.inspectedNode || node === appState.focusedNode;
+    
+    appState.nodes.forEach(node => {
+        node.connections.forEach(target => {
+            if (isLabelled(node) || isLabelled(target)) {
+                node.drawEdgeLabel(ctx, target, zoom, appState.theme);
+            }
+        });
+    });
+    appState.nodes.forEach(node => {
+        if (isLabelled(node)) {
+            node.drawLabel(ctx, zoom, appState.theme);
+        }
+    });
+}
+
+/**
+ * Exchange state with the layout worker and interpolate node positions
+ * @param {Object} appState - Application state
+ * @param {number} time - Current frame time
+ */
+function syncWorkerLayout(appState, time) {
+    const worker = appState.layoutWorker;
+    
+    // Tell the worker about dragged and pinned nodes
+    worker.sendInput(appState.nodes);
+    
+    // Keep the worker's obstacles up to date, also catching elements that moved without resizing
+    if (time - appState.lastForceLayoutTime > appState.forceLayoutInterval) {
+        appState.lastForceLayoutTime = time;
+        refreshObstacles(appState);
+    }
+    
+    if (worker.current) {
+        interpolateNodePositions(appState.nodes, worker.previous, worker.current, worker.getAlpha(time));
+    }
+}
+
+/**
+ * Step the force layout on the main thread
+ * @param {Object} appState - Application state
+ * @param {number} time - Current frame time
+ * @param {number} deltaTime - Time since the last frame
+ */
+function stepLayout(appState, time, deltaTime) {
+    const area = getLayoutSize(appState.surface, appState.nodes.length);
+    
+    // Check if it's time to reapply force layout
+    if (time - appState.lastForceLayoutTime > appState.forceLayoutInterval) {
+        appState.lastForceLayoutTime = time;
+        
+        if (appState.layoutTargets) {
+            // Targets only change if obstacles moved
+            refreshObstacles(appState);
+        } else {
+            // Make sure we have the latest obstacle dimensions
+            updateObstacles(appState);
+            
+            // Apply gentle force layout to calculate new velocities
+            applyForceLayout(
+                appState.nodes,
+                area.width,
+                area.height,
+                appState.obstacles,
+                0.5, // Reduced strength for gentle untangling
+                getLayoutOptions(appState)
+            );
+        }
+    }
+    
+    // Layout modes with fixed targets steer the nodes every frame
+    if (appState.layoutTargets) {
+        applyTargetLayout(appState.nodes, appState.layoutTargets);
+    }
+    
+    // Always update positions based on current velocities
+    // This creates continuous force-directed animation
+    // Scale animation speed by deltaTime for consistent speed regardless of frame rate
+    const frameAdjustedSpeed = appState.animationSpeed * (deltaTime / 16.667);
+    updatePositions(appState.nodes, area.width, area.height, frameAdjustedSpeed);
+    
+    // Apply a small dampening factor to velocities each frame
+    // This helps stabilize the layout when no new forces are applied
+    appState.nodes.forEach(node => {
+        // Only apply dampening if node is not being dragged
+        if (!node.isDragged) {
+            node.vx *= 0.999;
+            node.vy *= 0.999;
+        }
+    });
+}
+
+/**
+ * Track the kinetic energy of the free nodes and put the layout to sleep once
+ * it stayed below the threshold for a while, emitting "layoutsettled"
+ * @param {Object} appState - Application state
+ */
+function checkLayoutSettled(appState) {
+    let energy = 0;
+    let count = 0;
+    let dragging = false;
+    appState.nodes.forEach(node => {
+        if (node.isDragged) dragging = true;
+        if (node.isPinned || node.isDragged) return;
+        
+        // Velocities are scaled by the animation speed to get pixels per frame
+        const vx = node.vx * appState.animationSpeed;
+        const vy = node.vy * appState.animationSpeed;
+        energy += 0.5 * (vx * vx + vy * vy);
+        count++;
+    });
+    appState.kineticEnergy = energy;
+    
+    // Without free nodes (all pinned) there is nothing left to settle
+    if (dragging || (count > 0 && energy >= SETTLE_ENERGY * count)) {
+        appState.settleFrames = 0;
+        return;
+    }
+    
+    appState.settleFrames++;
+    if (appState.settleFrames >= SETTLE_FRAMES) {
+        settleLayout(appState);
+    }
+}
+
+/**
+ * Lay the nodes out at once and settle, instead of animating them there
+ * Each force pass moves the nodes as far as the animation would until the next
+ * pass; layout modes with targets put the nodes right on them.
+ * @param {Object} appState - Application state
+ */
+function placeStatically(appState) {
+    const area = getLayoutSize(appState.surface, appState.nodes.length);
+    const targets = appState.layoutTargets;
+    
+    if (targets) {
+        appState.nodes.forEach((node, i) => {
+            if (node.isDragged || node.isPinned) return;
+            node.x = targets[i * 2];
+            node.y = targets[i * 2 + 1];
+        });
+    } else {
+        // Distance covered between passes with the per-frame damping of stepLayout
+        const frames = appState.forceLayoutInterval / 16.667;
+        const travel = appState.animationSpeed * (1 - Math.pow(0.999, frames)) / 0.001;
+        
+        updateObstacles(appState);
+        for (let pass = 0; pass < STATIC_LAYOUT_PASSES; pass++) {
+            applyForceLayout(appState.nodes, area.width, area.height, appState.obstacles, 0.5,
+                getLayoutOptions(appState));
+            updatePositions(appState.nodes, area.width, area.height, travel);
+        }
+    }
+    
+    // The worker continues from here once motion is allowed again
+    if (isLayoutInWorker(appState)) {
+        appState.layoutWorker.syncGraph(appState.nodes);
+        if (targets) {
+            appState.layoutWorker.setTargets(targets);
+        }
+    }
+    
+    appState.kineticEnergy = 0;
+    settleLayout(appState);
+}
+
+/**
+ * Follow the reduced motion setting, or the user's preference when it is 'auto'
+ * @param {Object} appState - Application state
+ */
+function updateReducedMotion(appState) {
+    const query = appState.reducedMotionQuery;
+    const setting = appState.reducedMotionSetting;
+    const reduced = setting === 'auto' ? Boolean(query && query.matches) : setting === true;
+    if (reduced === appState.reducedMotion) return;
+    
+    appState.reducedMotion = reduced;
+    wakeLayout(appState);
+}
+
+/**
+ * Follow changes of the prefers-reduced-motion preference
+ * @param {Object} appState - Application state
+ * @returns {Function} Call to stop watching
+ */
+function watchReducedMotion(appState) {
+    const query = typeof window.matchMedia === 'function'
+        ? window.matchMedia('(prefers-reduced-motion: reduce)')
+        : null;
+    const onChange = () => updateReducedMotion(appState);
+    
+    appState.reducedMotionQuery = query;
+    if (query) {
+        query.addEventListener('change', onChange);
+    }
+    updateReducedMotion(appState);
+    
+    return () => {
+        if (query) {
+            query.removeEventListener('change', onChange);
+        }
+    };
+}
+
+/**
+ * Show the paused state on the pause button and tell listeners
+ * @param {Object} appState - Application state
+ */
+function handlePauseChange(appState) {
+    appState.pauseButton.setPaused(appState.paused);
+    appState.events.emit('pausechange', { paused: appState.paused });
+}
+
+/**
+ * Stop moving nodes until wakeLayout is called
+ * @param {Object} appState - Application state
+ */
+function settleLayout(appState) {
+    appState.layoutSettled = true;
+    
+    // Remaining drift would otherwise resume on the next wake
+    appState.nodes.forEach(node => {
+        node.vx = 0;
+        node.vy = 0;
+    });
+    if (isLayoutInWorker(appState)) {
+        appState.layoutWorker.pause();
+    }
+    
+    appState.events.emit('layoutsettled', { nodeCount: appState.nodes.length, energy: appState.kineticEnergy });
+}
+
+/**
+ * Visualize the obstacles (for debugging)
+ * @param {Object} appState - Application state
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ */
+function drawObstacles(appState, ctx) {
+    if (appState.obstacles) {
+        ctx.beginPath();
+        appState.obstacles.forEach(obstacle => traceObstacle(ctx, obstacle));
+        
+        ctx.globalAlpha = 0.2;
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.1)';
+        ctx.fill();
+        
+        ctx.globalAlpha = 0.5;
+        ctx.strokeStyle = 'rgba(255, 0, 0, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.globalAlpha = 1.0;
+    }
+}
+
+/**
+ * One network on one canvas, controlled through its public methods
+ */
+class NetworkView {
+    /**
+     * Set up the network and start animating it
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {Object} options - View options, see createNetworkView
+     */
+    constructor(canvas, options) {
+        if (options.layout !== undefined) {
+            checkLayoutName(options.layout);
+        }
+        if (options.theme !== undefined) {
+            checkTheme(options.theme);
+        }
+        
+        const appState = createAppState(options);
+        this.state = appState;
+        
+        // Functions undoing the setup, run by destroy
+        this.cleanup = [];
+        
+        // Setup canvas with the correct dimensions
+        appState.surface = initCanvas(canvas);
+        const size = measureView(appState);
+        resizeCanvas(appState.surface, size.width, size.height, appState.fullscreen);
+        const view = getViewSize(appState.surface);
+        
+        // Colours, following the page's custom properties and colour scheme
+        appState.theme = resolveTheme(appState.themeSetting, canvas);
+        this.cleanup.push(watchThemePreferences(() => applyTheme(appState)));
+        
+        // Seed the random generator so the same seed reproduces the same network
+        const seed = parseSeed(options.seed);
+        appState.seed = seed !== null ? seed : randomSeed();
+        appState.random = createRandom(appState.seed);
+        
+        // Track marked DOM elements and the content element as obstacles
+        if (options.obstacles) {
+            appState.obstacleSpecs = options.obstacles.map(createObstacle);
+        }
+        const obstacleRoot = options.obstacleRoot !== undefined
+            ? options.obstacleRoot
+            : appState.fullscreen ? document : null;
+        appState.obstacleTracker = new ObstacleTracker(obstacleRoot, () => {
+            appState.obstaclesChanged = true;
+        });
+        if (appState.contentElement) {
+            appState.obstacleTracker.track(appState.contentElement);
+        }
+        this.cleanup.push(() => appState.obstacleTracker.disconnect());
+        
+        // Create network of nodes
+        appState.nodes = buildNetwork(appState, options);
+        appState.spatialIndex.rebuild(appState.nodes);
+        
+        // Networks larger than one view start zoomed out to their whole layout area;
+        // obstacles are read through the camera, so after it is placed
+        const area = getLayoutSize(appState.surface, appState.nodes.length);
+        if (area.width > view.width) {
+            const layoutBounds = { left: 0, top: 0, right: area.width, bottom: area.height };
+            appState.camera.fitToBounds(layoutBounds, view.width, view.height, 0);
+        }
+        updateObstacles(appState);
+        if (appState.flowSimulation) {
+            enableFlow(appState.nodes);
+        }
+        
+        // Panels, toolbar and HUD
+        const container = options.container || document.body;
+        appState.detailsPanel = new DetailsPanel(appState, container);
+        appState.editor = new GraphEditor(appState, () => handleGraphChange(appState));
+        appState.selection.subscribe(selection => {
+            requestRedraw(appState);
+            appState.events.emit('selectionchange', { nodes: selection.getNodes() });
+        });
+        appState.toolbar = new EditToolbar(appState.editor, container, {
+            onSave: () => saveNetwork(appState),
+            onClearSaved: () => clearSavedNetwork(appState),
+            onExport: format => exportNetwork(appState, format),
+            onImport: file => importNetwork(appState, file),
+            onSnapshot: (format, snapshotOptions) => snapshotNetwork(appState, format, snapshotOptions)
+        });
+        appState.metricsHUD = new MetricsHUD(appState.metrics, container);
+        appState.metricsHUD.setVisible(appState.showMetrics);
+        const togglePause = () => (appState.paused ? this.resume() : this.pause());
+        appState.pauseButton = new PauseButton(togglePause, container);
+        
+        // Text alternative of the canvas for screen readers
+        appState.description = new GraphDescription(canvas, container);
+        appState.description.update(appState.nodes);
+        
+        // Setup input handlers, clicking a node opens its details
+        const events = appState.events;
+        const keyTarget = options.keyboardTarget !== undefined
+            ? options.keyboardTarget
+            : appState.fullscreen ? window : canvas;
+        this.cleanup.push(setupInputHandlers(canvas, appState, {
+            onNodeClick: node => {
+                appState.detailsPanel.open(node);
+                events.emit('nodeclick', { node });
+            },
+            onNodeHover: node => events.emit('nodehover', { node }),
+            onNodeContext: node => {
+                togglePinned(appState, node);
+                events.emit('nodecontext', { node, pinned: node.isPinned });
+            },
+            onEdgeClick: (source, target, pulse) => events.emit('edgeclick', { source, target, pulse }),
+            onDragStart: node => {
+                // With reduced motion only the dragged node moves
+                if (!appState.reducedMotion) {
+                    wakeLayout(appState);
+                }
+                events.emit('dragstart', { node });
+            },
+            onDragEnd: node => events.emit('dragend', { node }),
+            onSave: () => saveNetwork(appState),
+            onToggleFlow: () => setFlowSimulation(appState, !appState.flowSimulation),
+            onToggleMetrics: () => appState.metricsHUD.toggle(),
+            onCycleLayout: () => cycleLayout(appState),
+            onTogglePause: togglePause,
+            onNodeFocus: node => {
+                requestRedraw(appState);
+                appState.description.announce(node);
+                events.emit('nodefocus', { node });
+            },
+            onPinSelection: () => togglePinnedSelection(appState),
+            onAlignSelection: edge => arrangeSelection(appState, nodes => alignNodes(nodes, edge)),
+            onDistributeSelection: axis => arrangeSelection(appState, nodes => distributeNodes(nodes, axis))
+        }, keyTarget));
+        
+        // A sleeping layout only redraws when something changes
+        const interactionTargets = [canvas, appState.detailsPanel.element, appState.toolbar.element];
+        if (keyTarget && keyTarget !== canvas) {
+            interactionTargets.push(keyTarget);
+        }
+        this.cleanup.push(watchInteraction(appState, interactionTargets));
+        
+        // Move the simulation off the main thread when possible
+        if (appState.useLayoutWorker) {
+            appState.layoutWorker = createLayoutWorker({ tickInterval: appState.layoutTickInterval });
+        }
+        
+        // Initial layout with full strength
+        if (isLayoutInWorker(appState)) {
+            appState.layoutWorker.start(appState.nodes, {
+                width: area.width,
+                height: area.height,
+                obstacles: appState.obstacles,
+                seed: appState.seed,
+                layoutOptions: appState.layoutOptions,
+                animationSpeed: appState.animationSpeed,
+                forceLayoutInterval: appState.forceLayoutInterval,
+                strength: 1.5
+            });
+        } else {
+            applyForceLayout(appState.nodes, area.width, area.height, appState.obstacles, 1.5, getLayoutOptions(appState));
+        }
+        if (options.layout) {
+            setLayout(appState, options.layout);
+        }
+        
+        // Static layout and no decorative pulses for users asking for less motion
+        this.cleanup.push(watchReducedMotion(appState));
+        
+        // Start the animation loop unless paused, hidden or scrolled out of view
+        appState.paused = options.paused === true;
+        appState.pauseButton.setPaused(appState.paused);
+        this.cleanup.push(watchVisibility(appState, canvas));
+        
+        // Listen for window resize to update the canvas size and obstacles
+        const onResize = () => handleResize(appState);
+        window.addEventListener('resize', onResize);
+        this.cleanup.push(() => window.removeEventListener('resize', onResize));
+        
+        // Moving to a monitor with another pixel density changes the backing store size
+        // without necessarily firing a resize event
+        this.cleanup.push(watchPixelRatio(() => {
+            resizeCanvas(appState.surface, appState.surface.width, appState.surface.height, appState.fullscreen);
+            requestRedraw(appState);
+        }));
+    }
+    
+    /**
+     * Register an event listener
+     * @param {string} type - Event type, e.g. 'nodeclick'
+     * @param {Function} listener - Called with the event detail
+     * @returns {Function} Call to remove the listener again
+     */
+    on(type, listener) {
+        return this.state.events.on(type, listener);
+    }
+    
+    /**
+     * Register an event listener that is removed after its first call
+     * @param {string} type - Event type
+     * @param {Function} listener - Called with the event detail
+     * @returns {Function} Call to remove the listener before it fired
+     */
+    once(type, listener) {
+        return this.state.events.once(type, listener);
+    }
+    
+    /**
+     * Remove an event listener
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener passed to on or once
+     */
+    off(type, listener) {
+        this.state.events.off(type, listener);
+    }
+    
+    /**
+     * Find a node by id
+     * @param {string|number} id - Node id
+     * @returns {Node|null} Node, or null if there is none with that id
+     */
+    getNode(id) {
+        return this.state.nodes.find(node => node.id === id) || null;
+    }
+    
+    /**
+     * Get all nodes
+     * @returns {Array} Copy of the node array
+     */
+    getNodes() {
+        return this.state.nodes.slice();
+    }
+    
+    /**
+     * Get the selected nodes
+     * @returns {Array} Selected nodes in the order they were selected
+     */
+    getSelection() {
+        return this.state.selection.getNodes();
+    }
+    
+    /**
+     * Select exactly the given nodes
+     * @param {Array} nodesOrIds - Nodes or node ids, empty to clear the selection
+     * @throws {Error} If a node is unknown
+     */
+    setSelection(nodesOrIds) {
+        this.state.selection.set(nodesOrIds.map(nodeOrId => this.resolveNode(nodeOrId)));
+    }
+    
+    /**
+     * Resolve a node passed by id or as a Node
+     * @param {string|number|Node} nodeOrId - Node or node id
+     * @returns {Node} Node in this view
+     * @throws {Error} If the view has no such node
+     */
+    resolveNode(nodeOrId) {
+        const node = this.state.nodes.includes(nodeOrId) ? nodeOrId : this.getNode(nodeOrId);
+        if (!node) {
+            throw new Error(`Unknown node "${nodeOrId}"`);
+        }
+        return node;
+    }
+    
+    /**
+     * Add a node
+     * The spec has the shape of a node in the graph document (see graph-loader.js);
+     * the id is generated when left out and position is relative to the canvas
+     * @param {Object} spec - Node spec, e.g. { id: 'crm', type: 'source', label: 'CRM export' }
+     * @returns {Node} The new node
+     * @throws {GraphValidationError} If the spec is invalid or its id is taken
+     */
+    addNode(spec) {
+        const appState = this.state;
+        const area = getLayoutSize(appState.surface, appState.nodes.length + 1);
+        const nodeSpec = { ...spec };
+        if (nodeSpec.id === undefined) {
+            nodeSpec.id = createNodeId(appState.nodes);
+        }
+        if (this.getNode(nodeSpec.id)) {
+            throw new GraphValidationError([`node id "${nodeSpec.id}" is already taken`]);
+        }
+        
+        const [node] = loadNetwork({ nodes: [nodeSpec] }, area.width, area.height, appState.random);
+        appState.nodes.push(node);
+        handleApiChange(appState);
+        return node;
+    }
+    
+    /**
+     * Remove a node and all connections to it
+     * @param {string|number|Node} nodeOrId - Node or node id
+     * @returns {boolean} True if the node was removed
+     */
+    removeNode(nodeOrId) {
+        const appState = this.state;
+        const node = appState.nodes.includes(nodeOrId) ? nodeOrId : this.getNode(nodeOrId);
+        if (!node || !removeNode(appState.nodes, node)) return false;
+        
+        handleApiChange(appState);
+        return true;
+    }
+    
+    /**
+     * Connect two nodes, or update the settings of an existing connection
+     * @param {string|number|Node} from - Source node or id
+     * @param {string|number|Node} to - Target node or id
+     * @param {Object} [settings] - Flow simulation settings and appearance of the connection
+     * @param {number} [settings.weight] - Routing weight, also widens the edge
+     * @param {number} [settings.transitTime] - ms a pulse takes along the connection
+     * @param {string} [settings.label] - Text shown at the middle of the edge
+     * @param {string} [settings.style] - 'solid' (default) or 'dashed'
+     * @throws {Error} If a node is unknown
+     * @throws {GraphValidationError} If the settings are invalid
+     */
+    connect(from, to, settings = {}) {
+        const source = this.resolveNode(from);
+        const target = this.resolveNode(to);
+        
+        const problems = validateEdgeSettings(settings).concat(validateEdgeAppearance(settings));
+        if (problems.length > 0) {
+            throw new GraphValidationError(problems.map(problem => `connection has an invalid setting: ${problem}`));
+        }
+        
+        source.connect(target);
+        if (settings.weight !== undefined || settings.transitTime !== undefined) {
+            source.routing.set(target, { weight: settings.weight, transitTime: settings.transitTime });
+        }
+        if (settings.label !== undefined || settings.style !== undefined) {
+            source.edgeStyles.set(target, {
+                label: settings.label !== undefined ? String(settings.label) : undefined,
+                style: settings.style
+            });
+        }
+        handleApiChange(this.state);
+    }
+    
+    /**
+     * Remove the connection between two nodes
+     * @param {string|number|Node} from - Source node or id
+     * @param {string|number|Node} to - Target node or id
+     * @throws {Error} If a node is unknown
+     */
+    disconnect(from, to) {
+        const source = this.resolveNode(from);
+        const target = this.resolveNode(to);
+        
+        source.disconnect(target);
+        source.routing.delete(target);
+        source.edgeStyles.delete(target);
+        handleApiChange(this.state);
+    }
+    
+    /**
+     * Send a pulse from a node, along a given connection or one picked at random
+     * @param {string|number|Node} from - Source node or id
+     * @param {string|number|Node} [to] - Connected target node or id
+     * @returns {boolean} True if a pulse was sent, false if there is no such connection
+     * @throws {Error} If a node is unknown
+     */
+    emitPulse(from, to) {
+        const source = this.resolveNode(from);
+        const connections = source.connections;
+        const target = to !== undefined
+            ? this.resolveNode(to)
+            : connections[Math.floor(source.random() * connections.length)];
+        if (!target) return false;
+        
+        // Flow simulation pulses carry their start time on the flow clock for latency measurement
+        return source.sendPulse(target, source.flow ? source.flow.clock : 0);
+    }
+    
+    /**
+     * Stop animating and laying out until resume is called
+     */
+    pause() {
+        const appState = this.state;
+        if (appState.paused) return;
+        
+        appState.paused = true;
+        updateRunning(appState);
+        handlePauseChange(appState);
+    }
+    
+    /**
+     * Continue after pause
+     */
+    resume() {
+        const appState = this.state;
+        if (!appState.paused) return;
+        
+        appState.paused = false;
+        updateRunning(appState);
+        handlePauseChange(appState);
+    }
+    
+    /**
+     * Whether the view is paused
+     * @returns {boolean} True between pause and resume
+     */
+    isPaused() {
+        return this.state.paused;
+    }
+    
+    /**
+     * Change force layout options
+     * @param {Object} layoutOptions - Options to change (see applyForceLayout)
+     */
+    setLayoutOptions(layoutOptions) {
+        const appState = this.state;
+        appState.layoutOptions = { ...appState.layoutOptions, ...layoutOptions };
+        wakeLayout(appState);
+        
+        if (isLayoutInWorker(appState)) {
+            appState.layoutWorker.setLayoutOptions(appState.layoutOptions);
+        }
+    }
+    
+    /**
+     * Switch the layout mode; nodes animate from their current places
+     * @param {string} layout - 'force', 'layered', 'radial' or 'circular'
+     * @throws {Error} If there is no layout of that name
+     */
+    setLayout(layout) {
+        setLayout(this.state, layout);
+    }
+    
+    /**
+     * Get the current layout mode
+     * @returns {string} Layout mode
+     */
+    getLayout() {
+        return this.state.layout;
+    }
+    
+    /**
+     * Replace the obstacles set through the API
+     * Marked DOM elements and the content element stay obstacles as well.
+     * @param {Array|null} specs - Obstacle specs in world coordinates (see obstacles.js), null to remove them
+     * @throws {Error} If a spec is invalid
+     */
+    setObstacles(specs) {
+        const appState = this.state;
+        appState.obstacleSpecs = specs ? specs.map(createObstacle) : null;
+        refreshObstacles(appState);
+    }
+    
+    /**
+     * Get the obstacles the layout currently avoids
+     * @returns {Array} Obstacles from the API, the content element and marked elements
+     */
+    getObstacles() {
+        const obstacles = this.state.obstacles;
+        return obstacles ? obstacles.slice() : [];
+    }
+    
+    /**
+     * Switch between the flow simulation and decorative pulses
+     * @param {boolean} enabled - True to run the flow simulation
+     */
+    setFlowSimulation(enabled) {
+        setFlowSimulation(this.state, enabled);
+    }
+    
+    /**
+     * Reduce motion: nodes are placed without animation, decorative pulses stop
+     * and nodes no longer fade in and out. Pulses sent with emitPulse and by the
+     * flow simulation still travel.
+     * @param {boolean|string} setting - true or false, or 'auto' to follow prefers-reduced-motion
+     */
+    setReducedMotion(setting) {
+        if (setting !== true && setting !== false && setting !== 'auto') {
+            throw new Error(`Unknown reduced motion setting "${setting}" (expected true, false or 'auto')`);
+        }
+        this.state.reducedMotionSetting = setting;
+        updateReducedMotion(this.state);
+    }
+    
+    /**
+     * Whether motion is currently reduced
+     * @returns {boolean} True while nodes are placed without animation
+     */
+    isReducedMotion() {
+        return this.state.reducedMotion;
+    }
+    
+    /**
+     * Switch the colours; CSS custom properties are read again (see theme.js)
+     * @param {string|Object} theme - 'dark', 'light', 'high-contrast', 'auto' or a partial theme object
+     * @throws {Error} If the theme name is unknown
+     */
+    setTheme(theme) {
+        checkTheme(theme);
+        this.state.themeSetting = theme;
+        applyTheme(this.state);
+    }
+    
+    /**
+     * Current colours
+     * @returns {Object} Resolved theme, a copy
+     */
+    getTheme() {
+        const theme = this.state.theme;
+        return { ...theme, palette: { ...theme.palette } };
+    }
+    
+    /**
+     * Adapt to a new canvas size, e.g. after the page changed its CSS size
+     */
+    resize() {
+        handleResize(this.state);
+    }
+    
+    /**
+     * Stop the view and release everything it set up
+     * The canvas is left in place; the view can't be used afterwards
+     */
+    destroy() {
+        const appState = this.state;
+        if (appState.destroyed) return;
+        
+        // Stopped without a pausechange event, the view is going away
+        appState.paused = true;
+        updateRunning(appState);
+        appState.destroyed = true;
+        
+        this.cleanup.forEach(undo => undo());
+        this.cleanup = [];
+        
+        if (appState.layoutWorker) {
+            appState.layoutWorker.terminate();
+            appState.layoutWorker = null;
+        }
+        
+        appState.detailsPanel.destroy();
+        appState.toolbar.destroy();
+        appState.metricsHUD.destroy();
+        appState.pauseButton.destroy();
+        appState.description.destroy();
+        appState.nodes.forEach(node => node.clearPulses());
+        appState.events.clear();
+    }
+}
+
+/**
+ * Create a network view on a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {Object} [options] - View options
+ * @param {number|string} [options.seed] - Random seed, a fresh one if omitted
+ * @param {Object} [options.graph] - Graph document (see graph-loader.js), a random network if omitted
+ * @param {number} [options.nodeCount] - Number of nodes of a random network
+ * @param {boolean|string} [options.persist] - Load from and save to localStorage; a string is the key to use.
+ *     The saved graph is only loaded when neither options.graph nor options.seed is given
+ * @param {boolean} [options.fullscreen] - Size the canvas to the window instead of its CSS size
+ * @param {HTMLElement} [options.contentElement] - Element the layout keeps nodes away from
+ * @param {Array} [options.obstacles] - Further obstacles in world coordinates (see obstacles.js)
+ * @param {Element|Document|null} [options.obstacleRoot] - Where to look for elements marked with
+ *     data-network-obstacle, the document for fullscreen views and nowhere otherwise
+ * @param {boolean} [options.clipObstacles] - Don't draw edges and pulses over obstacles
+ * @param {HTMLElement} [options.container] - Element for the details panel, toolbar and HUD
+ * @param {EventTarget|null} [options.keyboardTarget] - Element for keyboard shortcuts,
+ *     the window for fullscreen views and the canvas otherwise; null disables them
+ * @param {string} [options.layout] - Layout mode: 'force' (default), 'layered' (sources left,
+ *     destinations right), 'radial' (sources in the middle) or 'circular' (one ring)
+ * @param {Object} [options.layoutOptions] - Force layout options (see applyForceLayout)
+ * @param {boolean} [options.useLayoutWorker] - Run the layout in a Web Worker when supported (default true)
+ * @param {boolean} [options.flowSimulation] - Start with the flow simulation
+ * @param {boolean} [options.showMetrics] - Start with the metrics HUD shown
+ * @param {boolean} [options.paused] - Start paused
+ * @param {string|Object} [options.theme] - Colours: 'dark' (default), 'light', 'high-contrast',
+ *     'auto' or a partial theme object (see theme.js)
+ * @param {boolean|string} [options.reducedMotion] - Reduce motion, see setReducedMotion;
+ *     'auto' (default) follows prefers-reduced-motion
+ * @returns {NetworkView} The view
+ */
+function createNetworkView(canvas, options = {}) {
+    if (!(canvas instanceof HTMLCanvasElement)) {
+        throw new TypeError('createNetworkView needs a <canvas> element');
+    }
+    
+    return new NetworkView(canvas, options);
+}
+
+export { createNetworkView, NetworkView };
@@ -6,22 +6,36 @@
 
 import { Node } from './node.js';
 import { applyForceLayout } from './force-layout.js';
+import { loadNetwork } from './graph-loader.js';
 
 /**
  * Create a network of nodes with connections
+ * Builds the graph from a JSON document when one is supplied,
+ * otherwise generates a random network
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height 
+ * @param {Object} [options] - Network options
+ * @param {Object} [options.graph] - Graph document (see graph-loader.js)
+ * @param {Function} [options.random] - Random generator, defaults to Math.random
+ * @param {number} [options.nodeCount] - Number of random nodes, overrides the screen-size based count
  * @returns {Array} Array of Node objects
+ * @throws {GraphValidationError} If the graph document is invalid
  */
-function createNetwork(width, height) {
+function createNetwork(width, height, options = {}) {
+    const random = options.random || Math.random;
+    
+    if (options.graph) {
+        return loadNetwork(options.graph, width, height, random);
+    }
+    
     const nodes = [];
-    const numNodes = calculateOptimalNodeCount(width, height);
+    const numNodes = options.nodeCount || calculateOptimalNodeCount(width, height);
     
     // Create nodes with full canvas distribution
-    createNodes(nodes, numNodes, width, height);
+    createNodes(nodes, numNodes, width, height, random);
     
     // Create connections between nodes
-    initializeConnections(nodes);
+    initializeConnections(nodes, random);
     
     // Remove nodes without proper connections
     optimizeNetwork(nodes);
@@ -34,6 +48,8 @@ function createNetwork(width, height) {
 
 /**
  * Calculate optimal number of nodes based on canvas size
+ * Grows with the square root of the area without an upper cap; large screens
+ * get past the layout's Barnes–Hut threshold.
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
  * @returns {number} Optimal node count
@@ -45,7 +61,7 @@ function calculateOptimalNodeCount(width, height) {
     
     // Scale node count based on screen size
     // More nodes for larger screens, fewer for smaller screens
-    return Math.max(15, Math.min(50, Math.floor(baseCount * Math.sqrt(area) / 1500)));
+    return Math.max(15, Math.floor(baseCount * Math.sqrt(area) / 1500));
 }
 
 /**
@@ -54,13 +70,14 @@ function calculateOptimalNodeCount(width, height) {
  * @param {number} numNodes - Number of nodes to create
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
+ * @param {Function} random - Random generator
  */
-function createNodes(nodes, numNodes, width, height) {
+function createNodes(nodes, numNodes, width, height, random) {
     for (let i = 0; i < numNodes; i++) {
         // Distribute nodes with some spacing
-        const x = Math.random() * width;
-        const y = Math.random() * height;
-        const radius = 5 + Math.random() * 8;
+        const x = random() * width;
+        const y = random() * height;
+        const radius = 5 + random() * 8;
         
         // Assign node types with proper distribution
         let type;
@@ -72,15 +89,18 @@ function createNodes(nodes, numNodes, width, height) {
             type = "destination";
         }
         
-        nodes.push(new Node(x, y, radius, type));
+        const node = new Node(x, y, radius, type, random);
+        node.id = `node-${i}`;
+        nodes.push(node);
     }
 }
 
 /**
  * Initialize connections between nodes
  * @param {Array} nodes - Array of nodes
+ * @param {Function} random - Random generator
  */
-function initializeConnections(nodes) {
+function initializeConnections(nodes, random) {
     // Get nodes by type for easier access
     const sources = nodes.filter(node => node.type === "source");
     const processes = nodes.filter(node => node.type === "process");
@@ -88,11 +108,11 @@ function initializeConnections(nodes) {
     
     // Connect source nodes to process nodes
     sources.forEach(source => {
-        const numConnections = 1 + Math.floor(Math.random() * 3);
+        const numConnections = 1 + Math.floor(random() * 3);
         
         for (let i = 0; i < numConnections && i < processes.length; i++) {
             // Pick random process node without repetition
-            const randomIndex = Math.floor(Math.random() * processes.length);
+            const randomIndex = Math.floor(random() * processes.length);
             const randomProcess = processes[randomIndex];
             source.connect(randomProcess);
         }
@@ -102,19 +122,19 @@ function initializeConnections(nodes) {
     processes.forEach(process => {
         // Connect to other processes (0-1 connections)
         const otherProcesses = processes.filter(p => p !== process);
-        const numProcessConnections = Math.floor(Math.random() * 2);
+        const numProcessConnections = Math.floor(random() * 2);
         
         for (let i = 0; i < numProcessConnections && i < otherProcesses.length; i++) {
-            const randomIndex = Math.floor(Math.random() * otherProcesses.length);
+            const randomIndex = Math.floor(random() * otherProcesses.length);
             const randomProcess = otherProcesses[randomIndex];
             process.connect(randomProcess);
         }
         
         // Connect to destinations (1-2 connections)
-        const numDestConnections = 1 + Math.floor(Math.random() * 2);
+        const numDestConnections = 1 + Math.floor(random() * 2);
         
         for (let i = 0; i < numDestConnections && i < destinations.length; i++) {
-            const randomIndex = Math.floor(Math.random() * destinations.length);
+            const randomIndex = Math.floor(random() * destinations.length);
             const randomDest = destinations[randomIndex];
             process.connect(randomDest);
         }
@@ -166,15 +186,7 @@ function removeUnconnectedNodes(nodes) {
         
         // Skip source nodes, as they don't need incoming connections
         if (node.type !== "source" && !hasIncoming.has(node)) {
-            // Remove this node from all other nodes' connections
-            nodes.forEach(otherNode => {
-                otherNode.connections = otherNode.connections.filter(
-                    conn => conn !== node
-                );
-            });
-            
-            // Remove the node
-            nodes.splice(i, 1);
+            removeNode(nodes, node);
             hasRemovedNodes = true;
         }
     }
@@ -182,5 +194,67 @@ function removeUnconnectedNodes(nodes) {
     return hasRemovedNodes;
 }
 
+/**
+ * Remove a node and every connection pointing to it
+ * The removed node keeps its own outgoing connections so it can be restored
+ * @param {Array} nodes - Array of nodes
+ * @param {Node} node - Node to remove
+ * @returns {Object|null} What was removed: index and the nodes that connected to it,
+ *                        or null if the node wasn't in the network
+ */
+function removeNode(nodes, node) {
+    const index = nodes.indexOf(node);
+    if (index === -1) return null;
+    
+    // Remove this node from all other nodes' connections
+    const incoming = [];
+    nodes.forEach(otherNode => {
+        if (otherNode.connections.includes(node)) {
+            incoming.push(otherNode);
+            otherNode.disconnect(node);
+        }
+    });
+    
+    // Remove the node and any pulses it was sending
+    nodes.splice(index, 1);
+    node.clearPulses();
+    
+    return { index, incoming };
+}
+
+/**
+ * Put a removed node back into the network
+ * @param {Array} nodes - Array of nodes
+ * @param {Node} node - Node to restore
+ * @param {Object} removed - Result of removeNode for this node
+ */
+function restoreNode(nodes, node, removed) {
+    nodes.splice(Math.min(removed.index, nodes.length), 0, node);
+    
+    // Outgoing connections to nodes that are gone in the meantime are dropped
+    node.connections = node.connections.filter(connected => nodes.includes(connected));
+    removed.incoming.forEach(otherNode => {
+        if (nodes.includes(otherNode)) {
+            otherNode.connect(node);
+        }
+    });
+}
+
+/**
+ * Create an id that no node in the network uses yet
+ * @param {Array} nodes - Array of nodes
+ * @returns {string} Unused node id
+ */
+function createNodeId(nodes) {
+    const ids = new Set(nodes.map(node => node.id));
+    let counter = nodes.length;
+    
+    while (ids.has(`node-${counter}`)) {
+        counter++;
+    }
+    
+    return `node-${counter}`;
+}
+
 // Export functions
-export { createNetwork };
\ No newline at end of file
+export { createNetwork, removeNode, restoreNode, createNodeId };
\ No newline at end of file
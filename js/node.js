@@ -4,21 +4,44 @@
  * Defines the Node class and pulse animations
  */
 
+import { DEFAULT_THEME } from './theme.js';
+import { getEdgeControlPoint, getEdgePoint, getEdgeWidth, drawEdge } from './edges.js';
+
 // Maximum number of pulses at once for performance
 const MAX_PULSE_COUNT = 100;
 const PULSE_SPEED = 0.023;
 
+// Window over which flow simulation throughput is measured (ms)
+const THROUGHPUT_WINDOW = 1000;
+
+// Time over which the traffic shown by the edge width follows the pulses in flight (ms)
+const TRAFFIC_SMOOTHING = 500;
+
+// Queue fill levels at which the queue ring turns amber and red
+const QUEUE_WARNING = 0.5;
+const QUEUE_CRITICAL = 0.85;
+
+// Node types understood by the renderer and the graph loader
+const NODE_TYPES = ["source", "process", "destination"];
+
 // Reusable pulse objects pool for better performance
 const pulsePool = [];
 
+// Scratch points for drawing pulses and edge labels, reused every frame
+const pulseControl = { x: 0, y: 0 };
+const pulsePoint = { x: 0, y: 0 };
+const labelControl = { x: 0, y: 0 };
+const labelPoint = { x: 0, y: 0 };
+
 /**
  * Create a reusable pulse object from the pool or create a new one
  * @param {Node} source - Source node
  * @param {Node} target - Target node
  * @param {number} speed - Pulse speed
+ * @param {number} [origin] - Time the pulse left its source, 0 if unknown
  * @returns {Object} Pulse object
  */
-function createPulse(source, target, speed) {
+function createPulse(source, target, speed, origin = 0) {
     // Reuse pulse from pool if available
     if (pulsePool.length > 0) {
         const pulse = pulsePool.pop();
@@ -26,6 +49,7 @@ function createPulse(source, target, speed) {
         pulse.target = target;
         pulse.progress = 0;
         pulse.speed = speed;
+        pulse.origin = origin;
         return pulse;
     }
     
@@ -34,7 +58,8 @@ function createPulse(source, target, speed) {
         source: source,
         target: target,
         progress: 0,
-        speed: speed
+        speed: speed,
+        origin: origin
     };
 }
 
@@ -59,35 +84,61 @@ class Node {
      * @param {number} y - Y coordinate
      * @param {number} radius - Node radius
      * @param {string} type - Node type: "source", "process", or "destination"
+     * @param {Function} [random] - Random generator, defaults to Math.random
      */
-    constructor(x, y, radius, type) {
+    constructor(x, y, radius, type, random = Math.random) {
         // Position and size
         this.x = x;
         this.y = y;
         this.radius = radius;
         
         // Node properties
+        this.id = null;
+        this.label = '';
+        this.description = '';
+        this.metadata = {}; // Arbitrary key/value pairs shown in the details panel
         this.type = type;
         this.connections = [];
         this.pulses = [];
         this.processingPulses = 0;
         
-        // Appearance
-        this.color = this.getColorForType(type);
+        // Random generator used for timing and pulse routing
+        this.random = random;
         
         // State
-        this.active = Math.random() > 0.5;
+        this.active = this.random() > 0.5;
         this.opacity = this.active ? 1 : 0.3;
         this.targetOpacity = this.opacity;
         
         // Animation timing
-        this.activationTime = Math.random() * 5000;
+        this.activationTime = this.random() * 5000;
         this.lastPulseTime = 0;
-        this.pulseInterval = 1000 + Math.random() * 2000;
+        this.pulseInterval = 1000 + this.random() * 2000;
+        
+        // Live pulse statistics
+        this.stats = {
+            sent: 0,
+            received: 0
+        };
+        
+        // Flow simulation (see flow-simulation.js): settings from the graph document,
+        // routing weight and transit time per connection keyed by target node,
+        // and the simulation state, null while pulses are decorative
+        this.flowSettings = {};
+        this.routing = new Map();
+        this.flow = null;
+        
+        // Label and line style ("solid" or "dashed") per connection keyed by target node,
+        // and the smoothed number of pulses in flight along each connection (see edges.js)
+        this.edgeStyles = new Map();
+        this.traffic = new Map();
+        this.inFlight = new Map(); // Pulses per target, recounted every frame by updateTraffic
         
         // Interaction states
         this.isHovered = false;
         this.isDragged = false;
+        this.isPinned = false; // Pinned nodes keep their position in the layout
+        this.isSelected = false; // Mirrors membership in the view's Selection
         
         // Physics properties (for force-directed layout)
         this.vx = 0;
@@ -97,15 +148,11 @@ class Node {
     /**
      * Get color based on node type
      * @param {string} type - Node type
+     * @param {Object} [theme] - Theme to take the palette from (see theme.js)
      * @returns {string} Color
      */
-    getColorForType(type) {
-        switch(type) {
-            case "source": return "#00ffcc";
-            case "process": return "#00ccff";
-            case "destination": return "#ff00cc";
-            default: return "#ffffff";
-        }
+    getColorForType(type, theme = DEFAULT_THEME) {
+        return theme.palette[type] || theme.palette.other;
     }
     
     /**
@@ -118,12 +165,45 @@ class Node {
         }
     }
     
+    /**
+     * Remove the connection to another node
+     * Pulses already travelling along it are dropped
+     * @param {Node} node - Node to disconnect from
+     */
+    disconnect(node) {
+        const index = this.connections.indexOf(node);
+        if (index === -1) return;
+        
+        this.connections.splice(index, 1);
+        this.traffic.delete(node);
+        
+        for (let i = this.pulses.length - 1; i >= 0; i--) {
+            if (this.pulses[i].target === node) {
+                recyclePulse(this.pulses[i]);
+                this.pulses.splice(i, 1);
+            }
+        }
+    }
+    
+    /**
+     * Drop all pulses sent by this node
+     */
+    clearPulses() {
+        this.pulses.forEach(recyclePulse);
+        this.pulses.length = 0;
+    }
+    
     /**
      * Update node state
      * @param {number} time - Current time
      * @param {number} deltaTime - Time since last update
+     * @param {Metrics} [metrics] - Recorder for the metrics HUD, null when it is hidden
+     * @param {EventBus} [events] - Bus for "pulsearrived" events, null if nobody listens
+     * @param {boolean} [reducedMotion] - Keep nodes fully shown and send no decorative pulses
      */
-    update(time, deltaTime) {
+    update(time, deltaTime, metrics = null, events = null, reducedMotion = false) {
+        const sentBefore = this.stats.sent;
+        
         // Calculate cycle position for smooth state transitions
         const cycleDuration = 15000; // 15 seconds for a complete cycle
         const cyclePosition = (time % cycleDuration) / cycleDuration;
@@ -132,8 +212,9 @@ class Node {
         const nodePhase = this.activationTime / 5000;
         const nodePosition = (cyclePosition + nodePhase) % 1;
         
-        // Determine if node should be active (70% of the time)
-        const shouldBeActive = nodePosition < 0.7;
+        // Determine if node should be active (70% of the time, always in the flow simulation
+        // and with reduced motion)
+        const shouldBeActive = this.flow !== null || reducedMotion || nodePosition < 0.7;
         
         // Set target opacity based on activity state and interaction
         this.targetOpacity = shouldBeActive ? 1 : 0.3;
@@ -143,8 +224,8 @@ class Node {
             this.targetOpacity = 1;
         }
         
-        // Smooth transition between states
-        if (Math.abs(this.opacity - this.targetOpacity) > 0.01) {
+        // Smooth transition between states, or none with reduced motion
+        if (!reducedMotion && Math.abs(this.opacity - this.targetOpacity) > 0.01) {
             this.opacity += (this.targetOpacity - this.opacity) * 0.05;
         } else {
             this.opacity = this.targetOpacity;
@@ -153,27 +234,36 @@ class Node {
         // Update active state based on opacity
         this.active = this.opacity > 0.7;
         
-        // Handle impulse generation for active source nodes
-        if (this.active && this.type === "source" && 
-            time - this.lastPulseTime > this.pulseInterval) {
-            this.lastPulseTime = time;
-            
-            // Send impulse to random connection
-            this.sendRandomImpulse();
+        if (this.flow) {
+            // Emit, queue and process pulses by the simulation rules
+            this.updateFlow(deltaTime, metrics);
+        } else if (!reducedMotion) {
+            // Handle impulse generation for active source nodes
+            if (this.active && this.type === "source" && 
+                time - this.lastPulseTime > this.pulseInterval) {
+                this.lastPulseTime = time;
+                
+                // Send impulse to random connection
+                this.sendRandomImpulse();
+            }
+            if (this.type == "process" && this.processingPulses > 0 && this.random() > 0.98) {
+                this.sendRandomImpulse();
+            }
         }
-        if (this.type == "process" && this.processingPulses > 0 && Math.random() > 0.98) {
-            this.sendRandomImpulse();
+        if (metrics !== null && this.type === "source" && this.stats.sent !== sentBefore) {
+            metrics.recordEmitted(this.stats.sent - sentBefore);
         }
+        
         // Update existing impulses
-        this.updatePulses(deltaTime);
+        this.updatePulses(time, deltaTime, metrics, events);
     }
     
     /**
      * Send an impulse to a random connection
      */
     sendRandomImpulse() {
-        if (this.connections.length > 0 && Math.random() > 0.3) {
-            const randomIndex = Math.floor(Math.random() * this.connections.length);
+        if (this.connections.length > 0 && this.random() > 0.3) {
+            const randomIndex = Math.floor(this.random() * this.connections.length);
             const randomConnection = this.connections[randomIndex];
             
             if (randomConnection.opacity > 0.5) {
@@ -181,11 +271,12 @@ class Node {
                 const pulse = createPulse(
                     this,
                     randomConnection,
-                    0.002 + Math.random() * PULSE_SPEED
+                    0.002 + this.random() * PULSE_SPEED
                 );
                 
                 this.pulses.push(pulse);
-
+                this.stats.sent += 1;
+                
                 if (this.processingPulses>0) { 
                     this.processingPulses -= 1; 
                 }
@@ -193,11 +284,172 @@ class Node {
         }
     }
     
+    /**
+     * Advance the flow simulation of this node
+     * processingPulses is the queue length while the simulation runs. Pulses
+     * carry the flow clock time they left their source, which stands still
+     * while the view is paused or hidden.
+     * @param {number} deltaTime - Time since last update
+     * @param {Metrics} [metrics] - Recorder for the metrics HUD, null when it is hidden
+     */
+    updateFlow(deltaTime, metrics = null) {
+        const flow = this.flow;
+        flow.clock += deltaTime;
+        
+        // Sources emit on their schedule
+        if (this.type === "source" && flow.interval > 0) {
+            flow.nextEmission -= deltaTime;
+            
+            // After a long pause (hidden tab) emit once rather than catching up
+            if (flow.nextEmission < -flow.interval) {
+                flow.nextEmission = 0;
+            }
+            while (flow.nextEmission <= 0) {
+                for (let i = 0; i < flow.count; i++) {
+                    this.routePulse(flow.clock);
+                }
+                flow.nextEmission += flow.interval * (1 + (this.random() * 2 - 1) * flow.jitter);
+            }
+        }
+        
+        // Take queued pulses while there is free capacity
+        while (this.processingPulses > 0 && flow.jobs.length < flow.capacity) {
+            this.processingPulses -= 1;
+            flow.jobs.push(flow.clock + flow.processingTime);
+            flow.jobOrigins.push(flow.queue[flow.queueHead]);
+            flow.queueHead += 1;
+        }
+        
+        // Drop taken entries once they make up half the queue, so taking stays cheap
+        if (flow.queueHead > 0 && flow.queueHead * 2 >= flow.queue.length) {
+            flow.queue.splice(0, flow.queueHead);
+            flow.queueHead = 0;
+        }
+        
+        // Finish processed pulses and pass them on; jobs are unordered, so the
+        // last one fills the gap (it has been checked already)
+        for (let i = flow.jobs.length - 1; i >= 0; i--) {
+            if (flow.jobs[i] <= flow.clock) {
+                const origin = flow.jobOrigins[i];
+                flow.jobs[i] = flow.jobs[flow.jobs.length - 1];
+                flow.jobOrigins[i] = flow.jobOrigins[flow.jobOrigins.length - 1];
+                flow.jobs.pop();
+                flow.jobOrigins.pop();
+                this.finishFlowPulse(origin, metrics);
+            }
+        }
+        
+        // Throughput over the last window, smoothed so single completions don't make it jump
+        flow.windowTime += deltaTime;
+        if (flow.windowTime >= THROUGHPUT_WINDOW) {
+            const rate = flow.windowCount * 1000 / flow.windowTime;
+            flow.throughput += (rate - flow.throughput) * 0.5;
+            flow.windowTime = 0;
+            flow.windowCount = 0;
+        }
+    }
+    
+    /**
+     * Complete a processed pulse: consume it at destinations and dead ends,
+     * route it onwards everywhere else, or drop it if every routing weight is 0
+     * @param {number} origin - Flow clock time the pulse left its source, 0 if unknown
+     * @param {Metrics} [metrics] - Recorder for the metrics HUD, null when it is hidden
+     */
+    finishFlowPulse(origin, metrics = null) {
+        const flow = this.flow;
+        flow.processed += 1;
+        flow.windowCount += 1;
+        
+        if (this.type === "destination" || this.connections.length === 0) {
+            flow.consumed += 1;
+            if (metrics !== null) {
+                metrics.recordDelivery(origin > 0 ? flow.clock - origin : -1);
+            }
+        } else if (!this.routePulse(origin)) {
+            flow.dropped += 1;
+        }
+    }
+    
+    /**
+     * Send a pulse along a connection picked by routing weight
+     * @param {number} origin - Time the pulse left its source
+     * @returns {boolean} True if a pulse was sent
+     */
+    routePulse(origin) {
+        let totalWeight = 0;
+        this.connections.forEach(node => {
+            totalWeight += this.getRoutingWeight(node);
+        });
+        if (totalWeight <= 0) return false;
+        
+        let pick = this.random() * totalWeight;
+        let target = this.connections[this.connections.length - 1];
+        for (let i = 0; i < this.connections.length; i++) {
+            pick -= this.getRoutingWeight(this.connections[i]);
+            if (pick < 0) {
+                target = this.connections[i];
+                break;
+            }
+        }
+        
+        return this.sendPulse(target, origin);
+    }
+    
+    /**
+     * Send a pulse to a connected node right away
+     * In the flow simulation it travels for the connection's transit time
+     * @param {Node} target - Connected node
+     * @param {number} [origin] - Time the pulse left its source, 0 if unknown
+     * @returns {boolean} True if a pulse was sent, false if target is not connected
+     */
+    sendPulse(target, origin = 0) {
+        if (!this.connections.includes(target)) return false;
+        
+        // Pulse speed is progress per 60fps frame
+        let speed = 0.002 + this.random() * PULSE_SPEED;
+        if (this.flow) {
+            const route = this.routing.get(target);
+            const transitTime = route && route.transitTime !== undefined ? route.transitTime : this.flow.transitTime;
+            speed = 16.667 / transitTime;
+        }
+        
+        this.pulses.push(createPulse(this, target, speed, origin));
+        this.stats.sent += 1;
+        return true;
+    }
+    
+    /**
+     * Routing weight of the connection to a node
+     * @param {Node} node - Connected node
+     * @returns {number} Weight, 1 unless set in the graph document
+     */
+    getRoutingWeight(node) {
+        const route = this.routing.get(node);
+        return route && route.weight !== undefined ? route.weight : 1;
+    }
+    
+    /**
+     * Accept a pulse that arrived in the flow simulation
+     * Pulses arriving at a full queue are dropped
+     * @param {number} origin - Time the pulse left its source
+     */
+    receiveFlowPulse(origin) {
+        if (this.processingPulses >= this.flow.queueLimit && this.flow.jobs.length >= this.flow.capacity) {
+            this.flow.dropped += 1;
+        } else {
+            this.processingPulses += 1;
+            this.flow.queue.push(origin);
+        }
+    }
+    
     /**
      * Update all pulses for this node
+     * @param {number} time - Current time
      * @param {number} deltaTime - Time since last update
+     * @param {Metrics} [metrics] - Recorder for the metrics HUD, null when it is hidden
+     * @param {EventBus} [events] - Bus for "pulsearrived" events, null if nobody listens
      */
-    updatePulses(deltaTime) {
+    updatePulses(time, deltaTime, metrics = null, events = null) {
         // Update progress of existing pulses
         for (let i = this.pulses.length - 1; i >= 0; i--) {
             const pulse = this.pulses[i];
@@ -205,20 +457,40 @@ class Node {
             // Scale speed by deltaTime for consistent animation regardless of frame rate
             pulse.progress += pulse.speed * (deltaTime / 16.667);
             
-            if (pulse.progress >= 1) {
+            // Flow simulation pulses are delivered once their target consumes them
+            if (pulse.progress >= 1 && metrics !== null && !pulse.target.flow && pulse.target.type === "destination") {
+                metrics.recordDelivery(-1);
+            }
+            
+            if (pulse.progress >= 1 && events !== null) {
+                events.emit('pulsearrived', {
+                    source: this,
+                    target: pulse.target,
+                    latency: pulse.origin > 0 && pulse.target.flow ? pulse.target.flow.clock - pulse.origin : null
+                });
+            }
+            
+            if (pulse.progress >= 1 && pulse.target.flow) {
+                // The flow simulation queues the pulse at its target
+                pulse.target.stats.received += 1;
+                pulse.target.receiveFlowPulse(pulse.origin);
+                recyclePulse(pulse);
+                this.pulses.splice(i, 1);
+            } else if (pulse.progress >= 1) {
                 pulse.target.processingPulses += 1;
+                pulse.target.stats.received += 1;
                 pulse.target.active = true;
                 pulse.target.opacity = pulse.target.active ? 1 : 0.3;
                 pulse.target.targetOpacity = pulse.target.opacity;
-
+                
                 // When an impulse reaches its target
                 if (pulse.target.active) {
                     // Process nodes forward received impulses to their connections
-                    if (pulse.target.type === "process" && Math.random() > 0.7) {
+                    if (pulse.target.type === "process" && this.random() > 0.7) {
                         pulse.target.sendRandomImpulse();
                     }
                 }
-
+                
                 // Recycle the pulse object
                 recyclePulse(pulse);
                 
@@ -226,72 +498,148 @@ class Node {
                 this.pulses.splice(i, 1);
             }
         }
+        
+        this.updateTraffic(deltaTime);
+    }
+    
+    /**
+     * Let the traffic of each connection follow the number of pulses in flight along it
+     * Entries are removed once they have faded out
+     * @param {number} deltaTime - Time since last update
+     */
+    updateTraffic(deltaTime) {
+        const inFlight = this.inFlight;
+        inFlight.clear();
+        this.pulses.forEach(pulse => {
+            inFlight.set(pulse.target, (inFlight.get(pulse.target) || 0) + 1);
+        });
+        
+        const rate = Math.min(1, deltaTime / TRAFFIC_SMOOTHING);
+        this.connections.forEach(node => {
+            const count = inFlight.get(node) || 0;
+            const traffic = this.traffic.get(node) || 0;
+            const next = traffic + (count - traffic) * rate;
+            
+            if (count === 0 && next < 0.05) {
+                this.traffic.delete(node);
+            } else {
+                this.traffic.set(node, next);
+            }
+        });
     }
     
     /**
      * Draw the node and its connections
-     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {CanvasRenderingContext2D|SVGContext} ctx - Canvas rendering context or SVG recorder
+     * @param {boolean} [includePulses] - Also draw pulses in flight
+     * @param {Object} [theme] - Colours to draw with (see theme.js)
      */
-    draw(ctx) {
+    draw(ctx, includePulses = true, theme = DEFAULT_THEME) {
         // Don't render nearly invisible nodes for performance
         if (this.opacity < 0.05) return;
         
         // Draw connections
-        this.drawConnections(ctx);
+        this.drawConnections(ctx, theme);
         
         // Draw node
-        this.drawNode(ctx);
+        this.drawNode(ctx, theme);
         
         // Draw pulses
-        this.drawPulses(ctx);
+        if (includePulses) {
+            this.drawPulses(ctx, theme);
+        }
     }
     
     /**
-     * Draw connections to other nodes
+     * Draw connections to other nodes as arrows, curved where the target connects back
+     * Width follows the routing weight and the traffic along the connection
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} [theme] - Colours to draw with
      */
-    drawConnections(ctx) {
-        ctx.globalAlpha = this.opacity * 0.3;
+    drawConnections(ctx, theme = DEFAULT_THEME) {
+        ctx.globalAlpha = this.opacity * theme.edgeOpacity;
         
         this.connections.forEach(node => {
             if (node.opacity > 0.1 || this.opacity > 0.1) {
-                ctx.beginPath();
-                ctx.moveTo(this.x, this.y);
-                ctx.lineTo(node.x, node.y);
-                ctx.strokeStyle = '#ffffff';
-                ctx.lineWidth = 1;
-                ctx.stroke();
+                const style = this.edgeStyles.get(node);
+                drawEdge(ctx, this, node, {
+                    color: theme.edge,
+                    width: getEdgeWidth(this.getRoutingWeight(node), this.traffic.get(node) || 0),
+                    dashed: style !== undefined && style.style === 'dashed',
+                    targetRadius: node.radius * (node.isHovered || node.isDragged ? 1.2 : 1)
+                });
             }
         });
     }
     
+    /**
+     * Draw the label of the connection to a node at the middle of the edge
+     * Text keeps the same on-screen size at any camera zoom
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Node} node - Connected node
+     * @param {number} zoom - Current camera zoom
+     * @param {Object} [theme] - Colours to draw with
+     */
+    drawEdgeLabel(ctx, node, zoom, theme = DEFAULT_THEME) {
+        const style = this.edgeStyles.get(node);
+        if (!style || style.label === undefined || style.label === '') return;
+        
+        const control = getEdgeControlPoint(this, node, labelControl);
+        const middle = getEdgePoint(this, node, 0.5, control, labelPoint);
+        
+        ctx.globalAlpha = Math.max(Math.min(this.opacity, node.opacity), 0.6);
+        ctx.font = `${11 / zoom}px "Segoe UI", Tahoma, Geneva, Verdana, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillStyle = theme.label;
+        ctx.fillText(String(style.label), middle.x, middle.y - 3 / zoom);
+        ctx.globalAlpha = 1;
+    }
+    
     /**
      * Draw the node itself
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} [theme] - Colours to draw with
      */
-    drawNode(ctx) {
+    drawNode(ctx, theme = DEFAULT_THEME) {
         // Calculate effective radius with interaction effects
         const scaleFactor = this.isHovered || this.isDragged ? 1.2 : 1;
         const effectiveRadius = this.radius * scaleFactor;
+        const color = this.getColorForType(this.type, theme);
         
         // Draw glow effect when interacting
         if (this.isHovered || this.isDragged) {
-            ctx.globalAlpha = 0.3;
+            ctx.globalAlpha = theme.glowOpacity;
             ctx.beginPath();
             ctx.arc(this.x, this.y, effectiveRadius * 1.5, 0, Math.PI * 2);
-            ctx.fillStyle = this.color;
+            ctx.fillStyle = color;
             ctx.fill();
         }
         
+        // Selected nodes get a ring in the selection colour, apart from the glow
+        if (this.isSelected) {
+            ctx.globalAlpha = this.opacity;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, effectiveRadius + 3, 0, Math.PI * 2);
+            ctx.strokeStyle = theme.selection;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+        
         // Draw node
         ctx.globalAlpha = this.opacity;
         ctx.beginPath();
         ctx.arc(this.x, this.y, effectiveRadius, 0, Math.PI * 2);
-        ctx.fillStyle = this.color;
+        ctx.fillStyle = color;
         ctx.fill();
         
         // Draw node type indicator
-        this.drawNodeTypeIndicator(ctx, effectiveRadius);
+        this.drawNodeTypeIndicator(ctx, effectiveRadius, color, theme);
+        
+        // Queue backlog in the flow simulation
+        if (this.flow) {
+            this.drawQueue(ctx, effectiveRadius, theme);
+        }
         
         // Reset global alpha
         ctx.globalAlpha = 1;
@@ -301,8 +649,10 @@ class Node {
      * Draw the indicator specific to node type
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
      * @param {number} effectiveRadius - Current node radius with scaling
+     * @param {string} color - Colour of the node
+     * @param {Object} theme - Colours to draw with
      */
-    drawNodeTypeIndicator(ctx, effectiveRadius) {
+    drawNodeTypeIndicator(ctx, effectiveRadius, color, theme) {
         switch(this.type) {
             case "source":
                 // Arrow icon for source
@@ -310,59 +660,121 @@ class Node {
                 ctx.moveTo(this.x - effectiveRadius * 0.3, this.y - effectiveRadius * 0.3);
                 ctx.lineTo(this.x + effectiveRadius * 0.5, this.y);
                 ctx.lineTo(this.x - effectiveRadius * 0.3, this.y + effectiveRadius * 0.3);
-                ctx.fillStyle = "#121212";
+                ctx.fillStyle = theme.nodeCore;
                 ctx.fill();
                 break;
-                
+            
             case "destination":
                 // Ring design for destination
                 ctx.beginPath();
                 ctx.arc(this.x, this.y, effectiveRadius * 0.6, 0, Math.PI * 2);
-                ctx.fillStyle = "#121212";
+                ctx.fillStyle = theme.nodeCore;
                 ctx.fill();
                 
                 ctx.beginPath();
                 ctx.arc(this.x, this.y, effectiveRadius * 0.4, 0, Math.PI * 2);
-                ctx.fillStyle = this.color;
+                ctx.fillStyle = color;
                 ctx.fill();
                 break;
             case "process":
                 // Smaller inner circle for process
                 ctx.beginPath();
                 ctx.arc(this.x, this.y, effectiveRadius * 0.6, 0, Math.PI * 2);
-                ctx.fillStyle = "#121212";
+                ctx.fillStyle = theme.nodeCore;
                 ctx.fill();
                 
                 ctx.beginPath();
                 ctx.arc(this.x, this.y, effectiveRadius * 0.4, 0, Math.PI * 2);
-                ctx.fillStyle = this.color;
+                ctx.fillStyle = color;
                 ctx.fill();
                 break;
         }
     }
     
     /**
-     * Draw pulses traveling between nodes
+     * Draw the queue as a ring that fills up and turns red as it backs up
+     * Unbounded queues fill the ring at 20 pulses
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} effectiveRadius - Current node radius with scaling
+     * @param {Object} theme - Colours to draw with
+     */
+    drawQueue(ctx, effectiveRadius, theme) {
+        const queued = this.processingPulses;
+        if (queued === 0) return;
+        
+        const limit = Number.isFinite(this.flow.queueLimit) && this.flow.queueLimit > 0
+            ? this.flow.queueLimit
+            : 20;
+        const fill = Math.min(1, queued / limit);
+        
+        ctx.globalAlpha = 0.9;
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = fill >= QUEUE_CRITICAL ? theme.queueCritical : fill >= QUEUE_WARNING ? theme.queueWarning : theme.queue;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, effectiveRadius + 4, -Math.PI / 2, -Math.PI / 2 + fill * Math.PI * 2);
+        ctx.stroke();
+        ctx.globalAlpha = this.opacity;
+    }
+    
+    /**
+     * Draw the node label to the right of the node
+     * Text keeps the same on-screen size at any camera zoom
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} zoom - Current camera zoom
+     * @param {Object} [theme] - Colours to draw with
      */
-    drawPulses(ctx) {
+    drawLabel(ctx, zoom, theme = DEFAULT_THEME) {
+        const text = this.label || this.id;
+        if (!text && text !== 0) return;
+        
+        const fontSize = 12 / zoom;
+        const scaleFactor = this.isHovered || this.isDragged ? 1.2 : 1;
+        
+        ctx.globalAlpha = Math.max(this.opacity, 0.6);
+        ctx.font = `${fontSize}px "Segoe UI", Tahoma, Geneva, Verdana, sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = theme.label;
+        ctx.fillText(String(text), this.x + this.radius * scaleFactor + 4 / zoom, this.y);
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * Draw the keyboard focus ring around the node
+     * The ring keeps the same on-screen width at any camera zoom
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} zoom - Current camera zoom
+     * @param {Object} [theme] - Colours to draw with
+     */
+    drawFocusRing(ctx, zoom, theme = DEFAULT_THEME) {
+        const scaleFactor = this.isHovered || this.isDragged ? 1.2 : 1;
+        
+        ctx.globalAlpha = 1;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * scaleFactor + 5 / zoom, 0, Math.PI * 2);
+        ctx.strokeStyle = theme.focus;
+        ctx.lineWidth = 2 / zoom;
+        ctx.stroke();
+    }
+    
+    /**
+     * Draw pulses traveling between nodes, along the same path as their edge
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} [theme] - Colours to draw with
+     */
+    drawPulses(ctx, theme = DEFAULT_THEME) {
         this.pulses.forEach(pulse => {
-            const targetX = pulse.target.x;
-            const targetY = pulse.target.y;
-            const dx = targetX - this.x;
-            const dy = targetY - this.y;
-            
-            const pulseX = this.x + dx * pulse.progress;
-            const pulseY = this.y + dy * pulse.progress;
+            const control = getEdgeControlPoint(this, pulse.target, pulseControl);
+            const point = getEdgePoint(this, pulse.target, pulse.progress, control, pulsePoint);
             
             ctx.globalAlpha = this.opacity;
             ctx.beginPath();
-            ctx.arc(pulseX, pulseY, 3, 0, Math.PI * 2);
-            ctx.fillStyle = '#ffffff';
+            ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
+            ctx.fillStyle = theme.pulse;
             ctx.fill();
         });
     }
 }
 
 // Export Node class and pulse utilities
-export { Node, createPulse, recyclePulse };
+export { Node, NODE_TYPES, createPulse, recyclePulse };
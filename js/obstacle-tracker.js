@@ -0,0 +1,205 @@
+/**
+ * obstacle-tracker.js - DOM elements as layout obstacles
+ *
+ * Any element marked with data-network-obstacle keeps nodes away from it:
+ *
+ *     <nav data-network-obstacle data-obstacle-padding="40">…</nav>
+ *     <img data-network-obstacle="circle" data-obstacle-strength="2" src="logo.svg">
+ *
+ * The attribute value picks the shape: "rect", "circle" or "roundrect".
+ * Empty means a rounded rect with the element's own border radius.
+ * data-obstacle-padding and data-obstacle-strength override the defaults
+ * (see obstacles.js). The tracker notices marked elements being added,
+ * removed, changed or resized and reports it through a callback.
+ */
+
+import { createObstacle } from './obstacles.js';
+
+const OBSTACLE_ATTRIBUTE = 'data-network-obstacle';
+const OBSTACLE_SELECTOR = `[${OBSTACLE_ATTRIBUTE}]`;
+const OBSTACLE_SETTINGS = ['data-obstacle-padding', 'data-obstacle-strength'];
+
+// Last error logged for each element, so a bad attribute is reported once
+// rather than on every refresh until it is changed
+const reportedErrors = new WeakMap();
+
+/**
+ * Parse a non-negative number attribute
+ * @param {Element} element - Element to read from
+ * @param {string} name - Attribute name
+ * @returns {number|undefined} Parsed value, undefined if missing or invalid
+ */
+function readNumberAttribute(element, name) {
+    const value = Number.parseFloat(element.getAttribute(name));
+    return Number.isFinite(value) && value >= 0 ? value : undefined;
+}
+
+/**
+ * Corner radius of an element in screen pixels
+ * @param {Element} element - Element to read from
+ * @param {DOMRect} rect - Bounding rectangle of the element
+ * @returns {number} Top left border radius, percentages resolved
+ */
+function readCornerRadius(element, rect) {
+    const value = window.getComputedStyle(element).borderTopLeftRadius || '';
+    const radius = Number.parseFloat(value) || 0;
+    return value.endsWith('%') ? radius / 100 * Math.min(rect.width, rect.height) : radius;
+}
+
+/**
+ * Turn an element into an obstacle in world coordinates
+ * Hidden or empty elements take up no space and give no obstacle. An invalid
+ * element is logged once and skipped until its attributes change.
+ * @param {Element} element - Element to read
+ * @param {DOMRect} canvasRect - Bounding rectangle of the canvas
+ * @param {Camera} camera - Camera mapping screen to world coordinates
+ * @returns {Object|null} Obstacle, or null for an element without a box
+ */
+function readElementObstacle(element, canvasRect, camera) {
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+    
+    // Relative to the canvas, which is not at the page origin when embedded
+    const topLeft = camera.screenToWorld(rect.left - canvasRect.left, rect.top - canvasRect.top);
+    const width = rect.width / camera.zoom;
+    const height = rect.height / camera.zoom;
+    const shape = element.getAttribute(OBSTACLE_ATTRIBUTE) || 'roundrect';
+    
+    const spec = {
+        shape,
+        x: topLeft.x,
+        y: topLeft.y,
+        width,
+        height,
+        padding: readNumberAttribute(element, 'data-obstacle-padding'),
+        strength: readNumberAttribute(element, 'data-obstacle-strength')
+    };
+    
+    if (shape === 'circle') {
+        spec.x += width / 2;
+        spec.y += height / 2;
+        spec.radius = Math.max(width, height) / 2;
+    } else if (shape === 'roundrect') {
+        spec.cornerRadius = readCornerRadius(element, rect) / camera.zoom;
+    }
+    
+    try {
+        const obstacle = createObstacle(spec);
+        reportedErrors.delete(element);
+        return obstacle;
+    } catch (error) {
+        if (reportedErrors.get(element) !== error.message) {
+            reportedErrors.set(element, error.message);
+            console.error(`Ignoring obstacle element: ${error.message}`, element);
+        }
+        return null;
+    }
+}
+
+/**
+ * Live list of marked obstacle elements below a root
+ */
+class ObstacleTracker {
+    /**
+     * Start watching a root for marked elements
+     * @param {Element|Document|null} root - Subtree to search, null to watch only elements passed to track
+     * @param {Function} onChange - Called when an element was added, removed, changed or resized
+     */
+    constructor(root, onChange) {
+        this.root = root;
+        this.onChange = onChange;
+        this.elements = []; // Marked elements below the root
+        this.extraElements = []; // Elements tracked through track, e.g. the content element
+        
+        // Older browsers only get the periodic refresh of the view
+        this.resizeObserver = typeof ResizeObserver !== 'undefined'
+            ? new ResizeObserver(() => this.onChange())
+            : null;
+        this.mutationObserver = root && typeof MutationObserver !== 'undefined'
+            ? new MutationObserver(records => this.handleMutations(records))
+            : null;
+        
+        if (this.mutationObserver) {
+            this.mutationObserver.observe(root, {
+                subtree: true,
+                childList: true,
+                attributes: true,
+                attributeFilter: [OBSTACLE_ATTRIBUTE, ...OBSTACLE_SETTINGS]
+            });
+        }
+        this.scan();
+    }
+    
+    /**
+     * Also watch an element that is not marked, like the view's content element
+     * @param {Element} element - Element to watch for size changes
+     */
+    track(element) {
+        this.extraElements.push(element);
+        if (this.resizeObserver) {
+            this.resizeObserver.observe(element);
+        }
+    }
+    
+    /**
+     * Find the marked elements below the root again
+     */
+    scan() {
+        const previous = this.elements;
+        this.elements = this.root ? Array.from(this.root.querySelectorAll(OBSTACLE_SELECTOR)) : [];
+        
+        if (this.resizeObserver) {
+            previous.forEach(element => {
+                if (!this.elements.includes(element) && !this.extraElements.includes(element)) {
+                    this.resizeObserver.unobserve(element);
+                }
+            });
+            this.elements.forEach(element => {
+                if (!previous.includes(element)) {
+                    this.resizeObserver.observe(element);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Rescan when marked elements or their settings changed
+     * @param {Array<MutationRecord>} records - Mutations since the last call
+     */
+    handleMutations(records) {
+        const relevant = records.some(record => record.type === 'attributes' ||
+            Array.from(record.addedNodes).some(isObstacleSubtree) ||
+            Array.from(record.removedNodes).some(isObstacleSubtree));
+        
+        if (relevant) {
+            this.scan();
+            this.onChange();
+        }
+    }
+    
+    /**
+     * Stop watching
+     */
+    disconnect() {
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        this.elements = [];
+        this.extraElements = [];
+    }
+}
+
+/**
+ * Whether an added or removed DOM node is or contains a marked element
+ * @param {Node} domNode - DOM node from a mutation record
+ * @returns {boolean} True if obstacles may have changed
+ */
+function isObstacleSubtree(domNode) {
+    if (domNode.nodeType !== 1) return false;
+    return domNode.matches(OBSTACLE_SELECTOR) || domNode.querySelector(OBSTACLE_SELECTOR) !== null;
+}
+
+export { ObstacleTracker, readElementObstacle, OBSTACLE_ATTRIBUTE };
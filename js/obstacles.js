@@ -0,0 +1,208 @@
+/**
+ * obstacles.js - Keep-out regions for the layout
+ *
+ * Obstacles are rectangles, rounded rectangles and circles that nodes are
+ * pushed away from, each with its own padding and strength. Internally every
+ * shape is a rounded rectangle around a centre (a circle is a square with
+ * fully rounded corners), so one signed distance function serves all of them.
+ * Obstacles are plain objects and can be posted to the layout worker.
+ *
+ * Obstacle specs, in world coordinates:
+ *     { shape: 'rect', x: 100, y: 80, width: 400, height: 200 }
+ *     { shape: 'roundrect', x: 100, y: 80, width: 400, height: 200, cornerRadius: 15 }
+ *     { shape: 'circle', x: 600, y: 300, radius: 80, padding: 10, strength: 2 }
+ * x/y are the top-left corner of rectangles and the centre of circles.
+ */
+
+const OBSTACLE_SHAPES = ['rect', 'roundrect', 'circle'];
+
+// Space kept free around an obstacle, and the multiplier of its push
+const DEFAULT_OBSTACLE_PADDING = 20;
+const DEFAULT_OBSTACLE_STRENGTH = 1;
+
+/**
+ * Check an obstacle spec
+ * @param {Object} spec - Obstacle spec
+ * @returns {Array<string>} Problems, empty if valid
+ */
+function validateObstacle(spec) {
+    if (!spec || typeof spec !== 'object') {
+        return ['obstacle must be an object'];
+    }
+    
+    const problems = [];
+    const shape = spec.shape === undefined ? 'rect' : spec.shape;
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    
+    if (!OBSTACLE_SHAPES.includes(shape)) {
+        problems.push(`unknown shape "${shape}" (expected ${OBSTACLE_SHAPES.join(', ')})`);
+    }
+    if (!isNumber(spec.x) || !isNumber(spec.y)) {
+        problems.push('x and y must be numbers');
+    }
+    if (shape === 'circle') {
+        if (!isNumber(spec.radius) || spec.radius < 0) {
+            problems.push('radius must be a number of at least 0');
+        }
+    } else if (!isNumber(spec.width) || !isNumber(spec.height) || spec.width < 0 || spec.height < 0) {
+        problems.push('width and height must be numbers of at least 0');
+    }
+    ['cornerRadius', 'padding', 'strength'].forEach(name => {
+        if (spec[name] !== undefined && (!isNumber(spec[name]) || spec[name] < 0)) {
+            problems.push(`${name} must be a number of at least 0`);
+        }
+    });
+    
+    return problems;
+}
+
+/**
+ * Turn a spec into an obstacle
+ * @param {Object} spec - Obstacle spec, see the module comment
+ * @returns {Object} Obstacle with centre, half sizes, corner radius, padding and strength
+ * @throws {Error} If the spec is invalid
+ */
+function createObstacle(spec) {
+    const problems = validateObstacle(spec);
+    if (problems.length > 0) {
+        throw new Error(`Invalid obstacle: ${problems.join(', ')}`);
+    }
+    
+    const shape = spec.shape || 'rect';
+    const obstacle = {
+        shape,
+        cx: spec.x,
+        cy: spec.y,
+        halfWidth: 0,
+        halfHeight: 0,
+        cornerRadius: 0,
+        padding: spec.padding !== undefined ? spec.padding : DEFAULT_OBSTACLE_PADDING,
+        strength: spec.strength !== undefined ? spec.strength : DEFAULT_OBSTACLE_STRENGTH
+    };
+    
+    if (shape === 'circle') {
+        obstacle.halfWidth = spec.radius;
+        obstacle.halfHeight = spec.radius;
+        obstacle.cornerRadius = spec.radius;
+    } else {
+        obstacle.cx = spec.x + spec.width / 2;
+        obstacle.cy = spec.y + spec.height / 2;
+        obstacle.halfWidth = spec.width / 2;
+        obstacle.halfHeight = spec.height / 2;
+        if (shape === 'roundrect') {
+            obstacle.cornerRadius = Math.min(spec.cornerRadius || 0, obstacle.halfWidth, obstacle.halfHeight);
+        }
+    }
+    
+    return obstacle;
+}
+
+/**
+ * Signed distance from a point to the outline of an obstacle (padding not included)
+ * @param {Object} obstacle - Obstacle
+ * @param {number} x - Point X
+ * @param {number} y - Point Y
+ * @param {Object} normal - Receives the unit direction pointing out of the obstacle as { x, y }
+ * @returns {number} Distance, negative inside the obstacle
+ */
+function getObstacleDistance(obstacle, x, y, normal) {
+    const px = x - obstacle.cx;
+    const py = y - obstacle.cy;
+    const signX = px >= 0 ? 1 : -1;
+    const signY = py >= 0 ? 1 : -1;
+    const radius = obstacle.cornerRadius;
+    
+    // Distance beyond the straight part of each side
+    const qx = Math.abs(px) - (obstacle.halfWidth - radius);
+    const qy = Math.abs(py) - (obstacle.halfHeight - radius);
+    
+    if (qx > 0 || qy > 0) {
+        // Beside a side or around a corner
+        const mx = Math.max(qx, 0);
+        const my = Math.max(qy, 0);
+        const length = Math.sqrt(mx * mx + my * my);
+        normal.x = signX * mx / length;
+        normal.y = signY * my / length;
+        return length - radius;
+    }
+    
+    // Deep inside: out through the nearest side
+    if (qx >= qy) {
+        normal.x = signX;
+        normal.y = 0;
+    } else {
+        normal.x = 0;
+        normal.y = signY;
+    }
+    return Math.max(qx, qy) - radius;
+}
+
+/**
+ * Move target positions of a layout out of the padded obstacles
+ * @param {Float32Array} targets - Positions as [x0, y0, x1, y1, ...], changed in place
+ * @param {Array|null} obstacles - Obstacles to keep clear
+ */
+function moveOutOfObstacles(targets, obstacles) {
+    if (!obstacles) return;
+    
+    const normal = { x: 0, y: 0 };
+    for (let i = 0; i < targets.length; i += 2) {
+        obstacles.forEach(obstacle => {
+            const distance = getObstacleDistance(obstacle, targets[i], targets[i + 1], normal) - obstacle.padding;
+            if (distance < 0) {
+                targets[i] -= normal.x * distance;
+                targets[i + 1] -= normal.y * distance;
+            }
+        });
+    }
+}
+
+/**
+ * Add the outline of an obstacle to the current path
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {Object} obstacle - Obstacle
+ */
+function traceObstacle(ctx, obstacle) {
+    const left = obstacle.cx - obstacle.halfWidth;
+    const right = obstacle.cx + obstacle.halfWidth;
+    const top = obstacle.cy - obstacle.halfHeight;
+    const bottom = obstacle.cy + obstacle.halfHeight;
+    const radius = obstacle.cornerRadius;
+    
+    ctx.moveTo(left + radius, top);
+    ctx.arc(right - radius, top + radius, radius, -Math.PI / 2, 0);
+    ctx.arc(right - radius, bottom - radius, radius, 0, Math.PI / 2);
+    ctx.arc(left + radius, bottom - radius, radius, Math.PI / 2, Math.PI);
+    ctx.arc(left + radius, top + radius, radius, Math.PI, Math.PI * 1.5);
+    ctx.closePath();
+}
+
+/**
+ * Compare two obstacle lists
+ * @param {Array|null} a - Obstacles
+ * @param {Array|null} b - Obstacles
+ * @returns {boolean} True if both hold the same obstacles
+ */
+function sameObstacles(a, b) {
+    if (a === b) return true;
+    if (!a || !b || a.length !== b.length) return false;
+    
+    return a.every((obstacle, i) => {
+        const other = b[i];
+        return obstacle.shape === other.shape &&
+            obstacle.cx === other.cx && obstacle.cy === other.cy &&
+            obstacle.halfWidth === other.halfWidth && obstacle.halfHeight === other.halfHeight &&
+            obstacle.cornerRadius === other.cornerRadius &&
+            obstacle.padding === other.padding && obstacle.strength === other.strength;
+    });
+}
+
+export {
+    createObstacle,
+    validateObstacle,
+    getObstacleDistance,
+    moveOutOfObstacles,
+    traceObstacle,
+    sameObstacles,
+    DEFAULT_OBSTACLE_PADDING
+};
@@ -0,0 +1,45 @@
+/**
+ * pause-button.js - Visible control to stop and restart the animation
+ *
+ * Content that moves by itself needs a way to stop it. The button only shows
+ * and requests the paused state; the view does the pausing.
+ */
+
+/**
+ * DOM button toggling the animation of one view
+ */
+class PauseButton {
+    /**
+     * Create the button and add it to the page
+     * @param {Function} onToggle - Called when the button is pressed
+     * @param {HTMLElement} [container] - Element to append the button to
+     */
+    constructor(onToggle, container = document.body) {
+        this.element = document.createElement('button');
+        this.element.type = 'button';
+        this.element.className = 'network-pause';
+        this.element.addEventListener('click', () => onToggle());
+        
+        this.setPaused(false);
+        container.appendChild(this.element);
+    }
+    
+    /**
+     * Show the state of the animation
+     * @param {boolean} paused - True while the animation is stopped
+     */
+    setPaused(paused) {
+        this.element.textContent = paused ? 'Play' : 'Pause';
+        this.element.title = paused ? 'Play the animation (P)' : 'Pause the animation (P)';
+        this.element.setAttribute('aria-label', paused ? 'Play animation' : 'Pause animation');
+    }
+    
+    /**
+     * Remove the button from the page
+     */
+    destroy() {
+        this.element.remove();
+    }
+}
+
+export { PauseButton };
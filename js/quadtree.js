@@ -0,0 +1,149 @@
+/**
+ * quadtree.js - Point quadtree with centre-of-mass aggregates
+ *
+ * Used by the force layout for the Barnes–Hut repulsion approximation
+ */
+
+// Cells deeper than this keep all their points instead of splitting further,
+// which guards against endless subdivision when points coincide
+const MAX_DEPTH = 16;
+
+/**
+ * A square cell of the quadtree
+ */
+class QuadCell {
+    /**
+     * Create a cell
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} size - Side length
+     * @param {number} depth - Depth in the tree (root is 0)
+     */
+    constructor(x, y, size, depth) {
+        this.x = x;
+        this.y = y;
+        this.size = size;
+        this.depth = depth;
+        
+        // Points stored directly in this cell (leaves only)
+        this.points = [];
+        // Child cells in NW, NE, SW, SE order, null while this is a leaf
+        this.children = null;
+        
+        // Aggregates filled in by computeMass()
+        this.mass = 0;
+        this.cx = 0;
+        this.cy = 0;
+    }
+    
+    /**
+     * Insert a point into this cell or one of its children
+     * @param {Object} point - Object with x and y properties
+     */
+    insert(point) {
+        if (this.children) {
+            this.childFor(point).insert(point);
+            return;
+        }
+        
+        this.points.push(point);
+        
+        if (this.points.length > 1 && this.depth < MAX_DEPTH) {
+            this.subdivide();
+        }
+    }
+    
+    /**
+     * Split this leaf into four children and move its points down
+     */
+    subdivide() {
+        const half = this.size / 2;
+        const depth = this.depth + 1;
+        
+        this.children = [
+            new QuadCell(this.x, this.y, half, depth),
+            new QuadCell(this.x + half, this.y, half, depth),
+            new QuadCell(this.x, this.y + half, half, depth),
+            new QuadCell(this.x + half, this.y + half, half, depth)
+        ];
+        
+        const points = this.points;
+        this.points = [];
+        points.forEach(point => this.childFor(point).insert(point));
+    }
+    
+    /**
+     * Find the child cell that contains a point
+     * @param {Object} point - Object with x and y properties
+     * @returns {QuadCell} Child cell
+     */
+    childFor(point) {
+        const half = this.size / 2;
+        const east = point.x >= this.x + half ? 1 : 0;
+        const south = point.y >= this.y + half ? 2 : 0;
+        return this.children[east + south];
+    }
+    
+    /**
+     * Compute mass and centre of mass for this cell and its children
+     * Every point counts as unit mass
+     */
+    computeMass() {
+        let mass = 0;
+        let sumX = 0;
+        let sumY = 0;
+        
+        if (this.children) {
+            this.children.forEach(child => {
+                child.computeMass();
+                mass += child.mass;
+                sumX += child.cx * child.mass;
+                sumY += child.cy * child.mass;
+            });
+        } else {
+            this.points.forEach(point => {
+                mass += 1;
+                sumX += point.x;
+                sumY += point.y;
+            });
+        }
+        
+        this.mass = mass;
+        this.cx = mass > 0 ? sumX / mass : 0;
+        this.cy = mass > 0 ? sumY / mass : 0;
+    }
+}
+
+/**
+ * Build a quadtree over a set of points
+ * @param {Array} points - Objects with x and y properties
+ * @returns {QuadCell} Root cell with mass aggregates computed
+ */
+function buildQuadTree(points) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    
+    points.forEach(point => {
+        if (point.x < minX) minX = point.x;
+        if (point.y < minY) minY = point.y;
+        if (point.x > maxX) maxX = point.x;
+        if (point.y > maxY) maxY = point.y;
+    });
+    
+    if (points.length === 0) {
+        minX = minY = maxX = maxY = 0;
+    }
+    
+    // Square root cell, slightly enlarged so points on the far edge fit
+    const size = Math.max(maxX - minX, maxY - minY, 1) * 1.0001;
+    const root = new QuadCell(minX, minY, size, 0);
+    
+    points.forEach(point => root.insert(point));
+    root.computeMass();
+    
+    return root;
+}
+
+export { QuadCell, buildQuadTree };
@@ -0,0 +1,463 @@
+/**
+ * radial-layout.js - Ring-based layouts
+ *
+ * Radial: sources in the middle, every other node on a ring by its graph
+ * distance from the nearest source. Circular: all nodes on one ring, ordered
+ * so that few edges cross.
+ *
+ * Rings are ellipses fitted to the canvas. Obstacles over the middle of the
+ * canvas, like the hero text, push the innermost ring out around them. Rings
+ * keep a minimum distance from each other, neighbouring rings merge when there
+ * is no room for that, and nodes are spread over the parts of a ring that no
+ * obstacle covers. Like the layered layout, both return target positions for
+ * applyTargetLayout.
+ */
+
+import { getObstacleDistance, moveOutOfObstacles } from './obstacles.js';
+
+// Reordering passes of the circular layout, and the edge count above which
+// crossings are no longer counted (counting is quadratic in the edges)
+const CIRCULAR_PASSES = 10;
+const MAX_COUNTED_EDGES = 1500;
+
+// Largest share of the outer ring the obstacle clearance may take
+const MAX_CLEARANCE = 0.9;
+
+// Smallest distance between rings (pixels, along the shorter radius)
+const MIN_RING_SPACING = 40;
+
+// Points per ring tested against the obstacles when looking for free arcs
+const ARC_SAMPLES = 360;
+
+/**
+ * Compute radial target positions
+ * @param {Array} nodes - Array of Node objects
+ * @param {number} width - Layout width
+ * @param {number} height - Layout height
+ * @param {Object} [options] - Layout options
+ * @param {Array|null} [options.obstacles] - Obstacles to keep the rings clear of
+ * @param {number} [options.padding=60] - Space kept free at the canvas edges
+ * @returns {Float32Array} Target positions as [x0, y0, x1, y1, ...], in node order
+ */
+function computeRadialLayout(nodes, width, height, options = {}) {
+    const targets = new Float32Array(nodes.length * 2);
+    if (nodes.length === 0) return targets;
+    
+    const ring = getRingGeometry(width, height, options);
+    const { outgoing, incoming } = getAdjacency(nodes);
+    const rings = groupByDistance(nodes, outgoing, incoming);
+    const angles = new Float64Array(nodes.length).fill(NaN);
+    const radii = getRingRadii(rings.length - 1, rings[0].length, ring);
+    
+    rings.forEach((members, depth) => {
+        // Each node heads for the direction of the nodes that lead to it
+        const desired = members.map(index => {
+            const inner = incoming[index].filter(other => !Number.isNaN(angles[other]));
+            const placed = inner.length > 0
+                ? inner
+                : outgoing[index].filter(other => !Number.isNaN(angles[other]));
+            return circularMean(placed.map(other => angles[other]));
+        });
+        spreadAngles(members, desired, angles);
+    });
+    
+    // Merged rings hold several groups; each ring is spread as a whole
+    const byRadius = new Map();
+    rings.forEach((members, depth) => {
+        const radius = radii[depth];
+        if (!byRadius.has(radius)) {
+            byRadius.set(radius, []);
+        }
+        byRadius.get(radius).push(members);
+    });
+    
+    byRadius.forEach((groups, radius) => {
+        const members = [].concat(...groups);
+        fitToFreeArcs(members, angles, radius, ring, options.obstacles, groups.length > 1);
+        members.forEach(index => {
+            targets[index * 2] = ring.cx + Math.cos(angles[index]) * radius * ring.rx;
+            targets[index * 2 + 1] = ring.cy + Math.sin(angles[index]) * radius * ring.ry;
+        });
+    });
+    
+    // Rings an obstacle covers completely
+    moveOutOfObstacles(targets, options.obstacles);
+    return targets;
+}
+
+/**
+ * Compute circular target positions
+ * @param {Array} nodes - Array of Node objects
+ * @param {number} width - Layout width
+ * @param {number} height - Layout height
+ * @param {Object} [options] - Layout options, as for computeRadialLayout
+ * @returns {Float32Array} Target positions as [x0, y0, x1, y1, ...], in node order
+ */
+function computeCircularLayout(nodes, width, height, options = {}) {
+    const targets = new Float32Array(nodes.length * 2);
+    if (nodes.length === 0) return targets;
+    
+    const ring = getRingGeometry(width, height, options);
+    const { outgoing, incoming } = getAdjacency(nodes);
+    const neighbours = nodes.map((node, i) => outgoing[i].concat(incoming[i]));
+    const order = orderAroundRing(nodes, neighbours);
+    
+    // The outer ring, leaving out what obstacles reaching that far cover
+    const angles = new Float64Array(nodes.length);
+    order.forEach((index, i) => {
+        angles[index] = -Math.PI / 2 + (i / order.length) * Math.PI * 2;
+    });
+    fitToFreeArcs(order, angles, 1, ring, options.obstacles, false);
+    order.forEach(index => {
+        targets[index * 2] = ring.cx + Math.cos(angles[index]) * ring.rx;
+        targets[index * 2 + 1] = ring.cy + Math.sin(angles[index]) * ring.ry;
+    });
+    
+    moveOutOfObstacles(targets, options.obstacles);
+    return targets;
+}
+
+/**
+ * Centre and radii of the outer ring, and how far out the innermost ring has to start
+ * @param {number} width - Layout width
+ * @param {number} height - Layout height
+ * @param {Object} options - Layout options with obstacles and padding
+ * @returns {Object} cx, cy, rx, ry and clearance as a share of the outer ring
+ */
+function getRingGeometry(width, height, options) {
+    const padding = options.padding !== undefined ? options.padding : 60;
+    const cx = width / 2;
+    const cy = height / 2;
+    const rx = Math.max(width / 2 - Math.min(padding, width / 4), 1);
+    const ry = Math.max(height / 2 - Math.min(padding, height / 4), 1);
+    
+    // Obstacles covering the middle: the ring must pass outside all their padded corners
+    let clearance = 0;
+    const normal = { x: 0, y: 0 };
+    (options.obstacles || []).forEach(obstacle => {
+        if (getObstacleDistance(obstacle, cx, cy, normal) - obstacle.padding >= 0) return;
+        
+        const halfWidth = obstacle.halfWidth + obstacle.padding;
+        const halfHeight = obstacle.halfHeight + obstacle.padding;
+        const u = (Math.abs(obstacle.cx - cx) + halfWidth) / rx;
+        const v = (Math.abs(obstacle.cy - cy) + halfHeight) / ry;
+        clearance = Math.max(clearance, Math.sqrt(u * u + v * v));
+    });
+    
+    return { cx, cy, rx, ry, clearance: Math.min(clearance, MAX_CLEARANCE) };
+}
+
+/**
+ * Radius of every ring as a share of the outer ring
+ * Rings closer than MIN_RING_SPACING are merged, so several depths may share a radius.
+ * @param {number} lastRing - Index of the outermost ring
+ * @param {number} sourceCount - Number of nodes on the innermost ring
+ * @param {Object} ring - Ring geometry from getRingGeometry
+ * @returns {Array<number>} Radius between 0 and 1 per ring index
+ */
+function getRingRadii(lastRing, sourceCount, ring) {
+    // Innermost ring just outside the obstacles; a lone source sits right in the middle
+    let first = 0;
+    if (ring.clearance > 0) {
+        first = ring.clearance;
+    } else if (sourceCount > 1) {
+        first = lastRing > 0 ? 1 / (lastRing + 1) : 0.5;
+    }
+    
+    // Gaps between the radii that fit, at least MIN_RING_SPACING apart
+    const room = (1 - first) * Math.min(ring.rx, ring.ry);
+    const gaps = Math.min(lastRing, Math.floor(room / MIN_RING_SPACING));
+    
+    const radii = [];
+    for (let depth = 0; depth <= lastRing; depth++) {
+        const slot = lastRing > 0 ? Math.round(depth * gaps / lastRing) : 0;
+        radii.push(gaps > 0 ? first + (1 - first) * slot / gaps : (lastRing > 0 ? (1 + first) / 2 : first));
+    }
+    return radii;
+}
+
+/**
+ * Move the nodes of a ring onto the arcs no obstacle covers
+ * Nodes keep their order around the ring and are spaced evenly over the free
+ * arcs. A ring without obstacles on it is left alone unless it was merged,
+ * whose groups were spread separately and may overlap.
+ * @param {Array} members - Node indices on the ring
+ * @param {Float64Array} angles - Angle per node, changed in place
+ * @param {number} radius - Ring radius as a share of the outer ring
+ * @param {Object} ring - Ring geometry from getRingGeometry
+ * @param {Array|null} obstacles - Obstacles to keep clear
+ * @param {boolean} merged - The ring holds several spread groups
+ */
+function fitToFreeArcs(members, angles, radius, ring, obstacles, merged) {
+    if (members.length === 0) return;
+    
+    const step = (Math.PI * 2) / ARC_SAMPLES;
+    const normal = { x: 0, y: 0 };
+    const free = new Uint8Array(ARC_SAMPLES);
+    for (let i = 0; i < ARC_SAMPLES; i++) {
+        const x = ring.cx + Math.cos(i * step) * radius * ring.rx;
+        const y = ring.cy + Math.sin(i * step) * radius * ring.ry;
+        free[i] = (obstacles || []).every(obstacle =>
+            getObstacleDistance(obstacle, x, y, normal) - obstacle.padding >= 0) ? 1 : 0;
+    }
+    
+    const blockedAt = free.indexOf(0);
+    if (blockedAt === -1 && !merged) return;
+    
+    // Free arcs as [start, end] sample angles, scanning from a covered sample so none wraps
+    const arcs = [];
+    if (blockedAt === -1) {
+        arcs.push([0, Math.PI * 2 - step]);
+    } else {
+        let start = -1;
+        for (let n = 1; n <= ARC_SAMPLES; n++) {
+            const i = blockedAt + n;
+            if (free[i % ARC_SAMPLES] && start === -1) {
+                start = i;
+            } else if (!free[i % ARC_SAMPLES] && start !== -1) {
+                arcs.push([start * step, (i - 1) * step]);
+                start = -1;
+            }
+        }
+    }
+    
+    if (arcs.length === 0) return;
+    const total = arcs.reduce((sum, [start, end]) => sum + end - start, 0);
+    
+    // Order around the ring, starting where the first free arc begins
+    const origin = arcs[0][0];
+    const order = members.slice().sort((a, b) =>
+        normalizeAngle(angles[a] - origin) - normalizeAngle(angles[b] - origin));
+    
+    order.forEach((index, k) => {
+        let along = total > 0 ? (k + 0.5) / order.length * total : 0;
+        for (const [start, end] of arcs) {
+            if (along <= end - start) {
+                angles[index] = start + along;
+                return;
+            }
+            along -= end - start;
+        }
+        angles[index] = arcs[arcs.length - 1][1];
+    });
+}
+
+/**
+ * Outgoing and incoming neighbours of every node, as indices
+ * @param {Array} nodes - Array of Node objects
+ * @returns {Object} outgoing and incoming arrays of index arrays
+ */
+function getAdjacency(nodes) {
+    const indices = new Map();
+    nodes.forEach((node, i) => indices.set(node, i));
+    
+    const outgoing = nodes.map(() => []);
+    const incoming = nodes.map(() => []);
+    nodes.forEach((node, from) => {
+        node.connections.forEach(connected => {
+            const to = indices.get(connected);
+            if (to === undefined || to === from) return;
+            outgoing[from].push(to);
+            incoming[to].push(from);
+        });
+    });
+    
+    return { outgoing, incoming };
+}
+
+/**
+ * Group nodes by their distance from the nearest source
+ * Nodes no source reaches go on one ring outside all others.
+ * @param {Array} nodes - Array of Node objects
+ * @param {Array} outgoing - Outgoing neighbours per node
+ * @param {Array} incoming - Incoming neighbours per node
+ * @returns {Array} Rings as arrays of node indices, the sources first
+ */
+function groupByDistance(nodes, outgoing, incoming) {
+    let roots = nodes.map((node, i) => i).filter(i => nodes[i].type === 'source');
+    if (roots.length === 0) {
+        roots = nodes.map((node, i) => i).filter(i => incoming[i].length === 0);
+    }
+    if (roots.length === 0) {
+        roots = [0];
+    }
+    
+    const depth = new Int32Array(nodes.length).fill(-1);
+    roots.forEach(root => { depth[root] = 0; });
+    
+    // Breadth-first along the edges, so distance follows the flow
+    const queue = roots.slice();
+    for (let head = 0; head < queue.length; head++) {
+        const from = queue[head];
+        outgoing[from].forEach(to => {
+            if (depth[to] === -1) {
+                depth[to] = depth[from] + 1;
+                queue.push(to);
+            }
+        });
+    }
+    
+    const rings = [];
+    const unreached = [];
+    depth.forEach((d, index) => {
+        if (d === -1) {
+            unreached.push(index);
+            return;
+        }
+        while (rings.length <= d) rings.push([]);
+        rings[d].push(index);
+    });
+    if (unreached.length > 0) {
+        rings.push(unreached);
+    }
+    
+    return rings;
+}
+
+/**
+ * Spread the nodes of a ring evenly, in the order of the angles they head for
+ * @param {Array} members - Node indices on the ring
+ * @param {Array<number>} desired - Preferred angle per member, NaN for none
+ * @param {Float64Array} angles - Receives the angle of each node
+ */
+function spreadAngles(members, desired, angles) {
+    const order = members.map((index, i) => i);
+    
+    // Nodes without a preference keep their place after the others
+    order.sort((a, b) => {
+        const aFree = Number.isNaN(desired[a]);
+        const bFree = Number.isNaN(desired[b]);
+        if (aFree || bFree) return aFree - bFree;
+        return normalizeAngle(desired[a]) - normalizeAngle(desired[b]);
+    });
+    
+    // Rotate the even spacing to match the preferred angles as well as possible
+    const step = (Math.PI * 2) / members.length;
+    const offsets = [];
+    order.forEach((member, slot) => {
+        if (!Number.isNaN(desired[member])) {
+            offsets.push(desired[member] - slot * step);
+        }
+    });
+    const offset = offsets.length > 0 ? circularMean(offsets) : -Math.PI / 2;
+    
+    order.forEach((member, slot) => {
+        angles[members[member]] = offset + slot * step;
+    });
+}
+
+/**
+ * Order nodes around a single ring so that few edges cross
+ * Starts from a breadth-first walk, which keeps neighbours close, then
+ * repeatedly sorts nodes by the mean angle of their neighbours.
+ * @param {Array} nodes - Array of Node objects
+ * @param {Array} neighbours - Neighbours per node, in both directions
+ * @returns {Array} Node indices in ring order
+ */
+function orderAroundRing(nodes, neighbours) {
+    const visited = new Uint8Array(nodes.length);
+    const order = [];
+    const starts = nodes.map((node, i) => i)
+        .sort((a, b) => (nodes[a].type === 'source' ? 0 : 1) - (nodes[b].type === 'source' ? 0 : 1));
+    
+    starts.forEach(start => {
+        if (visited[start]) return;
+        visited[start] = 1;
+        for (let head = order.push(start) - 1; head < order.length; head++) {
+            neighbours[order[head]].forEach(other => {
+                if (!visited[other]) {
+                    visited[other] = 1;
+                    order.push(other);
+                }
+            });
+        }
+    });
+    
+    const edgeCount = neighbours.reduce((sum, list) => sum + list.length, 0) / 2;
+    if (edgeCount > MAX_COUNTED_EDGES) return order;
+    
+    let best = order;
+    let bestCrossings = countRingCrossings(order, neighbours);
+    let current = order;
+    const angles = new Float64Array(nodes.length);
+    
+    for (let pass = 0; pass < CIRCULAR_PASSES && bestCrossings > 0; pass++) {
+        current.forEach((index, slot) => { angles[index] = (slot / current.length) * Math.PI * 2; });
+        const desired = new Float64Array(nodes.length);
+        current.forEach(index => {
+            const mean = circularMean(neighbours[index].map(other => angles[other]));
+            desired[index] = Number.isNaN(mean) ? angles[index] : normalizeAngle(mean);
+        });
+        
+        current = current.slice().sort((a, b) => desired[a] - desired[b]);
+        const crossings = countRingCrossings(current, neighbours);
+        if (crossings < bestCrossings) {
+            bestCrossings = crossings;
+            best = current;
+        }
+    }
+    
+    return best;
+}
+
+/**
+ * Count crossing chords of nodes placed around a ring
+ * @param {Array} order - Node indices in ring order
+ * @param {Array} neighbours - Neighbours per node, in both directions
+ * @returns {number} Number of crossings
+ */
+function countRingCrossings(order, neighbours) {
+    const slot = new Int32Array(order.length);
+    order.forEach((index, i) => { slot[index] = i; });
+    
+    // Each edge once, as a chord from the lower to the higher slot
+    const chords = [];
+    order.forEach(index => {
+        neighbours[index].forEach(other => {
+            if (slot[index] < slot[other]) {
+                chords.push([slot[index], slot[other]]);
+            }
+        });
+    });
+    
+    let crossings = 0;
+    for (let i = 0; i < chords.length; i++) {
+        const [a, b] = chords[i];
+        for (let j = i + 1; j < chords.length; j++) {
+            const [c, d] = chords[j];
+            if ((a < c && c < b && b < d) || (c < a && a < d && d < b)) {
+                crossings++;
+            }
+        }
+    }
+    return crossings;
+}
+
+/**
+ * Mean direction of a set of angles
+ * @param {Array<number>} angles - Angles in radians
+ * @returns {number} Mean angle, NaN for an empty set
+ */
+function circularMean(angles) {
+    if (angles.length === 0) return NaN;
+    
+    let x = 0;
+    let y = 0;
+    angles.forEach(angle => {
+        x += Math.cos(angle);
+        y += Math.sin(angle);
+    });
+    return Math.atan2(y, x);
+}
+
+/**
+ * Bring an angle into the range [0, 2π)
+ * @param {number} angle - Angle in radians
+ * @returns {number} Equivalent angle
+ */
+function normalizeAngle(angle) {
+    const full = Math.PI * 2;
+    return ((angle % full) + full) % full;
+}
+
+export { computeRadialLayout, computeCircularLayout };
@@ -0,0 +1,60 @@
+/**
+ * random.js - Seedable pseudo-random number generator
+ *
+ * Provides reproducible randomness so a given seed always produces
+ * the same network topology and pulse sequence
+ */
+
+/**
+ * Create a seeded random generator (mulberry32)
+ * The returned function behaves like Math.random and exposes its seed
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    
+    const random = function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.seed = seed >>> 0;
+    
+    return random;
+}
+
+/**
+ * Turn a user supplied seed into a 32-bit integer
+ * Numeric strings are used as is, any other string is hashed (FNV-1a)
+ * @param {number|string} value - Seed value
+ * @returns {number|null} Integer seed or null if the value is empty
+ */
+function parseSeed(value) {
+    if (value === null || value === undefined || value === '') return null;
+    
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) {
+        return Math.floor(Math.abs(numeric)) >>> 0;
+    }
+    
+    let hash = 0x811C9DC5;
+    const text = String(value);
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Pick a fresh seed when none was requested
+ * @returns {number} Integer seed
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+export { createRandom, parseSeed, randomSeed };
@@ -0,0 +1,171 @@
+/**
+ * selection.js - Set of selected nodes and arrangements of them
+ *
+ * Clicking a node selects it, Shift+click adds or removes it and Shift+drag
+ * on empty space selects every node in the box. Dragging a selected node
+ * moves the whole selection, and the keyboard pins, aligns or distributes it
+ * (or deletes it in edit mode). Each node mirrors its membership in isSelected for drawing.
+ */
+
+// Edges the selection can be aligned to: [axis, pick the smallest or largest coordinate]
+const ALIGN_EDGES = {
+    left: ['x', Math.min],
+    right: ['x', Math.max],
+    top: ['y', Math.min],
+    bottom: ['y', Math.max]
+};
+
+const AXES = ['x', 'y'];
+
+/**
+ * Selected nodes of one view, notifying listeners when they change
+ */
+class Selection {
+    /**
+     * Create an empty selection
+     */
+    constructor() {
+        this.nodes = new Set();
+        
+        // Listeners notified when the selection changes (view events, edit toolbar)
+        this.listeners = [];
+    }
+    
+    /**
+     * Register a listener for selection changes
+     * @param {Function} listener - Called with the selection
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+    
+    /**
+     * Notify selection listeners
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+    
+    /**
+     * Number of selected nodes
+     * @returns {number} Count
+     */
+    count() {
+        return this.nodes.size;
+    }
+    
+    /**
+     * Check whether a node is selected
+     * @param {Node} node - Node to check
+     * @returns {boolean} True if selected
+     */
+    has(node) {
+        return this.nodes.has(node);
+    }
+    
+    /**
+     * Selected nodes in the order they were selected
+     * @returns {Array} Array of Node objects
+     */
+    getNodes() {
+        return Array.from(this.nodes);
+    }
+    
+    /**
+     * Select exactly the given nodes
+     * @param {Array} nodes - Nodes to select, empty to clear
+     */
+    set(nodes) {
+        const next = new Set(nodes);
+        if (next.size === this.nodes.size && nodes.every(node => this.nodes.has(node))) return;
+        
+        this.nodes.forEach(node => node.isSelected = false);
+        next.forEach(node => node.isSelected = true);
+        this.nodes = next;
+        this.notify();
+    }
+    
+    /**
+     * Add nodes to the selection
+     * @param {Array} nodes - Nodes to add
+     */
+    add(nodes) {
+        const added = nodes.filter(node => !this.nodes.has(node));
+        if (added.length === 0) return;
+        
+        added.forEach(node => {
+            node.isSelected = true;
+            this.nodes.add(node);
+        });
+        this.notify();
+    }
+    
+    /**
+     * Select a node, or deselect it if it is selected
+     * @param {Node} node - Node to toggle
+     */
+    toggle(node) {
+        if (this.nodes.has(node)) {
+            this.nodes.delete(node);
+            node.isSelected = false;
+        } else {
+            this.nodes.add(node);
+            node.isSelected = true;
+        }
+        this.notify();
+    }
+    
+    /**
+     * Deselect all nodes
+     */
+    clear() {
+        this.set([]);
+    }
+    
+    /**
+     * Deselect nodes that are no longer in the network
+     * @param {Array} nodes - Nodes of the network
+     */
+    prune(nodes) {
+        const present = new Set(nodes);
+        this.set(this.getNodes().filter(node => present.has(node)));
+    }
+}
+
+/**
+ * Line nodes up along one edge of their bounding box
+ * @param {Array} nodes - Nodes to move
+ * @param {string} edge - 'left', 'right', 'top' or 'bottom'
+ * @throws {Error} If the edge is unknown
+ */
+function alignNodes(nodes, edge) {
+    const alignment = ALIGN_EDGES[edge];
+    if (!alignment) {
+        throw new Error(`Unknown edge "${edge}" (expected ${Object.keys(ALIGN_EDGES).join(', ')})`);
+    }
+    
+    const [axis, pick] = alignment;
+    const value = pick(...nodes.map(node => node[axis]));
+    nodes.forEach(node => node[axis] = value);
+}
+
+/**
+ * Space nodes evenly along an axis, keeping the outermost two in place
+ * The order of the nodes along the axis doesn't change.
+ * @param {Array} nodes - Nodes to move
+ * @param {string} axis - 'x' or 'y'
+ * @throws {Error} If the axis is unknown
+ */
+function distributeNodes(nodes, axis) {
+    if (!AXES.includes(axis)) {
+        throw new Error(`Unknown axis "${axis}" (expected ${AXES.join(', ')})`);
+    }
+    if (nodes.length < 3) return;
+    
+    const sorted = nodes.slice().sort((a, b) => a[axis] - b[axis]);
+    const first = sorted[0][axis];
+    const step = (sorted[sorted.length - 1][axis] - first) / (sorted.length - 1);
+    sorted.forEach((node, i) => node[axis] = first + step * i);
+}
+
+export { Selection, alignNodes, distributeNodes };
@@ -0,0 +1,145 @@
+/**
+ * snapshot.js - PNG and SVG images of the network
+ *
+ * Renders the current frame off-screen at a size independent of the window,
+ * either to a canvas (PNG) or through SVGContext (SVG). Both go through the
+ * same drawing code as the live canvas.
+ */
+
+import { renderGrid, getViewSize } from './canvas.js';
+import { Camera, getNodeBounds } from './camera.js';
+import { SVGContext } from './svg-context.js';
+
+// Largest PNG side in device pixels; browsers refuse much larger canvases
+const MAX_PNG_SIZE = 8192;
+
+// Snapshot pixels kept around the graph when framing all nodes
+const GRAPH_PADDING = 40;
+
+/**
+ * Fill in snapshot options
+ * @param {Object} appState - Application state
+ * @param {Object} options - Options passed by the caller
+ * @returns {Object} Options with defaults
+ */
+function resolveOptions(appState, options) {
+    const view = getViewSize(appState.surface);
+    
+    return {
+        width: options.width || view.width,
+        height: options.height || view.height,
+        scale: options.scale || 1,
+        frame: options.frame || 'view',
+        pulses: options.pulses !== false,
+        labels: options.labels === true
+    };
+}
+
+/**
+ * Camera framing the snapshot
+ * 'view' keeps what is currently on screen, 'graph' fits all nodes
+ * @param {Object} appState - Application state
+ * @param {Object} options - Resolved snapshot options
+ * @returns {Camera} Camera for the snapshot
+ */
+function createSnapshotCamera(appState, options) {
+    const camera = new Camera({ minZoom: 1e-4, maxZoom: 1e4 });
+    const view = getViewSize(appState.surface);
+    
+    if (options.frame === 'graph' && appState.nodes.length > 0) {
+        camera.fitToBounds(getNodeBounds(appState.nodes), options.width, options.height, GRAPH_PADDING);
+    } else {
+        const bounds = appState.camera.getVisibleBounds(view.width, view.height);
+        camera.fitToBounds(bounds, options.width, options.height, 0);
+    }
+    
+    return camera;
+}
+
+/**
+ * Draw background, grid, edges, nodes and optionally pulses and labels
+ * @param {CanvasRenderingContext2D|SVGContext} ctx - Target context, in snapshot pixels
+ * @param {Array} nodes - Array of Node objects
+ * @param {Camera} camera - Snapshot camera
+ * @param {Object} options - Resolved snapshot options
+ * @param {Object} theme - Colours of the live canvas (see theme.js)
+ */
+function drawSnapshot(ctx, nodes, camera, options, theme) {
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, options.width, options.height);
+    
+    renderGrid(ctx, camera, options.width, options.height, theme);
+    
+    ctx.save();
+    camera.applyTransform(ctx);
+    
+    nodes.forEach(node => node.draw(ctx, options.pulses, theme));
+    
+    if (options.labels) {
+        nodes.forEach(node => node.connections.forEach(target => {
+            node.drawEdgeLabel(ctx, target, camera.zoom, theme);
+        }));
+        nodes.forEach(node => node.drawLabel(ctx, camera.zoom, theme));
+    }
+    
+    ctx.restore();
+}
+
+/**
+ * Render the network to a PNG image
+ * @param {Object} appState - Application state
+ * @param {Object} [options] - Snapshot options
+ * @param {number} [options.width] - Image width in CSS pixels, defaults to the canvas width
+ * @param {number} [options.height] - Image height in CSS pixels, defaults to the canvas height
+ * @param {number} [options.scale] - Device pixels per CSS pixel, e.g. 2 for a retina-sized image
+ * @param {string} [options.frame] - 'view' for what is on screen, 'graph' to fit all nodes
+ * @param {boolean} [options.pulses] - Include pulses in flight (default true)
+ * @param {boolean} [options.labels] - Label every node and edge (default false)
+ * @returns {Promise<Blob>} PNG image
+ */
+function renderPNG(appState, options = {}) {
+    const resolved = resolveOptions(appState, options);
+    const pixelWidth = Math.round(resolved.width * resolved.scale);
+    const pixelHeight = Math.round(resolved.height * resolved.scale);
+    
+    if (pixelWidth > MAX_PNG_SIZE || pixelHeight > MAX_PNG_SIZE) {
+        return Promise.reject(new Error(
+            `Snapshot of ${pixelWidth}×${pixelHeight} pixels is too large, the limit is ${MAX_PNG_SIZE} per side`
+        ));
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = pixelWidth;
+    canvas.height = pixelHeight;
+    
+    const ctx = canvas.getContext('2d', { alpha: false });
+    ctx.setTransform(resolved.scale, 0, 0, resolved.scale, 0, 0);
+    drawSnapshot(ctx, appState.nodes, createSnapshotCamera(appState, resolved), resolved, appState.theme);
+    
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Could not encode the snapshot as PNG'));
+            }
+        }, 'image/png');
+    });
+}
+
+/**
+ * Render the network to an SVG document
+ * @param {Object} appState - Application state
+ * @param {Object} [options] - Snapshot options, see renderPNG (scale is ignored)
+ * @returns {string} SVG document
+ */
+function renderSVG(appState, options = {}) {
+    const resolved = resolveOptions(appState, options);
+    const ctx = new SVGContext(resolved.width, resolved.height);
+    
+    drawSnapshot(ctx, appState.nodes, createSnapshotCamera(appState, resolved), resolved, appState.theme);
+    
+    return ctx.toSVG();
+}
+
+export { renderPNG, renderSVG };
@@ -0,0 +1,383 @@
+/**
+ * spatial-index.js - Uniform grid over the nodes for hit-testing
+ *
+ * Nodes are bucketed by the grid cell of their centre. The view updates the
+ * index once per frame after the layout moved the nodes, which only touches
+ * nodes that changed cells, and the input manager after every drag step, so
+ * pointer queries look at a few cells instead of every node.
+ *
+ * Edges span many cells and move with both of their nodes. They are bucketed
+ * by their bounding box, rebuilt on the first edge or pulse query after a
+ * frame's update moved any node, so at most once per frame; a sleeping layout
+ * keeps its buckets. Edges of a node dragged since the last frame are found
+ * where they were then. Pulses are found through the edges they travel along.
+ */
+
+import { getEdgeControlPoint, getEdgePoint } from './edges.js';
+
+// Grid cell size (world units); about the space a node and its neighbourhood take up
+const DEFAULT_CELL_SIZE = 64;
+
+// Nodes are hit within this multiple of their radius
+const NODE_HIT_SCALE = 1.5;
+
+// Straight pieces a curved edge is measured with
+const CURVE_SEGMENTS = 8;
+
+// Radius of a drawn pulse (world units), see Node.drawPulses
+const PULSE_RADIUS = 3;
+
+// Cell coordinates are offset into 16 bits each to form one numeric key,
+// which covers about ±2 million world units with the default cell size
+const KEY_OFFSET = 32768;
+
+/**
+ * Numeric key of a grid cell
+ * @param {number} cx - Cell column
+ * @param {number} cy - Cell row
+ * @returns {number} Key
+ */
+function cellKey(cx, cy) {
+    return (cx + KEY_OFFSET) * 65536 + (cy + KEY_OFFSET);
+}
+
+/**
+ * Distance from a point to a line segment
+ * @param {number} px - Point X
+ * @param {number} py - Point Y
+ * @param {number} ax - Segment start X
+ * @param {number} ay - Segment start Y
+ * @param {number} bx - Segment end X
+ * @param {number} by - Segment end Y
+ * @returns {number} Distance
+ */
+function distanceToSegment(px, py, ax, ay, bx, by) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared))
+        : 0;
+    return Math.hypot(px - (ax + dx * t), py - (ay + dy * t));
+}
+
+/**
+ * Distance from a point to an edge, following its curve
+ * @param {number} x - Point X
+ * @param {number} y - Point Y
+ * @param {Node} source - Source node
+ * @param {Node} target - Target node
+ * @returns {number} Distance
+ */
+function distanceToEdge(x, y, source, target) {
+    const control = getEdgeControlPoint(source, target);
+    if (!control) {
+        return distanceToSegment(x, y, source.x, source.y, target.x, target.y);
+    }
+    
+    let distance = Infinity;
+    let previous = source;
+    for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+        const point = getEdgePoint(source, target, i / CURVE_SEGMENTS, control);
+        distance = Math.min(distance, distanceToSegment(x, y, previous.x, previous.y, point.x, point.y));
+        previous = point;
+    }
+    return distance;
+}
+
+/**
+ * Grid of nodes and edges answering point and rectangle queries
+ */
+class SpatialIndex {
+    /**
+     * Create an empty index
+     * @param {number} [cellSize] - Grid cell size in world units
+     */
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.nodes = [];
+        
+        // Nodes by cell key, and the cell and position each node was filed at
+        this.cells = new Map();
+        this.entries = new Map();
+        
+        // Largest node radius, widening point queries to neighbouring cells
+        this.maxRadius = 0;
+        
+        // Edges as { source, target } by cell key, null until first needed;
+        // stale once nodes moved and rebuilt on the next edge or pulse query
+        this.edgeCells = null;
+        this.edgesStale = false;
+    }
+    
+    /**
+     * File all nodes again, e.g. after nodes were added or removed
+     * @param {Array} nodes - Array of Node objects
+     */
+    rebuild(nodes) {
+        this.nodes = nodes;
+        this.cells.clear();
+        this.entries.clear();
+        this.edgeCells = null;
+        nodes.forEach(node => this.updateNode(node));
+        this.updateMaxRadius();
+    }
+    
+    /**
+     * Catch up with moved nodes; rebuilds if the node list changed
+     * @param {Array} nodes - Array of Node objects
+     */
+    update(nodes) {
+        if (nodes !== this.nodes || nodes.length !== this.entries.size) {
+            this.rebuild(nodes);
+            return;
+        }
+        
+        nodes.forEach(node => {
+            const entry = this.entries.get(node);
+            if (entry.x === node.x && entry.y === node.y) return;
+            
+            // Edge buckets are rebuilt from these positions when next queried
+            this.edgesStale = true;
+            this.updateNode(node);
+        });
+        this.updateMaxRadius();
+    }
+    
+    /**
+     * Move one node to the cell of its current position
+     * @param {Node} node - Node that may have moved
+     */
+    updateNode(node) {
+        const entry = this.entries.get(node);
+        if (entry && entry.x === node.x && entry.y === node.y) return;
+        
+        const key = cellKey(Math.floor(node.x / this.cellSize), Math.floor(node.y / this.cellSize));
+        if (entry && entry.key === key) {
+            entry.x = node.x;
+            entry.y = node.y;
+            return;
+        }
+        
+        if (entry) {
+            const bucket = this.cells.get(entry.key);
+            bucket.splice(bucket.indexOf(node), 1);
+            if (bucket.length === 0) {
+                this.cells.delete(entry.key);
+            }
+        }
+        
+        if (!this.cells.has(key)) {
+            this.cells.set(key, []);
+        }
+        this.cells.get(key).push(node);
+        this.entries.set(node, { key, x: node.x, y: node.y });
+    }
+    
+    /**
+     * Recompute the largest node radius
+     */
+    updateMaxRadius() {
+        let maxRadius = 0;
+        this.nodes.forEach(node => {
+            if (node.radius > maxRadius) maxRadius = node.radius;
+        });
+        this.maxRadius = maxRadius;
+    }
+    
+    /**
+     * Call back with the contents of every cell overlapping a rectangle
+     * @param {Map} cells - Buckets by cell key
+     * @param {number} minX - Left edge
+     * @param {number} minY - Top edge
+     * @param {number} maxX - Right edge
+     * @param {number} maxY - Bottom edge
+     * @param {Function} visit - Called with each bucket
+     */
+    forEachCell(cells, minX, minY, maxX, maxY, visit) {
+        const size = this.cellSize;
+        const startX = Math.floor(minX / size);
+        const endX = Math.floor(maxX / size);
+        const startY = Math.floor(minY / size);
+        const endY = Math.floor(maxY / size);
+        
+        for (let cx = startX; cx <= endX; cx++) {
+            for (let cy = startY; cy <= endY; cy++) {
+                const bucket = cells.get(cellKey(cx, cy));
+                if (bucket) visit(bucket);
+            }
+        }
+    }
+    
+    /**
+     * Find the node under a point
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @returns {Node|null} Nearest node within its hit radius, or null
+     */
+    nodeAt(x, y) {
+        const reach = this.maxRadius * NODE_HIT_SCALE;
+        let best = null;
+        let bestDistance = Infinity;
+        
+        this.forEachCell(this.cells, x - reach, y - reach, x + reach, y + reach, bucket => {
+            bucket.forEach(node => {
+                const distance = Math.hypot(x - node.x, y - node.y);
+                if (distance <= node.radius * NODE_HIT_SCALE && distance < bestDistance) {
+                    best = node;
+                    bestDistance = distance;
+                }
+            });
+        });
+        
+        return best;
+    }
+    
+    /**
+     * Find the nodes whose centres lie in a rectangle, e.g. a marquee selection
+     * Corners may be given in any order.
+     * @param {number} x1 - X of one corner
+     * @param {number} y1 - Y of one corner
+     * @param {number} x2 - X of the opposite corner
+     * @param {number} y2 - Y of the opposite corner
+     * @returns {Array} Nodes inside, in no particular order
+     */
+    nodesInRect(x1, y1, x2, y2) {
+        const minX = Math.min(x1, x2);
+        const maxX = Math.max(x1, x2);
+        const minY = Math.min(y1, y2);
+        const maxY = Math.max(y1, y2);
+        const found = [];
+        
+        this.forEachCell(this.cells, minX, minY, maxX, maxY, bucket => {
+            bucket.forEach(node => {
+                if (node.x >= minX && node.x <= maxX && node.y >= minY && node.y <= maxY) {
+                    found.push(node);
+                }
+            });
+        });
+        
+        return found;
+    }
+    
+    /**
+     * Find the edge nearest to a point
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @param {number} tolerance - Largest distance that still hits (world units)
+     * @returns {Object|null} { source, target, distance }, or null if no edge is close enough
+     */
+    edgeAt(x, y, tolerance) {
+        let best = null;
+        
+        this.forEachEdgeNear(x, y, tolerance, edge => {
+            const distance = distanceToEdge(x, y, edge.source, edge.target);
+            if (distance <= tolerance && (!best || distance < best.distance)) {
+                best = { source: edge.source, target: edge.target, distance };
+            }
+        });
+        
+        return best;
+    }
+    
+    /**
+     * Find the pulse in flight nearest to a point
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @param {number} tolerance - Distance beyond the pulse's own radius that still hits (world units)
+     * @returns {Object|null} { source, target, pulse, distance }, or null if no pulse is close enough
+     */
+    pulseAt(x, y, tolerance) {
+        const reach = PULSE_RADIUS + tolerance;
+        let best = null;
+        
+        this.forEachEdgeNear(x, y, reach, edge => {
+            const { source, target } = edge;
+            let control;
+            
+            source.pulses.forEach(pulse => {
+                if (pulse.target !== target) return;
+                
+                if (control === undefined) {
+                    control = getEdgeControlPoint(source, target);
+                }
+                const point = getEdgePoint(source, target, pulse.progress, control);
+                const distance = Math.hypot(x - point.x, y - point.y);
+                if (distance <= reach && (!best || distance < best.distance)) {
+                    best = { source, target, pulse, distance };
+                }
+            });
+        });
+        
+        return best;
+    }
+    
+    /**
+     * Call back with each edge whose bounding box comes within a distance of a point
+     * Every edge is visited once even if it is filed in several of the cells.
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @param {number} reach - Distance around the point
+     * @param {Function} visit - Called with { source, target }
+     */
+    forEachEdgeNear(x, y, reach, visit) {
+        if (!this.edgeCells || this.edgesStale) {
+            this.buildEdgeCells();
+        }
+        
+        const seen = new Set();
+        this.forEachCell(this.edgeCells, x - reach, y - reach, x + reach, y + reach, bucket => {
+            bucket.forEach(edge => {
+                if (seen.has(edge)) return;
+                seen.add(edge);
+                visit(edge);
+            });
+        });
+    }
+    
+    /**
+     * File every edge in the cells its bounding box overlaps
+     * The box of a curved edge includes its control point, which contains the curve.
+     */
+    buildEdgeCells() {
+        const edgeCells = new Map();
+        
+        this.nodes.forEach(source => {
+            source.connections.forEach(target => {
+                const edge = { source, target };
+                const control = getEdgeControlPoint(source, target);
+                const xs = control ? [source.x, target.x, control.x] : [source.x, target.x];
+                const ys = control ? [source.y, target.y, control.y] : [source.y, target.y];
+                
+                this.forEachCellKey(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys), key => {
+                    if (!edgeCells.has(key)) {
+                        edgeCells.set(key, []);
+                    }
+                    edgeCells.get(key).push(edge);
+                });
+            });
+        });
+        
+        this.edgeCells = edgeCells;
+        this.edgesStale = false;
+    }
+    
+    /**
+     * Call back with the key of every cell overlapping a rectangle
+     * @param {number} minX - Left edge
+     * @param {number} minY - Top edge
+     * @param {number} maxX - Right edge
+     * @param {number} maxY - Bottom edge
+     * @param {Function} visit - Called with each cell key
+     */
+    forEachCellKey(minX, minY, maxX, maxY, visit) {
+        const size = this.cellSize;
+        for (let cx = Math.floor(minX / size); cx <= Math.floor(maxX / size); cx++) {
+            for (let cy = Math.floor(minY / size); cy <= Math.floor(maxY / size); cy++) {
+                visit(cellKey(cx, cy));
+            }
+        }
+    }
+}
+
+export { SpatialIndex };
@@ -0,0 +1,433 @@
+/**
+ * svg-context.js - Canvas 2D drawing API that records SVG
+ *
+ * Implements the part of CanvasRenderingContext2D used by the renderer
+ * (paths, arcs, fills, strokes, dashes, text and transforms), so the same
+ * drawing code can produce a vector image. Transforms are expected to be
+ * translations and uniform scales, as used by the camera and the device
+ * pixel ratio; arcs and line widths are scaled by the uniform scale factor.
+ */
+
+/**
+ * Recording context producing an SVG document
+ */
+class SVGContext {
+    /**
+     * Create an empty drawing
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        
+        // Drawing state, saved and restored like the canvas state
+        this.globalAlpha = 1;
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.lineDash = [];
+        this.matrix = [1, 0, 0, 1, 0, 0];
+        this.stack = [];
+        
+        // Current path in image coordinates
+        this.path = [];
+        this.hasCurrentPoint = false;
+        
+        // Recorded SVG elements
+        this.elements = [];
+    }
+    
+    /**
+     * Push the drawing state
+     */
+    save() {
+        this.stack.push({
+            globalAlpha: this.globalAlpha,
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            lineDash: this.lineDash,
+            matrix: this.matrix.slice()
+        });
+    }
+    
+    /**
+     * Pop the drawing state
+     */
+    restore() {
+        const state = this.stack.pop();
+        if (state) {
+            Object.assign(this, state);
+        }
+    }
+    
+    /**
+     * Replace the transform
+     * @param {number} a - Horizontal scale
+     * @param {number} b - Vertical skew
+     * @param {number} c - Horizontal skew
+     * @param {number} d - Vertical scale
+     * @param {number} e - Horizontal translation
+     * @param {number} f - Vertical translation
+     */
+    setTransform(a, b, c, d, e, f) {
+        this.matrix = [a, b, c, d, e, f];
+    }
+    
+    /**
+     * Reset the transform to identity
+     */
+    resetTransform() {
+        this.setTransform(1, 0, 0, 1, 0, 0);
+    }
+    
+    /**
+     * Multiply the transform by another matrix
+     * @param {number} a - Horizontal scale
+     * @param {number} b - Vertical skew
+     * @param {number} c - Horizontal skew
+     * @param {number} d - Vertical scale
+     * @param {number} e - Horizontal translation
+     * @param {number} f - Vertical translation
+     */
+    transform(a, b, c, d, e, f) {
+        const [ma, mb, mc, md, me, mf] = this.matrix;
+        this.matrix = [
+            ma * a + mc * b,
+            mb * a + md * b,
+            ma * c + mc * d,
+            mb * c + md * d,
+            ma * e + mc * f + me,
+            mb * e + md * f + mf
+        ];
+    }
+    
+    /**
+     * Scale the transform
+     * @param {number} x - Horizontal factor
+     * @param {number} y - Vertical factor
+     */
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+    
+    /**
+     * Translate the transform
+     * @param {number} x - Horizontal offset
+     * @param {number} y - Vertical offset
+     */
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+    
+    /**
+     * Set the dash pattern for strokes
+     * @param {Array<number>} segments - Dash and gap lengths
+     */
+    setLineDash(segments) {
+        this.lineDash = segments.slice();
+    }
+    
+    /**
+     * Get the dash pattern for strokes
+     * @returns {Array<number>} Dash and gap lengths
+     */
+    getLineDash() {
+        return this.lineDash.slice();
+    }
+    
+    /**
+     * Start a new path
+     */
+    beginPath() {
+        this.path = [];
+        this.hasCurrentPoint = false;
+    }
+    
+    /**
+     * Start a new subpath
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    moveTo(x, y) {
+        const [px, py] = this.apply(x, y);
+        this.path.push(`M${fmt(px)} ${fmt(py)}`);
+        this.hasCurrentPoint = true;
+    }
+    
+    /**
+     * Add a straight line to the path
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    lineTo(x, y) {
+        if (!this.hasCurrentPoint) {
+            this.moveTo(x, y);
+            return;
+        }
+        const [px, py] = this.apply(x, y);
+        this.path.push(`L${fmt(px)} ${fmt(py)}`);
+    }
+    
+    /**
+     * Add a quadratic curve to the path
+     * @param {number} cpx - Control point X
+     * @param {number} cpy - Control point Y
+     * @param {number} x - End X
+     * @param {number} y - End Y
+     */
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this.hasCurrentPoint) this.moveTo(cpx, cpy);
+        const [qx, qy] = this.apply(cpx, cpy);
+        const [px, py] = this.apply(x, y);
+        this.path.push(`Q${fmt(qx)} ${fmt(qy)} ${fmt(px)} ${fmt(py)}`);
+    }
+    
+    /**
+     * Add an arc to the path
+     * @param {number} x - Centre X
+     * @param {number} y - Centre Y
+     * @param {number} radius - Radius
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} endAngle - End angle in radians
+     * @param {boolean} [counterclockwise] - Draw counterclockwise
+     */
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        if (sweep >= Math.PI * 2) {
+            sweep = Math.PI * 2;
+        } else {
+            sweep = ((sweep % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+        }
+        
+        const startX = x + Math.cos(startAngle) * radius;
+        const startY = y + Math.sin(startAngle) * radius;
+        if (this.hasCurrentPoint) {
+            this.lineTo(startX, startY);
+        } else {
+            this.moveTo(startX, startY);
+        }
+        if (sweep === 0) return;
+        
+        const r = fmt(radius * this.getScale());
+        const sweepFlag = counterclockwise ? 0 : 1;
+        const direction = counterclockwise ? -1 : 1;
+        
+        // SVG can't draw a full circle in one arc, so split it into halves
+        const parts = sweep === Math.PI * 2 ? 2 : 1;
+        const step = sweep / parts;
+        for (let i = 1; i <= parts; i++) {
+            const angle = startAngle + direction * step * i;
+            const [px, py] = this.apply(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+            const largeArc = step > Math.PI ? 1 : 0;
+            this.path.push(`A${r} ${r} 0 ${largeArc} ${sweepFlag} ${fmt(px)} ${fmt(py)}`);
+        }
+    }
+    
+    /**
+     * Add a rectangle to the path
+     * @param {number} x - Left
+     * @param {number} y - Top
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+    
+    /**
+     * Close the current subpath
+     */
+    closePath() {
+        if (this.path.length > 0) {
+            this.path.push('Z');
+        }
+    }
+    
+    /**
+     * Fill the current path
+     */
+    fill() {
+        if (this.path.length === 0) return;
+        this.elements.push(`<path d="${this.path.join('')}" fill="${escape(this.fillStyle)}"${this.opacityAttribute()}/>`);
+    }
+    
+    /**
+     * Stroke the current path
+     */
+    stroke() {
+        if (this.path.length === 0) return;
+        
+        const scale = this.getScale();
+        let attributes = ` fill="none" stroke="${escape(this.strokeStyle)}" stroke-width="${fmt(this.lineWidth * scale)}"`;
+        if (this.lineDash.length > 0) {
+            attributes += ` stroke-dasharray="${this.lineDash.map(length => fmt(length * scale)).join(' ')}"`;
+        }
+        this.elements.push(`<path d="${this.path.join('')}"${attributes}${this.opacityAttribute()}/>`);
+    }
+    
+    /**
+     * Fill a rectangle without touching the current path
+     * @param {number} x - Left
+     * @param {number} y - Top
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    fillRect(x, y, width, height) {
+        const path = this.path;
+        const hasCurrentPoint = this.hasCurrentPoint;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+        this.path = path;
+        this.hasCurrentPoint = hasCurrentPoint;
+    }
+    
+    /**
+     * Stroke a rectangle without touching the current path
+     * @param {number} x - Left
+     * @param {number} y - Top
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    strokeRect(x, y, width, height) {
+        const path = this.path;
+        const hasCurrentPoint = this.hasCurrentPoint;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+        this.path = path;
+        this.hasCurrentPoint = hasCurrentPoint;
+    }
+    
+    /**
+     * Clearing is a no-op; an SVG starts out transparent and draws the background explicitly
+     */
+    clearRect() {}
+    
+    /**
+     * Draw filled text
+     * @param {string} text - Text to draw
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    fillText(text, x, y) {
+        const [px, py] = this.apply(x, y);
+        const { size, family } = parseFont(this.font);
+        const anchor = TEXT_ANCHORS[this.textAlign] || 'start';
+        const baseline = TEXT_BASELINES[this.textBaseline] || 'alphabetic';
+        
+        this.elements.push(
+            `<text x="${fmt(px)}" y="${fmt(py)}" font-size="${fmt(size * this.getScale())}" ` +
+            `font-family="${escape(family)}" text-anchor="${anchor}" dominant-baseline="${baseline}" ` +
+            `fill="${escape(this.fillStyle)}"${this.opacityAttribute()}>${escape(text)}</text>`
+        );
+    }
+    
+    /**
+     * Transform a point to image coordinates
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Array<number>} Transformed [x, y]
+     */
+    apply(x, y) {
+        const [a, b, c, d, e, f] = this.matrix;
+        return [a * x + c * y + e, b * x + d * y + f];
+    }
+    
+    /**
+     * Uniform scale factor of the current transform
+     * @returns {number} Scale factor
+     */
+    getScale() {
+        const [a, b, c, d] = this.matrix;
+        return Math.sqrt(Math.abs(a * d - b * c));
+    }
+    
+    /**
+     * Opacity attribute for the current global alpha
+     * @returns {string} Attribute text, empty when fully opaque
+     */
+    opacityAttribute() {
+        return this.globalAlpha < 1 ? ` opacity="${fmt(this.globalAlpha)}"` : '';
+    }
+    
+    /**
+     * Serialize the drawing
+     * @returns {string} SVG document
+     */
+    toSVG() {
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" ` +
+            `viewBox="0 0 ${this.width} ${this.height}">`,
+            ...this.elements,
+            '</svg>'
+        ].join('\n');
+    }
+}
+
+// Canvas textAlign to SVG text-anchor
+const TEXT_ANCHORS = {
+    start: 'start',
+    left: 'start',
+    center: 'middle',
+    right: 'end',
+    end: 'end'
+};
+
+// Canvas textBaseline to SVG dominant-baseline
+const TEXT_BASELINES = {
+    top: 'hanging',
+    hanging: 'hanging',
+    middle: 'central',
+    alphabetic: 'alphabetic',
+    ideographic: 'ideographic',
+    bottom: 'text-after-edge'
+};
+
+/**
+ * Split a CSS font shorthand into size and family
+ * @param {string} font - Font shorthand, e.g. '12px sans-serif'
+ * @returns {Object} Size in pixels and font family
+ */
+function parseFont(font) {
+    const match = /([\d.]+)px\s+(.+)$/.exec(font);
+    return match
+        ? { size: Number(match[1]), family: match[2] }
+        : { size: 10, family: 'sans-serif' };
+}
+
+/**
+ * Format a coordinate compactly
+ * @param {number} value - Number to format
+ * @returns {string} Number with at most two decimals
+ */
+function fmt(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Escape text for SVG content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+export { SVGContext };
@@ -0,0 +1,203 @@
+/**
+ * theme.js - Colours of the network drawing
+ *
+ * A theme holds the palette per node type and the colours of edges, pulses,
+ * the grid, labels, the selection and the background. Views ship with dark
+ * (default), light and high-contrast themes; 'auto' picks one from
+ * prefers-color-scheme and prefers-contrast. A partial theme object is
+ * merged over the theme named by its base property:
+ *
+ *     view.setTheme({ base: 'light', palette: { source: '#e4572e' } });
+ *
+ * CSS custom properties on the canvas (or any ancestor) override the theme,
+ * so a page can brand the network from its stylesheet:
+ *
+ *     automation-network { --network-source: #e4572e; --network-background: #fafafa; }
+ */
+
+const THEMES = {
+    dark: {
+        background: '#121212',
+        palette: {
+            source: '#00ffcc',
+            process: '#00ccff',
+            destination: '#ff00cc',
+            other: '#ffffff'
+        },
+        nodeCore: '#121212', // Inside of the type indicators
+        edge: '#ffffff',
+        edgeOpacity: 0.3,
+        pulse: '#ffffff',
+        grid: '#ffffff',
+        gridOpacity: 0.05,
+        glowOpacity: 0.3, // Halo around hovered and dragged nodes, in the node colour
+        label: '#ffffff',
+        focus: '#ffffff', // Keyboard focus ring and connections being dragged out
+        selection: '#4da3ff', // Ring around selected nodes and the selection box
+        queue: '#ffffff',
+        queueWarning: '#ffcc00',
+        queueCritical: '#ff3355'
+    },
+    light: {
+        background: '#f5f7fa',
+        palette: {
+            source: '#00896c',
+            process: '#0070b8',
+            destination: '#b8008a',
+            other: '#333333'
+        },
+        nodeCore: '#f5f7fa',
+        edge: '#1a1a2e',
+        edgeOpacity: 0.35,
+        pulse: '#1a1a2e',
+        grid: '#1a1a2e',
+        gridOpacity: 0.06,
+        glowOpacity: 0.25,
+        label: '#1a1a2e',
+        focus: '#1a1a2e',
+        selection: '#0060df',
+        queue: '#1a1a2e',
+        queueWarning: '#b37400',
+        queueCritical: '#d1002d'
+    },
+    'high-contrast': {
+        background: '#000000',
+        palette: {
+            source: '#00ff00',
+            process: '#00ffff',
+            destination: '#ffff00',
+            other: '#ffffff'
+        },
+        nodeCore: '#000000',
+        edge: '#ffffff',
+        edgeOpacity: 0.8,
+        pulse: '#ffffff',
+        grid: '#ffffff',
+        gridOpacity: 0.15,
+        glowOpacity: 0.5,
+        label: '#ffffff',
+        focus: '#ffff00',
+        selection: '#ff00ff',
+        queue: '#ffffff',
+        queueWarning: '#ffff00',
+        queueCritical: '#ff4040'
+    }
+};
+
+const THEME_NAMES = Object.keys(THEMES);
+
+// Theme used where none is passed, e.g. by nodes drawn outside a view
+const DEFAULT_THEME = THEMES.dark;
+
+// CSS custom properties read from the page: [property, theme key, palette entry]
+const THEME_PROPERTIES = [
+    ['--network-background', 'background'],
+    ['--network-source', 'palette', 'source'],
+    ['--network-process', 'palette', 'process'],
+    ['--network-destination', 'palette', 'destination'],
+    ['--network-node-core', 'nodeCore'],
+    ['--network-edge', 'edge'],
+    ['--network-edge-opacity', 'edgeOpacity'],
+    ['--network-pulse', 'pulse'],
+    ['--network-grid', 'grid'],
+    ['--network-grid-opacity', 'gridOpacity'],
+    ['--network-glow-opacity', 'glowOpacity'],
+    ['--network-label', 'label'],
+    ['--network-focus', 'focus'],
+    ['--network-selection', 'selection']
+];
+
+/**
+ * Check a theme setting
+ * @param {string|Object} theme - Theme name, 'auto' or partial theme object
+ * @throws {Error} If the name or base is unknown
+ */
+function checkTheme(theme) {
+    const name = theme && typeof theme === 'object' ? theme.base || 'dark' : theme;
+    if (name !== 'auto' && !THEME_NAMES.includes(name)) {
+        throw new Error(`Unknown theme "${name}" (expected ${THEME_NAMES.join(', ')} or auto)`);
+    }
+}
+
+/**
+ * Name of the built-in theme matching the user's preferences
+ * @returns {string} 'high-contrast', 'light' or 'dark'
+ */
+function getPreferredThemeName() {
+    if (typeof window.matchMedia !== 'function') return 'dark';
+    
+    if (window.matchMedia('(prefers-contrast: more)').matches) return 'high-contrast';
+    return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+}
+
+/**
+ * Turn a theme setting into a complete theme
+ * @param {string|Object} theme - Theme name, 'auto' or partial theme object
+ * @param {Element} [element] - Element whose CSS custom properties override the theme
+ * @returns {Object} Complete theme, a new object
+ * @throws {Error} If the name or base is unknown
+ */
+function resolveTheme(theme, element = null) {
+    checkTheme(theme);
+    
+    const overrides = theme && typeof theme === 'object' ? theme : {};
+    let name = typeof theme === 'string' ? theme : overrides.base || 'dark';
+    if (name === 'auto') {
+        name = getPreferredThemeName();
+    }
+    
+    const base = THEMES[name];
+    const resolved = {
+        ...base,
+        ...overrides,
+        name,
+        palette: { ...base.palette, ...overrides.palette }
+    };
+    delete resolved.base;
+    
+    if (element) {
+        readThemeProperties(element, resolved);
+    }
+    return resolved;
+}
+
+/**
+ * Copy CSS custom properties set on an element or its ancestors into a theme
+ * @param {Element} element - Element to read the computed style of
+ * @param {Object} theme - Theme, changed in place
+ */
+function readThemeProperties(element, theme) {
+    const style = window.getComputedStyle(element);
+    
+    THEME_PROPERTIES.forEach(([property, key, entry]) => {
+        const value = style.getPropertyValue(property).trim();
+        if (!value) return;
+        
+        if (entry) {
+            theme[key][entry] = value;
+        } else if (typeof theme[key] === 'number') {
+            const number = Number.parseFloat(value);
+            if (Number.isFinite(number)) {
+                theme[key] = number;
+            }
+        } else {
+            theme[key] = value;
+        }
+    });
+}
+
+/**
+ * Call back when a preference used by 'auto' themes, or by the page's CSS, changes
+ * @param {Function} onChange - Called without arguments
+ * @returns {Function} Call to stop watching
+ */
+function watchThemePreferences(onChange) {
+    if (typeof window.matchMedia !== 'function') return () => {};
+    
+    const queries = ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].map(query => window.matchMedia(query));
+    queries.forEach(query => query.addEventListener('change', onChange));
+    
+    return () => queries.forEach(query => query.removeEventListener('change', onChange));
+}
+
+export { resolveTheme, checkTheme, watchThemePreferences, DEFAULT_THEME, THEME_NAMES };